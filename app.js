@@ -51,6 +51,22 @@ function clamp(n, lo, hi) {
     return Math.max(lo, Math.min(hi, n));
 }
 
+/**
+ * True when this script is running as a worker (SECTION 6F, 10C) rather than the page
+ * @returns {boolean}
+ */
+function isFeedWorkerScope() {
+    return typeof window === "undefined" && typeof self !== "undefined";
+}
+
+/**
+ * True when the worker is the render worker (SECTION 10C) - it is started with a #render URL
+ * @returns {boolean}
+ */
+function isRenderWorkerScope() {
+    return isFeedWorkerScope() && self.location.hash === "#render";
+}
+
 /**
  * Show error overlay to user (prevents blank page)
  * @param {string} message 
@@ -63,17 +79,19 @@ function showErrorOverlay(message, stack) {
     logDebug("ERROR: " + (message || "Unknown error"));
 }
 
-// Global error handlers
-window.addEventListener("error", function(event) {
-    showErrorOverlay(event.message, event.error ? event.error.stack : "");
-});
+// Global error handlers (the workers have no page to show them on)
+if (!isFeedWorkerScope()) {
+    window.addEventListener("error", function(event) {
+        showErrorOverlay(event.message, event.error ? event.error.stack : "");
+    });
 
-window.addEventListener("unhandledrejection", function(event) {
-    var reason = event.reason;
-    var message = reason instanceof Error ? reason.message : String(reason);
-    var stack = reason instanceof Error ? reason.stack : "";
-    showErrorOverlay(message, stack);
-});
+    window.addEventListener("unhandledrejection", function(event) {
+        var reason = event.reason;
+        var message = reason instanceof Error ? reason.message : String(reason);
+        var stack = reason instanceof Error ? reason.stack : "";
+        showErrorOverlay(message, stack);
+    });
+}
 
 // ============================================================================
 // SECTION 2: CONFIGURATION (CONSTANTS)
@@ -90,12 +108,179 @@ var CONFIG = {
     MAX_PRICE: 200,
     
     // Drift DLOB WebSocket config
+    // Override per page load with ?dlob=<ws url>, e.g. ?dlob=ws://localhost:8788 for dev/mock-dlob-server.js
     DRIFT_DLOB_WS_URL: "wss://instictfi-dlob-proxy.psastrowardoyo.workers.dev",
-    DRIFT_MARKET: "SOL-PERP",
-    DRIFT_RECONNECT_DELAY_MS: 3000,
+    DRIFT_USE_FEED_WORKER: true,    // Socket + JSON decoding in a Web Worker (SECTION 6F); ?worker=0 disables
+    DRIFT_SUBSCRIBE_TRADES: true,   // Also subscribe the "trades" channel (tape, candle volume, last price)
+    DRIFT_MARKET: "SOL-PERP",   // Default market symbol (must exist in MARKETS)
+    DRIFT_RECONNECT_DELAY_MS: 3000,        // Base delay for the first reconnect attempt
+    DRIFT_RECONNECT_MAX_DELAY_MS: 60000,   // Backoff cap
+    DRIFT_RECONNECT_JITTER_PCT: 0.3,       // +/- 30% random jitter on each delay
+    DRIFT_RECONNECT_MAX_ATTEMPTS: 10,      // Give up (state "failed") after this many attempts
+    DRIFT_STALE_AFTER_MS: 5000,            // Streaming -> stale after this long without a tick
+    DRIFT_OFFLINE_AFTER_MS: 20000,         // Stale -> drop socket and back off; also isOnline() window
+    
+    // Feed ordering and freshness (see checkTickSequence) - frames carry a slot (sourceSeq) and/or ts (sourceTs)
+    FEED_GAP_MIN_SEQ: 10,                  // Slots skipped between consecutive frames that count as a gap
+    FEED_GAP_MIN_MS: 5000,                 // Source-time jump that counts as a gap when frames carry no slot
+    FEED_DEGRADED_LAG_MS: 3000,            // Source time behind wall time past this -> "degraded"
+    FEED_RESYNC_AFTER_MS: 10000,           // Accept older frames again after this long with none accepted (source restarted)
+    
+    // Tick sanity stage between parsing and targetPrice (see checkTickSanity)
+    SPIKE_FILTER: {
+        enabled: true,
+        windowSize: 21,             // Recent accepted mids for the rolling median
+        minSamples: 5,              // Median/MAD check starts once the window has this many
+        madThreshold: 8,            // Reject when |mid - median| > madThreshold * MAD
+        minMadTicks: 2,             // MAD floor in market ticks (a flat book has MAD 0)
+        maxJumpPct: 0.02,           // Reject a mid more than 2% away from the last accepted one
+        maxConsecutiveRejects: 5    // Then accept - the market really moved - and restart the window
+    },
     PRICE_EASE_ALPHA: 0.18,
     RANGE_PADDING_PCT: 0.01,
     
+    // Price source adapter (see SECTION 6A) - override per page load with ?source=<name>
+    // "drift" (default), "json-ws", "replay" or "synthetic"
+    PRICE_SOURCE: "drift",
+    
+    // Generic JSON WebSocket source - "{market}" in messages is replaced by the market symbol
+    // *Path fields are dotted paths into each incoming message
+    JSON_WS_SOURCE: {
+        url: "ws://localhost:8787",
+        subscribeMessage: { type: "subscribe", market: "{market}" },
+        unsubscribeMessage: { type: "unsubscribe", market: "{market}" },
+        bidPath: "bid",
+        askPath: "ask",
+        marketPath: "market",
+        timestampPath: "ts",
+        sequencePath: "seq"     // Optional monotonic sequence number
+    },
+    
+    // Replay-file source - NDJSON with {t, raw} or {t, bid, ask} lines (see SECTION 6E)
+    // The replay clock advances in fixed frameMs steps, so a file always plays out identically
+    REPLAY_SOURCE: {
+        url: "session.ndjson",
+        speed: 1,                               // Initial playback speed (one of speeds)
+        speeds: [0.25, 0.5, 1, 2, 5, 10],
+        frameMs: 1000 / 60,                     // Replay clock step
+        maxStepsPerFrame: 600                   // Catch-up cap after a long frame (tab in background)
+    },
+    
+    // Synthetic source - random walk, no network needed
+    SYNTHETIC_SOURCE: {
+        intervalMs: 250,
+        volatilityPct: 0.0002,      // Max relative move per tick
+        spreadTicks: 1,             // Bid/ask spread in market ticks
+        tradeProbability: 0.5,      // Chance of a trade per interval
+        tradeNotionalUsd: 2000,     // Typical trade size in USD (occasional prints are up to 20x)
+        oracleBasisStepBps: 1.5,    // Max random-walk step of the oracle vs mid per interval
+        oracleBasisReversion: 0.02, // Fraction of the basis given back each interval
+        startPrices: { "SOL-PERP": 140, "BTC-PERP": 95000, "ETH-PERP": 3200, "JUP-PERP": 0.8 }
+    },
+    
+    // Trades (see handleTrade)
+    TRADE_TAPE_MAX: 40,                 // Trades kept in STATE.tradeTape
+    TRADE_TAPE_VISIBLE: 14,             // Rows shown in the sidebar tape
+    TRADE_BIG_PRINT_USD: 25000,         // Notional at or above which a trade flashes its hex row
+    TRADE_FLASH_MS: 900,
+    TRADE_FLASH_MAX_ALPHA: 0.7,
+    DLOB_QUOTE_PRECISION_EXP: 6,        // Drift QUOTE_PRECISION for quoteAssetAmountFilled
+    
+    // Reference price for the line and bet settlement (see getReferencePrice)
+    // mid: (bid + ask) / 2, microprice: top-of-book size-weighted mid,
+    // last: last trade price, oracle: oracle price carried in the orderbook frame.
+    // While the selected price is unavailable the mid is used instead.
+    REFERENCE_PRICE_MODES: [
+        { id: "mid", label: "MID" },
+        { id: "microprice", label: "MICRO" },
+        { id: "last", label: "LAST" },
+        { id: "oracle", label: "ORACLE" }
+    ],
+    DEFAULT_REFERENCE_MODE: "mid",
+    SETTLEMENT_LOG_MAX: 500,            // Settled bets kept for audit (STATE.settlementLog)
+    SETTLEMENT_LOG_STORAGE_KEY: "instinctfi-settlements",  // localStorage key - the log survives reloads
+    
+    // Oracle overlay (see drawOracleLine) and mark/oracle basis shown in the header
+    ORACLE_LINE_COLOR: "#FFB347",
+    ORACLE_LINE_DASH: [6, 6],
+    ORACLE_DIVERGENCE_WARN_BPS: 25,     // |basis| at or above this shows the DIVERGENCE badge
+    
+    // 24h market stats strip under the header (see SECTION 6G)
+    MARKET_STATS_URL: null,             // Stand-in HTTP endpoint (?stats= overrides); null asks the price source instead
+    MARKET_STATS_REFRESH_MS: 30000,
+    
+    // Gap backfill after an outage (see SECTION 6H)
+    BACKFILL: {
+        enabled: true,
+        url: null,                  // Stand-in HTTP history endpoint (?history= overrides); null asks the price source
+        minGapMs: 1000,             // Shorter outages are left as a straight segment
+        maxGapMs: 600000,           // Longer outages only backfill their most recent part
+        timeoutMs: 10000,           // No reply by then -> the region stays marked as a gap
+        candleAlpha: 0.45           // Reconstructed candles are drawn faded
+    },
+    
+    // Session history behind the live trail (see archiveTrailPoint): panning back shows it.
+    // Over budget, the oldest half is downsampled 2:1, so older data gets coarser but memory stays bounded
+    SESSION_HISTORY: {
+        trailPointsMax: 4000,       // Archived trail points (~1h at full resolution before downsampling starts)
+        candlesMax: 500,            // Archived candles per source and timeframe
+        indicatorPointsMax: 4000    // Points per indicator line
+    },
+    
+    // Indicator overlays on the price ladder (see SECTION 6I), computed from accepted ticks
+    // params hold the defaults; each param has a {min, max, step} entry in paramRanges for its input
+    INDICATORS: [
+        { id: "ema", label: "EMA", color: "#4FC3F7", enabled: true,
+          params: { period: 20 }, paramRanges: { period: { min: 2, max: 500, step: 1 } } },
+        { id: "vwap", label: "VWAP", color: "#FFD54F", enabled: false,
+          params: {}, paramRanges: {} },
+        { id: "bollinger", label: "BOLL", color: "#CE93D8", enabled: false,
+          params: { period: 20, stdDevs: 2 },
+          paramRanges: { period: { min: 2, max: 500, step: 1 }, stdDevs: { min: 0.5, max: 5, step: 0.5 } } },
+        { id: "rvol", label: "RVOL", color: "#A5D6A7", enabled: false,
+          params: { windowSec: 60 }, paramRanges: { windowSec: { min: 5, max: 600, step: 5 } } }
+    ],
+    INDICATOR_STORAGE_KEY: "instinctfi-indicators",  // localStorage key for toggles and params
+    INDICATOR_SAMPLES_MAX: 4000,        // Ticks kept to recompute an indicator when its params change
+    
+    // Session recorder (see SECTION 6D) - opt in with the debug overlay's REC button or ?record=1
+    RECORDER_DB_NAME: "instinctfi-recorder",
+    RECORDER_STORE_NAME: "frames",
+    RECORDER_MAX_RECORDS: 20000,        // Ring buffer size - oldest frames are dropped beyond this
+    RECORDER_FLUSH_INTERVAL_MS: 1000,   // Frames are batched into one IndexedDB write per interval
+    
+    // Connection state machine - allowed transitions between states
+    // idle -> connecting -> subscribed -> streaming <-> stale, any live state -> backoff/failed
+    // streaming <-> degraded while ticks arrive but lag the source by more than FEED_DEGRADED_LAG_MS
+    // streaming/stale -> subscribed happens on a market switch (resubscribe on the same socket)
+    CONNECTION_TRANSITIONS: {
+        idle: ["connecting"],
+        connecting: ["subscribed", "backoff", "failed"],
+        subscribed: ["streaming", "degraded", "backoff", "failed", "connecting"],
+        streaming: ["stale", "degraded", "subscribed", "backoff", "failed", "connecting"],
+        degraded: ["streaming", "stale", "subscribed", "backoff", "failed", "connecting"],
+        stale: ["streaming", "degraded", "subscribed", "backoff", "failed", "connecting"],
+        backoff: ["connecting", "failed"],
+        failed: ["connecting"]
+    },
+    
+    // Market registry - every market the switcher can select
+    // tickSize: price per hex row, minPrice/maxPrice: sane band for the mid price,
+    // displayDecimals: decimals used for header and hex tile labels,
+    // pricePrecisionExp/basePrecisionExp: Drift fixed-point exponents for DLOB prices
+    // (PRICE_PRECISION = 1e6) and sizes (BASE_PRECISION = 1e9), see decodeFixedPoint(),
+    // marketIndex: Drift market index (trade events carry the index, not the symbol)
+    MARKETS: [
+        { symbol: "SOL-PERP", marketType: "perp", marketIndex: 0, tickSize: 0.01, minPrice: 1, maxPrice: 10000,
+          displayDecimals: 4, pricePrecisionExp: 6, basePrecisionExp: 9 },
+        { symbol: "BTC-PERP", marketType: "perp", marketIndex: 1, tickSize: 1, minPrice: 1000, maxPrice: 1000000,
+          displayDecimals: 2, pricePrecisionExp: 6, basePrecisionExp: 9 },
+        { symbol: "ETH-PERP", marketType: "perp", marketIndex: 2, tickSize: 0.1, minPrice: 50, maxPrice: 100000,
+          displayDecimals: 3, pricePrecisionExp: 6, basePrecisionExp: 9 },
+        { symbol: "JUP-PERP", marketType: "perp", marketIndex: 24, tickSize: 0.0001, minPrice: 0.01, maxPrice: 100,
+          displayDecimals: 5, pricePrecisionExp: 6, basePrecisionExp: 9 }
+    ],
+    
     // Dynamic zoom config (micro-zoom for tight movements)
     ZOOM_WINDOW_SECS: 5,        // 5 second window for dynamic zoom (match chart)
     ZOOM_EASE_ALPHA: 0.18,
@@ -108,6 +293,56 @@ var CONFIG = {
     HEX_SCROLL_SPEED: 8,        // pixels per second (slowed 5x for smoother vertical motion)
     HEX_SIZE_RATIO: 14,         // canvas size divided by this
     
+    // Hex looks per visual state (see getHexVisualState) - cyber theme
+    // fill/stroke/glow colors, border lineWidth, glow blur (shadowBlur) and label color
+    HEX_STYLES: {
+        // Hit: bright gold, white 5px border and extra strong glow - very distinct
+        hit: { fill: "rgba(255, 215, 0, 1.0)", stroke: "#FFFFFF", glow: "#FFD700", lineWidth: 5, blur: 30, text: "#000000" },
+        yellow: { fill: "rgba(255, 215, 0, 0.85)", stroke: "#FFD700", glow: "#FFD700", lineWidth: 3, blur: 20, text: "#000000" },   // AI bets
+        pink: { fill: "rgba(139, 92, 246, 0.85)", stroke: "#A78BFA", glow: "#8B5CF6", lineWidth: 3, blur: 20, text: "#000000" },    // User selection
+        passed: { fill: "rgba(30, 30, 40, 0.6)", stroke: "#333344", glow: "#222233", lineWidth: 1, blur: 0, text: "#555566" },
+        highlighted: { fill: "rgba(0, 255, 204, 0.85)", stroke: "#00FFCC", glow: "#00FFCC", lineWidth: 3, blur: 20, text: "#000000" },
+        normal: { fill: "rgba(15, 15, 25, 0.5)", stroke: "#8B5CF6", glow: "#8B5CF6", lineWidth: 1, blur: 5, text: "#00FFCC" }    // Dark glass
+    },
+    
+    // Hex render cache (SECTION 7B): sprites per visual state plus pre-rendered
+    // columns of plain hexes, so frames blit images instead of stroking with shadowBlur
+    HEX_CACHE: {
+        enabled: true,          // ?hexcache=0 draws every hex directly (to compare frame times)
+        rowMargin: 8            // Rows cached past each visible edge, so vertical moves rarely re-rasterize
+    },
+    
+    // Hex board backend: "webgl" (SECTION 7C, one instanced draw, glow from the shader) or "2d".
+    // WebGL falls back to 2D by itself when unavailable or lost; ?renderer=2d|webgl overrides
+    HEX_RENDERER: "webgl",
+    
+    // Render worker (SECTION 10C): #main-canvas becomes an OffscreenCanvas drawn in a worker,
+    // the page keeps the feed, bets and DOM and posts what drawChart() reads each frame.
+    // Opt-in; ?render=worker turns it on, ?render=main off. Falls back to the page by itself.
+    RENDER_WORKER: {
+        enabled: false,
+        // STATE keys posted when they change: primitives by value, arrays as what was appended
+        // or dropped since the last post, Sets/Maps by reference and mutation count, other objects by reference
+        syncKeys: [
+            "currentPrice", "hexScrollPosition", "zoom", "viewportOffsetY", "priceMin", "priceMax",
+            "priceHistory", "trailHistory", "trailArchive", "candleSource", "candleTimeframe",
+            "activeMarketSymbol", "bestBid", "bestAsk", "lastTick", "referenceMode", "referenceModeInUse",
+            "oracleBasisBps", "isOnline", "lastGoodPriceTs", "hasReceivedFirstPrice",
+            "marketStats", "marketStatsExpanded", "depthLadder", "tradeFlashes",
+            "pinkHexagons", "hitHexagonsPlayed", "ladderInitialized", "TICK_SIZE", "ANCHOR_PRICE",
+            "ANCHOR_WORLD_Y", "PX_PER_TICK", "WORLD_COL_SPACING", "WORLD_HEX_SIZE",
+            "canvasWidth", "canvasHeight", "devicePixelRatio"
+        ],
+        // Small objects mutated in place - cheaper to post every frame than to diff
+        frameKeys: ["manualPan", "crosshair", "connection", "feedHealth", "backfill"]
+    },
+    
+    // Order book depth heatmap (future hexes tinted by resting size on their ladder row)
+    DEPTH_HEATMAP_ENABLED: true,
+    DEPTH_HEATMAP_MAX_ALPHA: 0.6,           // Tint alpha for the largest level in the book
+    DEPTH_BID_RGB: "0, 255, 136",
+    DEPTH_ASK_RGB: "255, 85, 85",
+    
     // Fixed hex ladder (for fair tap-trading)
     // TICK_SIZE is computed on first price, this is just a fallback
     DEFAULT_TICK_SIZE: 0.01,    // $0.01 per hex row (fallback)
@@ -135,12 +370,32 @@ var CONFIG = {
     BUBBLE_DURATION: 1000,      // 1 second visible
     BUBBLE_FADE_DURATION: 200,  // 200ms fade out
     
-    // Candlestick config
-    CANDLE_DURATION_MS: 1000,       // 1 second candles
-    CANDLE_MAX_HISTORY: 120,        // Keep last 120 candles
-    CANDLE_WIDTH_PX: 4,             // Width of each candle body
-    CANDLE_GAP_PX: 2,               // Gap between candles
-    CANDLE_WICK_WIDTH: 1            // Wick line width
+    // Candlestick config - every timeframe is aggregated from the same ticks, the selector picks one to draw
+    CANDLE_TIMEFRAMES: [
+        { id: "1s", label: "1S", durationMs: 1000 },
+        { id: "5s", label: "5S", durationMs: 5000 },
+        { id: "15s", label: "15S", durationMs: 15000 },
+        { id: "1m", label: "1M", durationMs: 60000 }
+    ],
+    DEFAULT_CANDLE_TIMEFRAME: "1s",
+    // eased: the animated line price, bucketed by local time (candles match the line)
+    // raw: every accepted tick's reference price, bucketed by source time (true wicks)
+    // Both are always built; the CANDLES button picks which one is drawn
+    CANDLE_SOURCES: [
+        { id: "eased", label: "EASED" },
+        { id: "raw", label: "RAW" }
+    ],
+    DEFAULT_CANDLE_SOURCE: "eased",
+    CANDLE_MAX_HISTORY: 120,        // Keep last 120 candles per timeframe
+    CANDLE_WIDTH_PX: 4,             // Body : gap split of each candle's scroll extent
+    CANDLE_GAP_PX: 2,               // (4:2 -> the body fills 2/3 of the hex scroll distance of its duration)
+    CANDLE_WICK_WIDTH: 1,           // Wick line width
+    VOLUME_BAR_MAX_PX: 36,          // Tallest volume bar under the candles (largest visible candle volume)
+    VOLUME_BAR_ALPHA: 0.35,
+    
+    // Crosshair inspector (SECTION 8C) - hover with a mouse, long-press on touch
+    CROSSHAIR_LONG_PRESS_MS: 450,       // Hold this long to open it (a shorter tap still bets)
+    CROSSHAIR_MOVE_TOLERANCE_PX: 10     // Finger drift (CSS px) allowed while holding
 };
 
 // Computed config (derived from CONFIG)
@@ -171,16 +426,116 @@ var STATE = {
     bestAskStr: null,
     bestBid: CONFIG.DEFAULT_PRICE,
     bestAsk: CONFIG.DEFAULT_PRICE,
-    dlobSocket: null,
+    lastTick: null,             // Most recent accepted normalized tick (see createNormalizedTick)
+    depthLadder: { bids: new Map(), asks: new Map(), maxSize: 0 },  // ladderIndex -> resting size (see updateDepthLadder)
+    referenceMode: CONFIG.DEFAULT_REFERENCE_MODE,   // Selected reference price mode (CONFIG.REFERENCE_PRICE_MODES id)
+    referenceModeInUse: "mid",  // Mode behind the current target price (differs while falling back to mid)
+    lastTradePrice: null,       // Latest trade price for the "last" reference mode, once trades arrive
+    oracleBasisBps: null,       // (mid - oracle) / oracle of the last accepted tick in bps, null without an oracle
+    tradeTape: [],              // Newest first, normalized trades (see createNormalizedTrade)
+    tradeFlashes: [],           // {ladderIndex, side, startedAt} for big prints (see drawTradeFlash)
+    pendingTradeVolume: 0,      // Base size traded since the last updateCandleAggregator() call
+    pendingRawTradeVolume: 0,   // Same, for the raw candles (updateRawCandleAggregator)
+    tradeTapeEl: null,
+    priceSource: null,          // Active price source adapter (see SECTION 6A)
+    priceSourceGeneration: 0,   // Bumped on every source restart so stale callbacks are ignored
     reconnectTimeoutId: null,
+    
+    // Connection state machine (see CONFIG.CONNECTION_TRANSITIONS)
+    connection: {
+        state: "idle",
+        attempt: 0,             // Consecutive reconnect attempts since the last good tick
+        nextRetryAt: 0,         // getClockMs() of the scheduled retry (backoff only)
+        changedAt: 0,           // getClockMs() of the last transition
+        detail: ""              // Short reason for the last transition
+    },
+    
+    // Feed ordering and freshness (see acceptTickSequence)
+    feedHealth: {
+        lastSeq: null,          // sourceSeq of the last accepted tick
+        lastSourceTs: null,     // sourceTs of the last accepted tick (when the source sends one)
+        lastAcceptedAt: 0,      // getClockMs() of the last accepted tick
+        accepted: 0,
+        droppedStale: 0,        // Ticks older than one already applied
+        gaps: 0,                // Jumps past FEED_GAP_MIN_SEQ / FEED_GAP_MIN_MS
+        missedSeqs: 0,          // Slots skipped across all gaps
+        lagMs: 0,               // Wall time minus source time for the last accepted tick
+        degraded: false,        // lagMs > FEED_DEGRADED_LAG_MS
+        rejectedCrossed: 0,     // Sanity stage rejections (see checkTickSanity)
+        rejectedJump: 0,
+        rejectedOutlier: 0,
+        consecutiveRejects: 0,
+        recentMids: []          // Rolling window of accepted mids (SPIKE_FILTER.windowSize)
+    },
+    
+    // Feed worker (see SECTION 6F)
+    feedWorker: {
+        // This script's own URL - the worker runs it too. Only readable while the page runs it
+        scriptUrl: typeof document !== "undefined" && document.currentScript ? document.currentScript.src : "app.js",
+        failed: false           // Set when a worker dies before opening; later connects stay on the main thread
+    },
+    
+    // Session recorder (see SECTION 6D)
+    recorder: {
+        enabled: false,
+        db: null,               // IDBDatabase once opened
+        opening: false,
+        pending: [],            // Records waiting for the next flush
+        nextSeq: 0,             // Key of the next record (monotonic across page loads)
+        count: 0,               // Records currently stored (approximate, capped at RECORDER_MAX_RECORDS)
+        flushIntervalId: null,
+        recBtnEl: null
+    },
+    
+    // Deterministic replay (see SECTION 6E) - active when the price source is "replay"
+    replay: {
+        active: false,
+        playing: false,
+        speed: CONFIG.REPLAY_SOURCE.speed,
+        clockMs: 0,             // Replay clock - getClockMs() returns this while active
+        stepCount: 0,           // Fixed steps taken; clockMs = stepCount * frameMs
+        accumulatorMs: 0,       // Wall time * speed not yet turned into steps
+        records: [],            // Parsed NDJSON lines of the loaded file
+        index: 0,               // Next record to emit
+        startT: 0,              // t of the first record (replay clock 0)
+        hooks: null,            // Hooks of the subscribed replay adapter
+        fileText: null,         // Contents of a file opened from the controls (null = fetch CONFIG url)
+        fileName: CONFIG.REPLAY_SOURCE.url,
+        controlsEl: null,
+        playBtnEl: null,
+        clockEl: null
+    },
+    
+    // Market selection (see CONFIG.MARKETS)
+    activeMarketSymbol: CONFIG.DRIFT_MARKET,
+    marketSessions: new Map(),  // symbol -> saved bets/history/ladder of inactive markets
     priceMin: CONFIG.MIN_PRICE,
     priceMax: CONFIG.MAX_PRICE,
     latestLow: CONFIG.MIN_PRICE,
     latestHigh: CONFIG.MAX_PRICE,
     
-    // Dynamic zoom state (for 24h zoom out mode, kept but not used)
+    // 24h market stats for the active market (see SECTION 6G)
     driftLow24h: CONFIG.MIN_PRICE,
     driftHigh24h: CONFIG.MAX_PRICE,
+    marketStats: null,          // Latest normalized stats (see normalizeMarketStats), null until the first reply
+    marketStatsExpanded: false, // Strip under the header shows every field (else just the tab)
+    marketStatsTapRect: null,   // {x, y, width, height} of the strip as last drawn, for handleCanvasClick()
+    marketStatsTimerId: null,
+    
+    // Outages in the trail and their backfill (see SECTION 6H)
+    backfill: {
+        regions: []             // {market, fromScrollX, toScrollX, fromTs, toTs, status: "pending"|"filled"|"failed", timeoutId}
+    },
+    
+    // Indicator overlays (see SECTION 6I)
+    indicators: {
+        settings: {},           // id -> {enabled, params}; CONFIG.INDICATORS defaults merged with saved ones
+        samples: [],            // Accepted ticks of the active market: {scrollX, ts, price, volume, notional}
+        calc: {},               // id -> running calculator state (see stepIndicator)
+        points: {},             // id -> [{scrollX, worldYs}] - FROZEN outputs, one worldY per line
+        pendingVolume: 0,       // Trade size and size * price since the last sample (for VWAP)
+        pendingNotional: 0
+    },
     
     // Hexagon scroll
     hexScrollPosition: 0,       // Total pixels scrolled (always increases)
@@ -188,7 +543,11 @@ var STATE = {
     
     // Canvas resize state (for proper PX_PER_TICK initialization)
     canvasResized: false,       // True after resizeCanvas() runs with real dimensions
-    pendingFirstPrice: null,    // First price from websocket, held until canvas is resized
+    canvasWidth: 300,           // Canvas size in CSS pixels (element defaults until resized) -
+    canvasHeight: 150,          // all drawing and hit-testing use these, not canvas.width/height
+    devicePixelRatio: 1,        // Backing store scale set by resizeCanvas()
+    dprMediaQuery: null,        // matchMedia list that fires when the DPR changes (watchDevicePixelRatio)
+    pendingFirstTick: null,     // First tick from the price source, held until canvas is resized
     
     // Distance-based trail history (for accurate line drawing that matches hex scroll)
     // Each point stores FROZEN worldY at capture time - never recomputed
@@ -211,6 +570,63 @@ var STATE = {
     lastTwoFingerY: 0,
     activeTouches: [],
     
+    // Crosshair inspector (SECTION 8C)
+    crosshair: {
+        active: false,
+        source: null,               // "hover" (mouse) or "press" (touch long-press)
+        x: 0,                       // Pointer in canvas pixels
+        y: 0,
+        pressTimerId: null,         // Pending long-press timer
+        pressClientX: 0,            // Where the held finger went down (CSS px)
+        pressClientY: 0
+    },
+    
+    // Hex render cache (SECTION 7B)
+    hexCache: {
+        enabled: true,          // CONFIG.HEX_CACHE.enabled unless ?hexcache=0 (set in boot)
+        key: "",                // Geometry the cache was rasterized for (getHexCacheKey)
+        dpr: 1,                 // devicePixelRatio the cache canvases were rasterized at
+        atlas: null,            // Canvas with one sprite cell per CONFIG.HEX_STYLES state, in a row
+        atlasCell: 0,           // Sprite cell edge in CSS px
+        atlasIndex: {},         // state -> cell index in the atlas
+        strips: {},             // "even_normal", "odd_passed", ... -> {canvas, margin, length}
+        minRow: Infinity,       // Ladder rows the strips cover (empty until first built)
+        maxRow: -Infinity,
+        rebuilds: 0             // Times the strips were re-rasterized (debug overlay)
+    },
+    frameDrawMs: 0,             // Smoothed drawChart() time in ms (debug overlay)
+    hexRenderer: "2d",          // Backend in use: "webgl" or "2d" (initHexRenderer)
+    
+    // Render worker (SECTION 10C)
+    renderWorker: {
+        inWorker: false,        // True in the worker itself (isRenderWorkerScope)
+        active: false,          // Page side: the canvas was handed to the worker, which draws it
+        worker: null,
+        awaitingFrame: false,   // A frame was posted and the worker has not answered "drawn" yet
+        sent: {},               // Sync key -> signature of the value last posted (getRenderSyncSignature)
+        versions: {},           // STATE key -> mutations of a synced Set/Map (markRenderSyncMutated)
+        sentLists: {},          // Sync key -> {list, length, last} of an array last posted (getRenderListDelta)
+        clockMs: 0,             // Worker side: page clock of the frame being drawn (getClockMs)
+        portrait: false,        // Worker side: page orientation of the frame being drawn (isPortraitMode)
+        indicatorLabels: {}     // Worker side: id -> label the page computed (getIndicatorLabel)
+    },
+    
+    // WebGL hex renderer (SECTION 7C), set up by initHexWebGL()
+    hexGL: {
+        canvas: null,           // Offscreen canvas the field is drawn on, then blitted into STATE.ctx
+        gl: null,
+        program: null,
+        attribs: {},            // Attribute locations by name
+        uniforms: {},           // Uniform locations by name
+        cornerBuffer: null,     // Static unit quad
+        instanceBuffer: null,   // Per-hex attributes, re-filled every frame
+        instanceData: null,     // Float32Array backing instanceBuffer (grows as needed)
+        drawInstanced: null,    // gl.drawArraysInstanced or the ANGLE_instanced_arrays equivalent
+        attribDivisor: null,    // gl.vertexAttribDivisor or the ANGLE_instanced_arrays equivalent
+        styleIndex: {},         // state -> index into the style uniforms (Object.keys(CONFIG.HEX_STYLES) order)
+        colors: {}              // Tint/flash "r, g, b" string -> parseCssColor() result (getHexGLColor)
+    },
+    
     // Hexagon tracking
     pinkHexagons: new Set(),    // User-selected hexagons (stores absolute ladder indices)
     yellowHexagons: new Map(),  // AI user bets: ladderIndex -> {name, timestamp, leverage, worldCol}
@@ -231,9 +647,15 @@ var STATE = {
     
     // Candlestick state (1-second candles)
     // Each candle stores FROZEN worldY values at capture time - never recomputed
-    candleHistory: [],              // Array of {open, high, low, close, scrollX, openWorldY, highWorldY, lowWorldY, closeWorldY} - finalized candles
-    currentCandle: null,            // {open, high, low, close, startSecond, startScrollX, openWorldY, highWorldY, lowWorldY, closeWorldY} - candle being built
-    lastCandleSecond: 0,            // floor(timestamp/1000) of last processed candle
+    trailArchive: [],               // {scrollX, price, worldY} older than trailHistory, downsampled (see archiveTrailPoint)
+    
+    // candle source id -> timeframe id -> {history, current, archive} (see createCandleSeries)
+    // archive: candles pushed out of history, oldest first, pairs merged when over budget
+    // history: finalized {open, high, low, close, volume, startScrollX, scrollX, openWorldY, highWorldY, lowWorldY, closeWorldY, reconstructed?}
+    // current: the candle being built, same fields plus bucket (floor(timestamp / durationMs)) and no scrollX yet
+    candleSeries: createCandleSeries(),
+    candleTimeframe: CONFIG.DEFAULT_CANDLE_TIMEFRAME,   // Timeframe drawn by drawCandlesticks()
+    candleSource: CONFIG.DEFAULT_CANDLE_SOURCE,         // Source drawn by drawCandlesticks() (CONFIG.CANDLE_SOURCES id)
     
     // Manual navigation state (D-pad controls)
     manualPan: { x: 0, y: 0 },      // Manual pan offset in pixels (additive to auto)
@@ -244,7 +666,8 @@ var STATE = {
     tradingBalance: 1000,           // Starting balance $1000
     tradingBetAmount: 1,            // Default bet amount $1
     tradingLeverage: 2,             // Default leverage 2x
-    activeBets: new Map(),          // hexId -> {amount, leverage} for user bets awaiting settlement
+    activeBets: new Map(),          // hexId -> {amount, leverage, referenceMode, ...} for user bets awaiting settlement
+    settlementLog: [],              // Settled bets with the reference mode they were placed and settled under (saved, see loadSettlementLog)
 
     // Debug overlay state
     debug: {
@@ -262,6 +685,9 @@ var STATE = {
     loadingErrorEl: null,
     loadingErrorMessageEl: null,
     loadingErrorStackEl: null,
+    loadingStatusEl: null,
+    loadingRetryBtnEl: null,
+    connectionRetryBtnEl: null,
     loadingVisible: true
 };
 
@@ -274,12 +700,19 @@ var STATE = {
  */
 function initDOM() {
     STATE.canvas = mustGetEl("main-canvas");
-    STATE.ctx = STATE.canvas.getContext("2d");
-    assert(STATE.ctx !== null, "Failed to get 2D context from canvas");
+    // The render worker (SECTION 10C) can only take the canvas over while it has no context
+    if (!canUseRenderWorker()) {
+        STATE.ctx = STATE.canvas.getContext("2d");
+        assert(STATE.ctx !== null, "Failed to get 2D context from canvas");
+    }
     STATE.loadingOverlayEl = document.getElementById("loading-overlay");
     STATE.loadingErrorEl = document.getElementById("loading-error");
     STATE.loadingErrorMessageEl = document.getElementById("loading-error-message");
     STATE.loadingErrorStackEl = document.getElementById("loading-error-stack");
+    STATE.loadingStatusEl = document.getElementById("loading-status");
+    STATE.loadingRetryBtnEl = document.getElementById("loading-retry-btn");
+    STATE.connectionRetryBtnEl = document.getElementById("connection-retry-btn");
+    STATE.tradeTapeEl = document.getElementById("trade-tape");
 }
 
 /**
@@ -315,10 +748,7 @@ function initDebugOverlay() {
     title.textContent = "DEBUG";
     title.style.cssText = "font-weight:bold;color:#FFD700;";
 
-    var toggleBtn = document.createElement("button");
-    toggleBtn.textContent = "Hide";
-    toggleBtn.style.cssText = [
-        "margin-left:auto",
+    var buttonCss = [
         "background:#111",
         "color:#00FFCC",
         "border:1px solid rgba(0,255,204,0.4)",
@@ -328,6 +758,10 @@ function initDebugOverlay() {
         "cursor:pointer"
     ].join(";");
 
+    var toggleBtn = document.createElement("button");
+    toggleBtn.textContent = "Hide";
+    toggleBtn.style.cssText = "margin-left:auto;" + buttonCss;
+
     var summary = document.createElement("div");
     summary.style.cssText = "margin-bottom:6px;white-space:pre-wrap;";
 
@@ -342,6 +776,7 @@ function initDebugOverlay() {
 
     header.appendChild(title);
     header.appendChild(toggleBtn);
+    initRecorderControls(header, buttonCss);
     overlay.appendChild(header);
     overlay.appendChild(summary);
     overlay.appendChild(content);
@@ -366,6 +801,11 @@ function initDebugOverlay() {
  * @param {string} message
  */
 function logDebug(message) {
+    if (STATE.renderWorker.inWorker) {
+        // The worker has no overlay - its lines go to the page's
+        self.postMessage({ type: "log", message: message });
+        return;
+    }
     var now = new Date();
     var stamp = now.toISOString().split("T")[1].replace("Z", "");
     var line = "[" + stamp + "] " + message;
@@ -386,17 +826,25 @@ function updateDebugOverlay() {
     if (!STATE.debug.summaryEl) {
         return;
     }
-    var nowMs = performance.now();
-    var wsState = STATE.dlobSocket ? STATE.dlobSocket.readyState : -1;
-    var wsStateLabel = ["CONNECTING", "OPEN", "CLOSING", "CLOSED"][wsState] || "NONE";
+    var nowMs = getClockMs();
+    var sourceName = STATE.priceSource ? STATE.priceSource.name : "none";
+    var sourceStateLabel = STATE.priceSource ? STATE.priceSource.getStateLabel() : "NONE";
     var lastAgeMs = STATE.debug.lastMsgAt ? Math.max(0, nowMs - STATE.debug.lastMsgAt) : -1;
     var online = isOnline(nowMs);
 
     var summary = [
-        "ws=" + wsStateLabel + " online=" + online,
+        "source=" + sourceName + " " + sourceStateLabel + " online=" + online,
+        "conn=" + STATE.connection.state + " attempt=" + STATE.connection.attempt,
+        getFeedHealthSummary(),
+        getRecorderSummary(),
         "price=" + formatPrice(STATE.currentPrice, 6) + " target=" + formatPrice(STATE.targetPrice, 6),
         "lastMsgAgeMs=" + (lastAgeMs >= 0 ? Math.floor(lastAgeMs) : "n/a"),
-        "hasFirstPrice=" + STATE.hasReceivedFirstPrice + " canvasResized=" + STATE.canvasResized
+        "hasFirstPrice=" + STATE.hasReceivedFirstPrice + " canvasResized=" + STATE.canvasResized +
+            " dpr=" + STATE.devicePixelRatio,
+        "drawMs=" + STATE.frameDrawMs.toFixed(2) + " renderer=" + STATE.hexRenderer +
+            (STATE.renderWorker.active ? " (worker)" : "") +
+            " hexCache=" + (STATE.hexCache.enabled ? "on" : "off") +
+            " rebuilds=" + STATE.hexCache.rebuilds
     ].join("\n");
 
     STATE.debug.summaryEl.textContent = summary;
@@ -413,8 +861,19 @@ function resizeCanvas() {
     
     // Only proceed if we have valid dimensions
     if (newWidth > 0 && newHeight > 0) {
-        STATE.canvas.width = newWidth;
-        STATE.canvas.height = newHeight;
+        // Backing store in device pixels, drawing in CSS pixels: everything else
+        // (layout, hit-testing, the frozen ladder geometry) only sees canvasWidth/canvasHeight
+        var dpr = window.devicePixelRatio || 1;
+        STATE.devicePixelRatio = dpr;
+        STATE.canvasWidth = newWidth;
+        STATE.canvasHeight = newHeight;
+        // A canvas handed to the render worker is sized there, from the synced canvasWidth/Height
+        if (STATE.ctx !== null) {
+            STATE.canvas.width = Math.round(newWidth * dpr);
+            STATE.canvas.height = Math.round(newHeight * dpr);
+            // Resizing the backing store resets the context, so the scale is set every time
+            STATE.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        }
         
         // Mark canvas as properly resized
         if (!STATE.canvasResized) {
@@ -422,15 +881,50 @@ function resizeCanvas() {
             console.log("Canvas resized to " + newWidth + "x" + newHeight);
             
             // If we have a pending first price, initialize the ladder now
-            if (STATE.pendingFirstPrice !== null && !STATE.hasReceivedFirstPrice) {
-                console.log("Canvas ready, initializing with pending price: $" + STATE.pendingFirstPrice.toFixed(4));
-                initializeWithRealPrice(STATE.pendingFirstPrice);
-                STATE.pendingFirstPrice = null;
+            if (STATE.pendingFirstTick !== null && !STATE.hasReceivedFirstPrice) {
+                console.log("Canvas ready, initializing with pending price: $" + STATE.pendingFirstTick.mid.toFixed(4));
+                initializeWithRealPrice(STATE.pendingFirstTick);
+                STATE.pendingFirstTick = null;
             }
         }
     }
 }
 
+/**
+ * Re-run resizeCanvas() when devicePixelRatio changes without a resize event
+ * (window dragged to a screen with a different density, some pinch/browser zooms).
+ * A resolution media query only matches one DPR, so it is re-armed for the new one each time.
+ */
+function watchDevicePixelRatio() {
+    if (!window.matchMedia) {
+        return;
+    }
+    var previous = STATE.dprMediaQuery;
+    if (previous !== null) {
+        if (previous.removeEventListener) {
+            previous.removeEventListener("change", handleDevicePixelRatioChange);
+        } else {
+            previous.removeListener(handleDevicePixelRatioChange);
+        }
+    }
+    var query = window.matchMedia("(resolution: " + (window.devicePixelRatio || 1) + "dppx)");
+    if (query.addEventListener) {
+        query.addEventListener("change", handleDevicePixelRatioChange);
+    } else {
+        query.addListener(handleDevicePixelRatioChange);
+    }
+    STATE.dprMediaQuery = query;
+}
+
+/**
+ * devicePixelRatio changed: rebuild the backing store at the new density
+ */
+function handleDevicePixelRatioChange() {
+    logDebug("devicePixelRatio " + STATE.devicePixelRatio + " -> " + (window.devicePixelRatio || 1));
+    resizeCanvas();
+    watchDevicePixelRatio();
+}
+
 /**
  * Initialize Web Audio API context
  */
@@ -531,6 +1025,9 @@ function loadLogoImage() {
     STATE.logoImage.onload = function() {
         STATE.logoLoaded = true;
         console.log("Logo image loaded successfully");
+        if (STATE.renderWorker.active) {
+            postRenderWorkerLogo();
+        }
     };
     STATE.logoImage.onerror = function() {
         console.warn("Failed to load logo image");
@@ -548,8 +1045,8 @@ function drawLogoBackground() {
     }
     
     var ctx = STATE.ctx;
-    var canvasWidth = STATE.canvas.width;
-    var canvasHeight = STATE.canvas.height;
+    var canvasWidth = STATE.canvasWidth;
+    var canvasHeight = STATE.canvasHeight;
     
     // Calculate size to fit nicely in the canvas (80% of smaller dimension)
     var maxSize = Math.min(canvasWidth, canvasHeight) * 0.8;
@@ -581,10 +1078,13 @@ function drawLogoBackground() {
 // ============================================================================
 
 /**
- * Check if we're currently in portrait mode
+ * Check if we're currently in portrait mode (the render worker gets it with each frame)
  * @returns {boolean}
  */
 function isPortraitMode() {
+    if (STATE.renderWorker.inWorker) {
+        return STATE.renderWorker.portrait;
+    }
     return window.innerHeight > window.innerWidth;
 }
 
@@ -819,49 +1319,103 @@ function updateFullscreenButton() {
 // ============================================================================
 
 /**
- * Parse a price value from DLOB, handling both decimal strings and fixed-point integers
- * Drift typically sends prices as integers scaled by 1e6 (PRICE_PRECISION)
- * @param {string|number} priceValue - Raw price from orderbook
- * @returns {number|null} - Parsed price in USD or null if invalid
+ * Decode a DLOB fixed-point value into an exact decimal string
+ * The value is always scaled by 10^precisionExp: its digit string is shifted by moving
+ * the decimal point, so nothing is rounded on the way. Whole numbers are expanded with
+ * BigInt (String() would switch to exponent form at 1e21); "140000000.0" or "1.4e8"
+ * decode the same as "140000000".
+ * @param {string|number} value - Raw value from the orderbook
+ * @param {number} precisionExp - Fixed-point exponent (6 for PRICE_PRECISION)
+ * @returns {string|null} - e.g. "140.123456", or null if invalid or not positive
  */
-function parseDlobPrice(priceValue) {
-    if (priceValue === null || priceValue === undefined) {
+function decodeFixedPoint(value, precisionExp) {
+    if (value === null || value === undefined) {
         return null;
     }
     
-    var priceStr = String(priceValue);
-    var parsed = Number.parseFloat(priceStr);
-    
-    if (!isFinite(parsed) || parsed <= 0) {
+    var str = typeof value === "number" && Number.isInteger(value) ? BigInt(value).toString() : String(value).trim();
+    var match = /^(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(str);
+    if (match === null || match[1] + (match[2] || "") === "") {
         return null;
     }
-    
-    // Check if the string contains a decimal point
-    // If it looks like "138.717", it's already in USD
-    // If it looks like "138469695" (large integer), it's likely scaled by 1e6
-    if (priceStr.indexOf('.') !== -1) {
-        // Already has decimal - use as-is
-        return parsed;
+    var digits = match[1] + (match[2] || "");
+    if (/^0+$/.test(digits)) {
+        return null;
     }
     
-    // No decimal point - check if it's a large integer that needs scaling
-    // Drift uses 1e6 (PRICE_PRECISION) for perp prices
-    // SOL at ~$140 would be sent as ~140000000 (140 * 1e6)
-    if (parsed > 100000) {
-        // Likely a fixed-point integer, scale down by 1e6
-        return parsed / 1e6;
+    // Index of the decimal point in digits once scaled down by 10^precisionExp
+    var point = match[1].length + Number(match[3] || 0) - precisionExp;
+    while (point < 1) {
+        digits = "0" + digits;
+        point++;
     }
-    
-    // Small integer without decimal - use as-is (unlikely but handle gracefully)
-    return parsed;
+    while (digits.length < point) {
+        digits = digits + "0";
+    }
+    var intPart = digits.slice(0, point).replace(/^0+(?=\d)/, "");
+    var fracPart = digits.slice(point);
+    return fracPart.length > 0 ? intPart + "." + fracPart : intPart;
+}
+
+/**
+ * Parse a price value from DLOB using the market's PRICE_PRECISION exponent
+ * @param {string|number} priceValue - Raw price from orderbook
+ * @param {Object} market - Market from CONFIG.MARKETS
+ * @returns {number|null} - Parsed price in USD or null if invalid
+ */
+function parseDlobPrice(priceValue, market) {
+    var decoded = decodeFixedPoint(priceValue, market.pricePrecisionExp);
+    return decoded === null ? null : Number(decoded);
+}
+
+/**
+ * Build a normalized tick - the only price shape the app consumes
+ * Every price source adapter emits these, whatever its wire format
+ * @param {Object} fields - {market, bid, ask, mid?, bidSize?, askSize?, oracle?, bidStr?, askStr?,
+ *   sourceTs?, sourceSeq?, receivedAt?, depth?}
+ * @returns {Object} - {market, bid, ask, mid, bidSize, askSize, microprice, oracle, bidStr, askStr,
+ *   sourceTs, hasSourceTs, sourceSeq, receivedAt, depth}
+ *   sourceTs is epoch ms from the source (falls back to local wall time, hasSourceTs tells which),
+ *   sourceSeq is the source's monotonic sequence (DLOB slot) or null,
+ *   receivedAt is getClockMs() at arrival,
+ *   sizes, microprice, oracle and depth are null when the source does not provide them
+ */
+function createNormalizedTick(fields) {
+    var mid = isFinite(fields.mid) ? fields.mid : (fields.bid + fields.ask) / 2;
+    var sourceTs = Number(fields.sourceTs);
+    var hasSourceTs = isFinite(sourceTs) && sourceTs > 0;
+    var sourceSeq = fields.sourceSeq === undefined || fields.sourceSeq === null ? NaN : Number(fields.sourceSeq);
+    var bidSize = Number(fields.bidSize);
+    var askSize = Number(fields.askSize);
+    var hasSizes = isFinite(bidSize) && isFinite(askSize) && bidSize > 0 && askSize > 0;
+    return {
+        market: fields.market || STATE.activeMarketSymbol,
+        bid: fields.bid,
+        ask: fields.ask,
+        mid: mid,
+        bidSize: hasSizes ? bidSize : null,
+        askSize: hasSizes ? askSize : null,
+        // Microprice leans toward the side with less size (the likelier next move)
+        microprice: hasSizes ? (fields.bid * askSize + fields.ask * bidSize) / (bidSize + askSize) : null,
+        oracle: isFinite(fields.oracle) && fields.oracle > 0 ? fields.oracle : null,
+        bidStr: fields.bidStr !== undefined ? String(fields.bidStr) : String(fields.bid),
+        askStr: fields.askStr !== undefined ? String(fields.askStr) : String(fields.ask),
+        sourceTs: hasSourceTs ? sourceTs : Date.now(),
+        hasSourceTs: hasSourceTs,
+        sourceSeq: isFinite(sourceSeq) ? sourceSeq : null,
+        receivedAt: isFinite(fields.receivedAt) ? fields.receivedAt : getClockMs(),
+        depth: fields.depth || null
+    };
 }
 
 /**
- * Parse DLOB orderbook message and extract mid price
+ * Normalize a DLOB orderbook payload ({bids, asks, marketName?, ts?}) into a tick
+ * Exact decoded price strings are kept for full precision display
  * @param {Object} data - Parsed orderbook data
- * @returns {number|null} - Mid price or null if invalid
+ * @param {number} receivedAt - getClockMs() when the frame arrived
+ * @returns {Object|null} - Normalized tick or null if invalid
  */
-function extractMidPriceFromOrderbook(data) {
+function normalizeOrderbookTick(data, receivedAt) {
     try {
         var bids = data.bids;
         var asks = data.asks;
@@ -870,30 +1424,128 @@ function extractMidPriceFromOrderbook(data) {
             return null;
         }
         
-        // Best bid is first element, best ask is first element
-        var bestBid = parseDlobPrice(bids[0].price);
-        var bestAsk = parseDlobPrice(asks[0].price);
-        
-        if (bestBid === null || bestAsk === null) {
-            return null;
-        }
+        // Precision comes from the frame's market; frames without marketName are for the active one
+        var market = (data.marketName && getMarketConfig(data.marketName)) || getActiveMarket();
         
-        // Compute mid price
-        var mid = (bestBid + bestAsk) / 2;
+        // Best bid is first element, best ask is first element
+        var bestBidStr = decodeFixedPoint(bids[0].price, market.pricePrecisionExp);
+        var bestAskStr = decodeFixedPoint(asks[0].price, market.pricePrecisionExp);
         
-        // Sanity check: SOL price should be between 1 and 10000
-        if (mid < 1 || mid > 10000) {
-            console.warn("Mid price outside sane range for SOL:", mid, "bid:", bestBid, "ask:", bestAsk);
+        if (bestBidStr === null || bestAskStr === null) {
             return null;
         }
         
-        return mid;
+        return createNormalizedTick({
+            market: data.marketName,
+            bid: Number(bestBidStr),
+            ask: Number(bestAskStr),
+            bidStr: bestBidStr,
+            askStr: bestAskStr,
+            bidSize: parseDlobSize(bids[0].size, market),
+            askSize: parseDlobSize(asks[0].size, market),
+            oracle: parseDlobPrice(data.oracleData && data.oracleData.price !== undefined ? data.oracleData.price : data.oracle, market),
+            sourceTs: data.ts,
+            sourceSeq: data.slot,
+            receivedAt: receivedAt,
+            depth: {
+                bids: parseDlobLevels(bids, market),
+                asks: parseDlobLevels(asks, market)
+            }
+        });
     } catch (err) {
-        console.warn("Failed to extract mid price:", err.message);
+        console.warn("Failed to normalize orderbook:", err.message);
         return null;
     }
 }
 
+/**
+ * Build a normalized trade - the only trade shape the app consumes
+ * @param {Object} fields - {market, price, size, side, sourceTs?, receivedAt?}
+ * @returns {Object} - {market, price, size, side, sourceTs, receivedAt}
+ *   side is the taker's: "buy" or "sell"
+ */
+function createNormalizedTrade(fields) {
+    var sourceTs = Number(fields.sourceTs);
+    return {
+        market: fields.market || STATE.activeMarketSymbol,
+        price: fields.price,
+        size: fields.size,
+        side: fields.side === "sell" ? "sell" : "buy",
+        sourceTs: isFinite(sourceTs) && sourceTs > 0 ? sourceTs : Date.now(),
+        receivedAt: isFinite(fields.receivedAt) ? fields.receivedAt : getClockMs()
+    };
+}
+
+/**
+ * Normalize a DLOB trades payload (one fill event or an array of them)
+ * Price is quoteAssetAmountFilled / baseAssetAmountFilled unless the event has a price.
+ * Events that are not fills, or do not parse, are skipped.
+ * @param {Object|Array<Object>} data - Parsed trades data
+ * @param {number} receivedAt - getClockMs() when the frame arrived
+ * @returns {Array<Object>} - Normalized trades
+ */
+function normalizeTradeEvents(data, receivedAt) {
+    var events = Array.isArray(data) ? data : [data];
+    var out = [];
+    for (var i = 0; i < events.length; i++) {
+        var event = events[i];
+        if (!event || (event.action && event.action !== "fill")) {
+            continue;
+        }
+        var market = (event.marketName && getMarketConfig(event.marketName)) ||
+            getMarketByIndex(event.marketType || "perp", Number(event.marketIndex)) ||
+            getActiveMarket();
+        var size = parseDlobSize(event.baseAssetAmountFilled, market);
+        var price = event.price !== undefined ? parseDlobPrice(event.price, market) : null;
+        if (price === null && size !== null) {
+            var quote = decodeFixedPoint(event.quoteAssetAmountFilled, CONFIG.DLOB_QUOTE_PRECISION_EXP);
+            // quote/base is an average fill price - round it back to the market's price precision
+            price = quote !== null ? Number((Number(quote) / size).toFixed(market.pricePrecisionExp)) : null;
+        }
+        if (price === null || size === null || !isFinite(price)) {
+            continue;
+        }
+        out.push(createNormalizedTrade({
+            market: market.symbol,
+            price: price,
+            size: size,
+            side: event.takerOrderDirection === "short" ? "sell" : "buy",
+            sourceTs: event.ts,
+            receivedAt: receivedAt
+        }));
+    }
+    return out;
+}
+
+/**
+ * Parse a DLOB order size (base asset amount) using the market's BASE_PRECISION exponent
+ * @param {string|number} sizeValue
+ * @param {Object} market - Market from CONFIG.MARKETS
+ * @returns {number|null}
+ */
+function parseDlobSize(sizeValue, market) {
+    var decoded = decodeFixedPoint(sizeValue, market.basePrecisionExp);
+    return decoded === null ? null : Number(decoded);
+}
+
+/**
+ * Parse one side of a DLOB book, skipping levels that do not parse
+ * @param {Array<Object>} levels - [{price, size}, ...]
+ * @param {Object} market - Market from CONFIG.MARKETS
+ * @returns {Array<{price: number, size: number}>}
+ */
+function parseDlobLevels(levels, market) {
+    var out = [];
+    for (var i = 0; i < levels.length; i++) {
+        var price = parseDlobPrice(levels[i].price, market);
+        var size = parseDlobSize(levels[i].size, market);
+        if (price !== null && size !== null) {
+            out.push({ price: price, size: size });
+        }
+    }
+    return out;
+}
+
 /**
  * Count decimal places in a price string
  * @param {string} s - Price string from websocket
@@ -925,33 +1577,38 @@ function getCurrentRangeSpan() {
 
 /**
  * Get decimal places for the main header price display
- * Default 4 decimals, auto-increase to 5-6 if volatility is very low
+ * Defaults to the market's displayDecimals, auto-increase by 1-2 if volatility is very low
+ * Thresholds scale with the market tick size (SOL-PERP: 0.005 and 0.02)
  * @param {number} rangeSpan - The 5-second price range span
- * @returns {number} - Number of decimals (4-6)
+ * @returns {number} - Number of decimals (displayDecimals to displayDecimals + 2)
  */
 function getHeaderDecimals(rangeSpan) {
+    var market = getActiveMarket();
     // For very tight ranges, show more decimals so movement is visible
-    if (rangeSpan < 0.005) {
-        return 6; // Ultra-tight: show 6 decimals
-    } else if (rangeSpan < 0.02) {
-        return 5; // Very tight: show 5 decimals
+    if (rangeSpan < market.tickSize * 0.5) {
+        return market.displayDecimals + 2; // Ultra-tight
+    } else if (rangeSpan < market.tickSize * 2) {
+        return market.displayDecimals + 1; // Very tight
     }
-    return 4; // Default: 4 decimals
+    return market.displayDecimals;
 }
 
 /**
- * Get decimal places for hex tile labels
- * Default 2 decimals, increase for tight ranges
+ * Get decimal places for grid labels
+ * Defaults to 2 fewer than the market's displayDecimals, increase for tight ranges
+ * Thresholds scale with the market tick size (SOL-PERP: 0.05 and 0.20)
  * @param {number} rangeSpan - The visible grid price range span
- * @returns {number} - Number of decimals (2-4)
+ * @returns {number} - Number of decimals (displayDecimals - 2 to displayDecimals)
  */
 function getTileDecimals(rangeSpan) {
-    if (rangeSpan < 0.05) {
-        return 4; // Very tight: show 4 decimals
-    } else if (rangeSpan < 0.20) {
-        return 3; // Tight: show 3 decimals
+    var market = getActiveMarket();
+    var base = Math.max(0, market.displayDecimals - 2);
+    if (rangeSpan < market.tickSize * 5) {
+        return base + 2; // Very tight
+    } else if (rangeSpan < market.tickSize * 20) {
+        return base + 1; // Tight
     }
-    return 2; // Default: 2 decimals for readability
+    return base; // Default: fewer decimals for readability
 }
 
 /**
@@ -983,804 +1640,2124 @@ function formatPercent(percent, decimals) {
 }
 
 /**
- * Extract mid price and store raw strings for full precision display
- * @param {Object} data - Parsed orderbook data
- * @returns {number|null} - Mid price or null if invalid
+ * Empty candle series, one per CONFIG.CANDLE_SOURCES x CONFIG.CANDLE_TIMEFRAMES entry
+ * @returns {Object} - source id -> timeframe id -> {history: [], current: null, archive: []}
  */
-function extractMidPriceAndStoreRaw(data) {
-    try {
-        var bids = data.bids;
-        var asks = data.asks;
-        
-        if (!bids || !asks || bids.length === 0 || asks.length === 0) {
-            return null;
-        }
-        
-        // Store raw price strings for full precision display
-        STATE.bestBidStr = String(bids[0].price);
-        STATE.bestAskStr = String(asks[0].price);
-        
-        // Parse numeric values for calculations
-        var bestBid = parseDlobPrice(bids[0].price);
-        var bestAsk = parseDlobPrice(asks[0].price);
-        
-        if (bestBid === null || bestAsk === null) {
-            return null;
-        }
-        
-        // Store numeric values
-        STATE.bestBid = bestBid;
-        STATE.bestAsk = bestAsk;
-        
-        // Compute mid price (full precision float)
-        var mid = (bestBid + bestAsk) / 2;
-        
-        // Sanity check: SOL price should be between 1 and 10000
-        if (mid < 1 || mid > 10000) {
-            console.warn("Mid price outside sane range for SOL:", mid, "bid:", bestBid, "ask:", bestAsk);
-            return null;
+function createCandleSeries() {
+    var sources = {};
+    CONFIG.CANDLE_SOURCES.forEach(function(source) {
+        var series = {};
+        CONFIG.CANDLE_TIMEFRAMES.forEach(function(timeframe) {
+            series[timeframe.id] = { history: [], current: null, archive: [] };
+        });
+        sources[source.id] = series;
+    });
+    return sources;
+}
+
+/**
+ * Call fn for every candle series of every source
+ * @param {Function} fn - fn(series, timeframe, sourceId)
+ */
+function forEachCandleSeries(fn) {
+    CONFIG.CANDLE_SOURCES.forEach(function(source) {
+        CONFIG.CANDLE_TIMEFRAMES.forEach(function(timeframe) {
+            fn(STATE.candleSeries[source.id][timeframe.id], timeframe, source.id);
+        });
+    });
+}
+
+/**
+ * Look up a timeframe by id
+ * @param {string} id
+ * @returns {Object|null} - CONFIG.CANDLE_TIMEFRAMES entry
+ */
+function getCandleTimeframe(id) {
+    for (var i = 0; i < CONFIG.CANDLE_TIMEFRAMES.length; i++) {
+        if (CONFIG.CANDLE_TIMEFRAMES[i].id === id) {
+            return CONFIG.CANDLE_TIMEFRAMES[i];
         }
-        
-        return mid;
-    } catch (err) {
-        console.warn("Failed to extract mid price:", err.message);
-        return null;
     }
+    return null;
+}
+
+/**
+ * Finalized candles of the source and timeframe selected for drawing
+ * @returns {Array<Object>}
+ */
+function getVisibleCandleHistory() {
+    return STATE.candleSeries[STATE.candleSource][STATE.candleTimeframe].history;
+}
+
+/**
+ * Archived (older, possibly merged) candles of the selected source and timeframe
+ * @returns {Array<Object>}
+ */
+function getVisibleCandleArchive() {
+    return STATE.candleSeries[STATE.candleSource][STATE.candleTimeframe].archive;
 }
 
 /**
- * Update candlestick aggregator with a new price tick
- * Called when we receive a valid price from the WebSocket
- * @param {number} price - The new price
+ * Update every timeframe's eased candles with the animated line price
+ * Called every frame from updatePrice() while online
+ * @param {number} price - The eased price (STATE.currentPrice)
  * @param {number} nowMs - Current timestamp in ms
  */
 function updateCandleAggregator(price, nowMs) {
-    var currentSecond = Math.floor(nowMs / CONFIG.CANDLE_DURATION_MS);
-    var currentScrollX = STATE.hexScrollPosition;
+    // Trades since the last call belong to the candles open now (see handleTrade)
+    var tradedVolume = STATE.pendingTradeVolume;
+    STATE.pendingTradeVolume = 0;
+    aggregateCandles(STATE.candleSeries.eased, price, nowMs, tradedVolume);
+}
+
+/**
+ * Update every timeframe's raw candles with an accepted tick
+ * Called from handlePriceTick(), so wicks keep the moves the eased line smooths away
+ * @param {number} price - The tick's reference price
+ * @param {number} sourceTs - The tick's source time (epoch ms)
+ */
+function updateRawCandleAggregator(price, sourceTs) {
+    var tradedVolume = STATE.pendingRawTradeVolume;
+    STATE.pendingRawTradeVolume = 0;
+    aggregateCandles(STATE.candleSeries.raw, price, sourceTs, tradedVolume);
+}
+
+/**
+ * Add one price to the open candle of every timeframe, rolling candles over at bucket boundaries
+ * A candle's x-extent comes from its bucket's time bounds, mapped onto the scroll
+ * with timeMs as "now" - not from when ticks happened to arrive
+ * @param {Object} seriesByTimeframe - One source of STATE.candleSeries
+ * @param {number} price
+ * @param {number} timeMs - Time used for bucketing
+ * @param {number} tradedVolume - Base size to add to the open candles
+ */
+function aggregateCandles(seriesByTimeframe, price, timeMs, tradedVolume) {
+    // Scroll advances HEX_SCROLL_SPEED px/s on the same clock, so times map linearly onto it
+    var pxPerMs = CONFIG.HEX_SCROLL_SPEED / 1000;
+    var scrollAt = function(ts) {
+        return STATE.hexScrollPosition - (timeMs - ts) * pxPerMs;
+    };
     
     // Compute frozen worldY for this price at current time
     var frozenWorldY = STATE.ladderInitialized ? priceToWorldY(price) : 0;
     
-    if (STATE.currentCandle === null) {
-        // Start first candle with frozen worldY values
-        STATE.currentCandle = {
-            open: price,
-            high: price,
-            low: price,
-            close: price,
-            openWorldY: frozenWorldY,
-            highWorldY: frozenWorldY,
-            lowWorldY: frozenWorldY,
-            closeWorldY: frozenWorldY,
-            startSecond: currentSecond,
-            startScrollX: currentScrollX
-        };
-        STATE.lastCandleSecond = currentSecond;
-        return;
-    }
-    
-    if (currentSecond === STATE.currentCandle.startSecond) {
-        // Same second - update current candle with frozen worldY values
-        if (price > STATE.currentCandle.high) {
-            STATE.currentCandle.high = price;
-            STATE.currentCandle.highWorldY = frozenWorldY;
-        }
-        if (price < STATE.currentCandle.low) {
-            STATE.currentCandle.low = price;
-            STATE.currentCandle.lowWorldY = frozenWorldY;
-        }
-        STATE.currentCandle.close = price;
-        STATE.currentCandle.closeWorldY = frozenWorldY;
-    } else {
-        // New second - finalize current candle and start new one
-        // Store finalized candle with FROZEN worldY values (immutable after this)
-        STATE.candleHistory.push({
-            open: STATE.currentCandle.open,
-            high: STATE.currentCandle.high,
-            low: STATE.currentCandle.low,
-            close: STATE.currentCandle.close,
-            openWorldY: STATE.currentCandle.openWorldY,
-            highWorldY: STATE.currentCandle.highWorldY,
-            lowWorldY: STATE.currentCandle.lowWorldY,
-            closeWorldY: STATE.currentCandle.closeWorldY,
-            scrollX: currentScrollX  // Position when candle closed
-        });
+    CONFIG.CANDLE_TIMEFRAMES.forEach(function(timeframe) {
+        var series = seriesByTimeframe[timeframe.id];
+        var bucket = Math.floor(timeMs / timeframe.durationMs);
+        var candle = series.current;
         
-        // Trim history to max length
-        if (STATE.candleHistory.length > CONFIG.CANDLE_MAX_HISTORY) {
-            STATE.candleHistory.shift();
+        if (candle !== null && bucket === candle.bucket) {
+            // Same bucket - update current candle with frozen worldY values
+            if (price > candle.high) {
+                candle.high = price;
+                candle.highWorldY = frozenWorldY;
+            }
+            if (price < candle.low) {
+                candle.low = price;
+                candle.lowWorldY = frozenWorldY;
+            }
+            candle.close = price;
+            candle.closeWorldY = frozenWorldY;
+            candle.volume += tradedVolume;
+            return;
         }
         
-        // Start new candle with frozen worldY values
-        STATE.currentCandle = {
+        // New bucket - finalize current candle and start new one with frozen worldY values
+        if (candle !== null) {
+            finalizeCurrentCandle(series, scrollAt((candle.bucket + 1) * timeframe.durationMs));
+        }
+        series.current = {
             open: price,
             high: price,
             low: price,
             close: price,
+            volume: tradedVolume,
             openWorldY: frozenWorldY,
             highWorldY: frozenWorldY,
             lowWorldY: frozenWorldY,
             closeWorldY: frozenWorldY,
-            startSecond: currentSecond,
-            startScrollX: currentScrollX
+            bucket: bucket,
+            startScrollX: scrollAt(bucket * timeframe.durationMs)
         };
-        STATE.lastCandleSecond = currentSecond;
-    }
+    });
 }
 
 /**
- * Handle incoming WebSocket message from DLOB
- * @param {MessageEvent} event 
+ * Move a series' current candle into its history with its FROZEN worldY values (immutable after this)
+ * @param {Object} series - STATE.candleSeries entry
+ * @param {number} scrollX - Scroll position of the end of the candle's bucket
  */
-function handleDlobMessage(event) {
-    try {
-        var msg = JSON.parse(event.data);
-        var nowMs = performance.now();
-        STATE.debug.lastMsgAt = nowMs;
+function finalizeCurrentCandle(series, scrollX) {
+    var candle = series.current;
+    series.history.push({
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        volume: candle.volume,
+        openWorldY: candle.openWorldY,
+        highWorldY: candle.highWorldY,
+        lowWorldY: candle.lowWorldY,
+        closeWorldY: candle.closeWorldY,
+        startScrollX: candle.startScrollX,
+        scrollX: scrollX
+    });
+    series.current = null;
+    trimCandleHistory(series);
+}
 
-        if (msg && msg.type === "proxy_error") {
-            logDebug("Proxy error: " + msg.message + (msg.status ? " (status " + msg.status + ")" : ""));
-            return;
-        }
-        if (msg && msg.type === "proxy_info") {
-            logDebug("Proxy info: " + msg.message);
-            return;
-        }
-        
-        // The data field is double-encoded JSON
-        if (msg.data && typeof msg.data === "string") {
-            var innerData = JSON.parse(msg.data);
-            var midPrice = extractMidPriceAndStoreRaw(innerData);
-            
-            if (midPrice !== null) {
-                // On first real price, initialize everything with real data
-                // BUT only if canvas is already resized (so PX_PER_TICK is correct)
-                if (!STATE.hasReceivedFirstPrice) {
-                    if (STATE.canvasResized) {
-                        initializeWithRealPrice(midPrice);
-                    } else {
-                        // Store the price to initialize later when canvas is ready
-                        STATE.pendingFirstPrice = midPrice;
-                        console.log("Received first price $" + midPrice.toFixed(4) + " but canvas not resized yet, deferring ladder init...");
-                    }
-                }
-                logDebug("DLOB tick mid=" + midPrice.toFixed(6));
-                STATE.targetPrice = midPrice;
-                STATE.lastGoodPriceTs = nowMs;
-                STATE.isOnline = true;
-                
-            }
-        } else if (msg.bids && msg.asks) {
-            // Handle case where data might not be double-encoded
-            var midPrice = extractMidPriceAndStoreRaw(msg);
-            
-            if (midPrice !== null) {
-                // On first real price, initialize everything with real data
-                // BUT only if canvas is already resized (so PX_PER_TICK is correct)
-                if (!STATE.hasReceivedFirstPrice) {
-                    if (STATE.canvasResized) {
-                        initializeWithRealPrice(midPrice);
-                    } else {
-                        // Store the price to initialize later when canvas is ready
-                        STATE.pendingFirstPrice = midPrice;
-                        console.log("Received first price $" + midPrice.toFixed(4) + " but canvas not resized yet, deferring ladder init...");
-                    }
-                }
-                logDebug("DLOB tick mid=" + midPrice.toFixed(6));
-                STATE.targetPrice = midPrice;
-                STATE.lastGoodPriceTs = nowMs;
-                STATE.isOnline = true;
-                
-            }
-        }
-    } catch (err) {
-        console.warn("Failed to parse DLOB message:", err.message);
-        logDebug("DLOB parse error: " + err.message);
+/**
+ * Keep CANDLE_MAX_HISTORY candles in a series' history, moving older ones to its archive
+ * @param {Object} series - STATE.candleSeries entry
+ */
+function trimCandleHistory(series) {
+    while (series.history.length > CONFIG.CANDLE_MAX_HISTORY) {
+        series.archive.push(series.history.shift());
+    }
+    if (series.archive.length > CONFIG.SESSION_HISTORY.candlesMax) {
+        series.archive = downsampleOldestHalf(series.archive, mergeCandles);
     }
 }
 
 /**
- * Start DLOB WebSocket connection for SOL-PERP orderbook
+ * One candle covering two adjacent ones (for archive downsampling)
+ * @param {Object} first - The older candle
+ * @param {Object} second - The newer candle
+ * @returns {Object}
  */
-function startDriftOrderbookFeed() {
-    // Clear any pending reconnect
-    if (STATE.reconnectTimeoutId !== null) {
-        clearTimeout(STATE.reconnectTimeoutId);
-        STATE.reconnectTimeoutId = null;
+function mergeCandles(first, second) {
+    var highFromFirst = first.high >= second.high;
+    var lowFromFirst = first.low <= second.low;
+    return {
+        open: first.open,
+        high: highFromFirst ? first.high : second.high,
+        low: lowFromFirst ? first.low : second.low,
+        close: second.close,
+        volume: first.volume + second.volume,
+        openWorldY: first.openWorldY,
+        highWorldY: highFromFirst ? first.highWorldY : second.highWorldY,
+        lowWorldY: lowFromFirst ? first.lowWorldY : second.lowWorldY,
+        closeWorldY: second.closeWorldY,
+        startScrollX: first.startScrollX,
+        scrollX: second.scrollX,
+        reconstructed: first.reconstructed && second.reconstructed
+    };
+}
+
+/**
+ * Halve the resolution of the older half of a list by combining neighbours pairwise
+ * @param {Array<Object>} list - Oldest first
+ * @param {Function} combine - combine(older, newer) -> one item
+ * @returns {Array<Object>} - New list, about a quarter shorter
+ */
+function downsampleOldestHalf(list, combine) {
+    var half = Math.floor(list.length / 2);
+    var result = [];
+    for (var i = 0; i + 1 < half; i += 2) {
+        result.push(combine(list[i], list[i + 1]));
     }
-    
-    // Close existing socket if any
-    if (STATE.dlobSocket !== null) {
-        try {
-            STATE.dlobSocket.close();
-        } catch (e) {
-            // Ignore close errors
-        }
-        STATE.dlobSocket = null;
-    }
-    
-    console.log("Connecting to Drift DLOB WebSocket...");
-    logDebug("WS connect -> " + CONFIG.DRIFT_DLOB_WS_URL);
-    
-    try {
-        STATE.dlobSocket = new WebSocket(CONFIG.DRIFT_DLOB_WS_URL);
-    } catch (err) {
-        console.warn("Failed to create WebSocket:", err.message);
-        STATE.isOnline = false;
-        logDebug("WS create failed: " + err.message);
-        scheduleReconnect();
-        return;
+    if (half % 2 === 1) {
+        result.push(list[half - 1]);
     }
-    
-    STATE.dlobSocket.onopen = function() {
-        console.log("DLOB WebSocket connected, subscribing to SOL-PERP orderbook...");
-        logDebug("WS open; subscribe SOL-PERP");
-        
-        // Send subscribe message
-        var subscribeMsg = {
-            type: "subscribe",
-            marketType: "perp",
-            channel: "orderbook",
-            market: CONFIG.DRIFT_MARKET
-        };
-        
-        try {
-            STATE.dlobSocket.send(JSON.stringify(subscribeMsg));
-        } catch (err) {
-            console.warn("Failed to send subscribe message:", err.message);
-            logDebug("WS subscribe failed: " + err.message);
-        }
-    };
-    
-    STATE.dlobSocket.onmessage = handleDlobMessage;
-    
-    STATE.dlobSocket.onclose = function(event) {
-        console.log("DLOB WebSocket closed:", event.code, event.reason);
-        STATE.isOnline = false;
-        STATE.dlobSocket = null;
-        logDebug("WS closed: code=" + event.code + " reason=" + event.reason);
-        scheduleReconnect();
-    };
-    
-    STATE.dlobSocket.onerror = function(err) {
-        console.warn("DLOB WebSocket error");
-        STATE.isOnline = false;
-        logDebug("WS error");
-        // onclose will be called after onerror, so reconnect happens there
-    };
+    return result.concat(list.slice(half));
 }
 
 /**
- * Schedule a reconnection attempt
+ * Select the candle source (eased or raw) drawn on the chart
+ * @param {string} id - id from CONFIG.CANDLE_SOURCES
  */
-function scheduleReconnect() {
-    if (STATE.reconnectTimeoutId !== null) {
-        return; // Already scheduled
-    }
-    
-    console.log("Scheduling DLOB reconnect in " + CONFIG.DRIFT_RECONNECT_DELAY_MS + "ms...");
-    
-    STATE.reconnectTimeoutId = setTimeout(function() {
-        STATE.reconnectTimeoutId = null;
-        startDriftOrderbookFeed();
-    }, CONFIG.DRIFT_RECONNECT_DELAY_MS);
+function setCandleSource(id) {
+    STATE.candleSource = id;
+    logDebug("Candles: " + id + " prices");
+    updateCandleSourceUI();
 }
 
 /**
- * Authoritative online check - used everywhere for consistency
- * Data is considered stale if no update in 20 seconds
- * @param {number} nowMs - Current time in milliseconds (performance.now())
- * @returns {boolean}
+ * Show the selected candle source on its sidebar button
  */
-function isOnline(nowMs) {
-    return STATE.isOnline && (nowMs - STATE.lastGoodPriceTs) < 20000;
+function updateCandleSourceUI() {
+    var btn = document.getElementById("candle-source-btn");
+    if (!btn) return;
+    for (var i = 0; i < CONFIG.CANDLE_SOURCES.length; i++) {
+        if (CONFIG.CANDLE_SOURCES[i].id === STATE.candleSource) {
+            btn.textContent = CONFIG.CANDLE_SOURCES[i].label;
+        }
+    }
 }
 
 /**
- * Legacy alias for compatibility
- * @param {number} nowMs
- * @returns {boolean}
+ * Select the candle timeframe drawn on the chart
+ * @param {string} id - id from CONFIG.CANDLE_TIMEFRAMES
  */
-function isDriftOnline(nowMs) {
-    return isOnline(nowMs);
+function setCandleTimeframe(id) {
+    if (getCandleTimeframe(id) === null) {
+        return;
+    }
+    STATE.candleTimeframe = id;
+    logDebug("Candles: " + id);
+    updateCandleTimeframeUI();
 }
 
 /**
- * Initialize price history with timestamps
- * If we haven't received real price data yet, just create empty history
- * The actual data will be populated when we receive the first real price
+ * Highlight the selected timeframe button
  */
-function initPriceHistory() {
-    STATE.priceHistory = [];
-    
-    // Don't populate with fake data - wait for real price from websocket
-    // Just initialize the zoom range to reasonable defaults
-    // These will be properly set once we get real data
-    STATE.priceMin = CONFIG.MIN_PRICE;
-    STATE.priceMax = CONFIG.MAX_PRICE;
+function updateCandleTimeframeUI() {
+    var buttons = document.querySelectorAll(".timeframe-btn");
+    buttons.forEach(function(btn) {
+        btn.classList.toggle("active", btn.getAttribute("data-timeframe") === STATE.candleTimeframe);
+    });
 }
 
 /**
- * Called when first real price is received from websocket
- * Properly initializes price history with the real starting price
- * Also initializes the fixed hex ladder (TICK_SIZE, ANCHOR_PRICE)
- * @param {number} realPrice - The first real price from the websocket
+ * Build the candle timeframe buttons from CONFIG.CANDLE_TIMEFRAMES
  */
-function initializeWithRealPrice(realPrice) {
-    var now = performance.now();
-    
-    // Set the current price to the real value
-    STATE.currentPrice = realPrice;
-    STATE.targetPrice = realPrice;
+function initCandleTimeframeSelector() {
+    var container = document.getElementById("timeframe-buttons");
+    if (!container) return;
+    
+    CONFIG.CANDLE_TIMEFRAMES.forEach(function(timeframe) {
+        var btn = document.createElement("button");
+        btn.className = "timeframe-btn";
+        btn.setAttribute("data-timeframe", timeframe.id);
+        btn.textContent = timeframe.label;
+        btn.addEventListener("click", function() {
+            setCandleTimeframe(timeframe.id);
+        });
+        container.appendChild(btn);
+    });
     
-    // Now populate history with the real price
-    STATE.priceHistory = [];
-    for (var i = 0; i < CONFIG.MAX_SAMPLES; i++) {
-        STATE.priceHistory.push({
-            time: now - (CONFIG.MAX_SAMPLES - i) * CONFIG.SAMPLE_INTERVAL,
-            price: realPrice
+    // Each tap on the source button selects the next candle source
+    var sourceBtn = document.getElementById("candle-source-btn");
+    if (sourceBtn) {
+        sourceBtn.addEventListener("click", function() {
+            var sources = CONFIG.CANDLE_SOURCES;
+            var current = 0;
+            for (var i = 0; i < sources.length; i++) {
+                if (sources[i].id === STATE.candleSource) {
+                    current = i;
+                }
+            }
+            setCandleSource(sources[(current + 1) % sources.length].id);
         });
     }
     
-    // Initialize priceMin/priceMax based on real price
-    var initialSpan = realPrice * CONFIG.ZOOM_MIN_SPAN_PCT;
-    var initialPad = Math.max(initialSpan * CONFIG.ZOOM_PAD_FRAC, realPrice * CONFIG.ZOOM_PAD_MIN_PCT);
-    STATE.priceMin = realPrice - initialSpan / 2 - initialPad;
-    STATE.priceMax = realPrice + initialSpan / 2 + initialPad;
-    
-    // Initialize the fixed hex ladder (this is the key for fair tap-trading!)
-    initializeLadder(realPrice);
-    
-    STATE.hasReceivedFirstPrice = true;
-    setLoadingOverlayVisible(false);
-    console.log("Initialized with real SOL-PERP price: $" + realPrice.toFixed(4));
+    updateCandleTimeframeUI();
+    updateCandleSourceUI();
 }
 
 /**
- * Update price by easing toward target price from Drift
- * When offline, price is frozen (no movement) and history is NOT updated
- * IMPORTANT: All prices stored as full precision floats - NO rounding or toFixed()
+ * Apply a normalized tick from the active price source
+ * This is the single entry point for prices - no adapter touches STATE directly
+ * @param {Object} tick - From createNormalizedTick()
  */
-function updatePrice() {
-    var nowMs = performance.now();
-    
-    // Only update price and history if Drift feed is online
-    if (isOnline(nowMs)) {
-        // Ease toward target price (no jitter)
-        // STATE.targetPrice is already full precision float from WebSocket
-        // STATE.currentPrice remains full precision float
-        STATE.currentPrice += (STATE.targetPrice - STATE.currentPrice) * CONFIG.PRICE_EASE_ALPHA;
+function handlePriceTick(tick) {
+    STATE.debug.lastMsgAt = tick.receivedAt;
 
-        // Keep candles aligned with the rendered price line by using the same smoothed price.
-        updateCandleAggregator(STATE.currentPrice, nowMs);
-        
-        // Add to time-based history for zoom/range calculations (FULL PRECISION)
-        STATE.priceHistory.push({ time: nowMs, price: STATE.currentPrice });
-        
-        // Remove old samples from time-based history
-        var cutoff = nowMs - CONFIG.HISTORY_DURATION;
-        while (STATE.priceHistory.length > 0 && STATE.priceHistory[0].time < cutoff) {
-            STATE.priceHistory.shift();
+    if (tick.market !== STATE.activeMarketSymbol) {
+        return; // Late tick from a market we just switched away from
+    }
+
+    // Sanity check: mid must sit inside the active market's price band
+    if (!isPriceInMarketBand(tick.mid)) {
+        console.warn("Mid price outside sane range for " + tick.market + ":", tick.mid, "bid:", tick.bid, "ask:", tick.ask);
+        return;
+    }
+
+    // Late or replayed frames must never move the line backwards in time,
+    // nor count for or against the spike filter below
+    if (!checkTickSequence(tick)) {
+        return;
+    }
+
+    // One bad frame must not reach the line or settle bets
+    var rejectReason = checkTickSanity(tick);
+    if (rejectReason !== null) {
+        logDebug("Feed: rejected mid=" + tick.mid.toFixed(6) + " (" + rejectReason + ")");
+        return;
+    }
+    acceptTickSequence(tick);
+    pushRecentMid(tick.mid);
+
+    // Store raw strings for full precision display and numeric values for calculations
+    STATE.lastTick = tick;
+    var reference = getReferencePrice(tick);
+    STATE.referenceModeInUse = reference.mode;
+    STATE.bestBidStr = tick.bidStr;
+    STATE.bestAskStr = tick.askStr;
+    STATE.bestBid = tick.bid;
+    STATE.bestAsk = tick.ask;
+    STATE.oracleBasisBps = tick.oracle !== null ? (tick.mid - tick.oracle) / tick.oracle * 10000 : null;
+    var resumingAfterOutage = STATE.hasReceivedFirstPrice && STATE.ladderInitialized &&
+        !STATE.replay.active && !isOnline(tick.receivedAt);
+
+    // On first real price, initialize everything with real data
+    // BUT only if canvas is already resized (so PX_PER_TICK is correct)
+    if (!STATE.hasReceivedFirstPrice) {
+        if (STATE.canvasResized) {
+            initializeWithRealPrice(tick);
+        } else {
+            // Store the tick to initialize later when canvas is ready
+            STATE.pendingFirstTick = tick;
+            console.log("Received first price $" + tick.mid.toFixed(4) + " but canvas not resized yet, deferring ladder init...");
         }
     }
-    // Else: price stays frozen at current value, no history push
+    updateDepthLadder(tick.depth);
+    
+    // Back after an outage - the trail froze while offline, leave a gap for the backfill
+    if (resumingAfterOutage) {
+        openBackfillGap(tick.receivedAt);
+    }
+    if (STATE.ladderInitialized) {
+        updateRawCandleAggregator(reference.price, tick.sourceTs);
+        recordIndicatorSample(reference.price, tick.sourceTs);
+    }
+    logDebug("Tick mid=" + tick.mid.toFixed(6) + (reference.mode !== "mid" ? " " + reference.mode + "=" + reference.price.toFixed(6) : ""));
+    STATE.targetPrice = reference.price;
+    STATE.lastGoodPriceTs = tick.receivedAt;
+    STATE.isOnline = true;
+    markConnectionStreaming();
 }
 
 /**
- * Update the distance-based trail history
- * Called every frame from animate() with the scroll delta
- * Trail points are added based on scroll distance, not wall-clock time
- * @param {number} scrollDelta - Pixels scrolled this frame
+ * Apply a normalized trade from the active price source
+ * Feeds the "last" reference price, the sidebar tape and candle volume;
+ * big prints flash their hex row. In "last" mode the trade also retargets the line.
+ * @param {Object} trade - From createNormalizedTrade()
  */
-function updateTrailHistory(scrollDelta) {
-    var nowMs = performance.now();
-    
-    // Only update trail if Drift feed is online
-    if (!isOnline(nowMs)) {
+function handleTrade(trade) {
+    if (trade.market !== STATE.activeMarketSymbol || !isPriceInMarketBand(trade.price)) {
         return;
     }
     
-    // Accumulate scroll distance
-    STATE.scrolledSinceLastTrailPointPx += scrollDelta;
-    
-    // Add trail points when we've scrolled enough
-    var spacing = CONFIG.TRAIL_POINT_SPACING_PX;
-    
-    // Initialize lastTrailScrollX once, anchored to current scroll position
-    if (STATE.trailHistory.length === 0 && STATE.lastTrailScrollX === 0) {
-        STATE.lastTrailScrollX = STATE.hexScrollPosition - STATE.scrolledSinceLastTrailPointPx;
+    STATE.lastTradePrice = trade.price;
+    if (STATE.referenceMode === "last" && STATE.lastTick !== null && STATE.ladderInitialized) {
+        // Same fallback rules as a tick (getReferencePrice), without waiting for the next book update
+        var reference = getReferencePrice(STATE.lastTick);
+        STATE.referenceModeInUse = reference.mode;
+        STATE.targetPrice = reference.price;
     }
-    
-    while (STATE.scrolledSinceLastTrailPointPx >= spacing) {
-        // Advance the canonical scroll position by exactly one spacing
-        STATE.lastTrailScrollX += spacing;
-        
-        // Compute frozen worldY at this moment - this never changes after being stored
-        var frozenWorldY = STATE.ladderInitialized ? priceToWorldY(STATE.currentPrice) : 0;
-        
-        // Push trail point at the canonical position (strictly increasing)
-        // Store BOTH price and frozen worldY - worldY is used for rendering, price for reference
-        STATE.trailHistory.push({
-            scrollX: STATE.lastTrailScrollX,
-            price: STATE.currentPrice,
-            worldY: frozenWorldY
-        });
-        
-        STATE.scrolledSinceLastTrailPointPx -= spacing;
+    STATE.pendingTradeVolume += trade.size;
+    STATE.pendingRawTradeVolume += trade.size;
+    STATE.indicators.pendingVolume += trade.size;
+    STATE.indicators.pendingNotional += trade.size * trade.price;
+    STATE.tradeTape.unshift(trade);
+    if (STATE.tradeTape.length > CONFIG.TRADE_TAPE_MAX) {
+        STATE.tradeTape.pop();
     }
+    addTradeTapeRow(trade);
     
-    // Calculate how much trail to keep based on screen width
-    // Trail goes from lineHeadX (center) to lineTailX (left edge)
-    // Keep enough history to cover the visible trail area plus some buffer
-    var trailWidthPx;
-    if (isPortraitMode()) {
-        trailWidthPx = (STATE.canvas.height / 2) - CONFIG.PADDING.top;
-    } else {
-        trailWidthPx = (STATE.canvas.width / 2) - CONFIG.PADDING.left;
+    var nowMs = getClockMs();
+    STATE.tradeFlashes = STATE.tradeFlashes.filter(function(flash) {
+        return nowMs - flash.startedAt < CONFIG.TRADE_FLASH_MS;
+    });
+    if (trade.price * trade.size >= CONFIG.TRADE_BIG_PRINT_USD && STATE.ladderInitialized) {
+        STATE.tradeFlashes.push({
+            ladderIndex: priceToLadderIndex(trade.price),
+            side: trade.side,
+            startedAt: nowMs
+        });
+        logDebug("Big print " + trade.side + " " + trade.size.toFixed(2) + " @ " + trade.price);
     }
-    var maxTrailDistance = trailWidthPx + spacing * 10; // Add buffer
-    var cutoffScrollX = STATE.hexScrollPosition - maxTrailDistance;
-    
-    // Remove trail points that have scrolled off the left edge
-    while (STATE.trailHistory.length > 0 && STATE.trailHistory[0].scrollX < cutoffScrollX) {
-        STATE.trailHistory.shift();
+}
+
+/**
+ * Frozen world Y of the latest oracle price, for the dashed oracle trail
+ * @returns {number|null} - null before the ladder exists or while the feed carries no oracle
+ */
+function getOracleWorldY() {
+    if (!STATE.ladderInitialized || STATE.lastTick === null || STATE.lastTick.oracle === null) {
+        return null;
     }
+    return priceToWorldY(STATE.lastTick.oracle);
 }
 
 /**
- * Get price at a specific scroll position (interpolated from trail history)
- * @param {number} targetScrollX - The scroll position to get price for
- * @returns {number} - Interpolated price at that scroll position
+ * True while mid and oracle are far enough apart that a hit settled on mid is disputable
+ * @returns {boolean}
  */
-function getPriceAtScrollX(targetScrollX) {
-    var history = STATE.trailHistory;
+function isOracleDiverged() {
+    return STATE.oracleBasisBps !== null &&
+        Math.abs(STATE.oracleBasisBps) >= CONFIG.ORACLE_DIVERGENCE_WARN_BPS;
+}
+
+/**
+ * Order check for an incoming tick, using its slot (sourceSeq) or else its source timestamp
+ * Drops ticks older than the last accepted one. Drift sends several book updates per
+ * slot, so within one slot the source timestamp decides the order.
+ * If nothing has been accepted for FEED_RESYNC_AFTER_MS an older tick is taken as a
+ * restarted source and the sequence starts over from it.
+ * Only counts drops - acceptTickSequence() records the tick once it also passed sanity.
+ * @param {Object} tick - Normalized tick for the active market
+ * @returns {boolean} - true if the tick is in order
+ */
+function checkTickSequence(tick) {
+    var feed = STATE.feedHealth;
+    var hasSeq = tick.sourceSeq !== null && feed.lastSeq !== null;
+    var isOlderTs = tick.hasSourceTs && feed.lastSourceTs !== null && tick.sourceTs < feed.lastSourceTs;
+    var isOlder = hasSeq ? tick.sourceSeq < feed.lastSeq || (tick.sourceSeq === feed.lastSeq && isOlderTs) : isOlderTs;
     
-    if (history.length === 0) {
-        return STATE.currentPrice;
+    if (!isOlder) {
+        return true;
     }
-    if (history.length === 1) {
-        return history[0].price;
+    if (tick.receivedAt - feed.lastAcceptedAt < CONFIG.FEED_RESYNC_AFTER_MS) {
+        feed.droppedStale++;
+        logDebug("Feed: dropped old tick " + (hasSeq && tick.sourceSeq < feed.lastSeq ?
+            "slot " + tick.sourceSeq + " < " + feed.lastSeq : "ts " + tick.sourceTs + " < " + feed.lastSourceTs));
+        return false;
     }
-    
-    // If target is before our oldest point, return oldest
-    if (targetScrollX <= history[0].scrollX) {
-        return history[0].price;
+    logDebug("Feed: sequence went backwards after " + Math.floor((tick.receivedAt - feed.lastAcceptedAt) / 1000) + "s; resyncing");
+    return true;
+}
+
+/**
+ * Record a tick that passed checkTickSequence() and checkTickSanity() as the last accepted one
+ * Counts gaps and tracks how far source time lags wall time (STATE.feedHealth.degraded).
+ * @param {Object} tick - Normalized tick for the active market
+ */
+function acceptTickSequence(tick) {
+    var feed = STATE.feedHealth;
+    var hasSeq = tick.sourceSeq !== null && feed.lastSeq !== null;
+    if (hasSeq && tick.sourceSeq - feed.lastSeq > CONFIG.FEED_GAP_MIN_SEQ) {
+        feed.gaps++;
+        feed.missedSeqs += tick.sourceSeq - feed.lastSeq - 1;
+        logDebug("Feed: gap of " + (tick.sourceSeq - feed.lastSeq - 1) + " slots before " + tick.sourceSeq);
+    } else if (!hasSeq && tick.hasSourceTs && feed.lastSourceTs !== null &&
+               tick.sourceTs - feed.lastSourceTs > CONFIG.FEED_GAP_MIN_MS) {
+        feed.gaps++;
+        logDebug("Feed: gap of " + (tick.sourceTs - feed.lastSourceTs) + "ms source time");
     }
     
-    // If target is after our newest point, return current price
-    if (targetScrollX >= history[history.length - 1].scrollX) {
-        // Interpolate between last point and current position
-        var lastPoint = history[history.length - 1];
-        var currentScrollX = STATE.hexScrollPosition;
-        if (currentScrollX > lastPoint.scrollX) {
-            var t = (targetScrollX - lastPoint.scrollX) / (currentScrollX - lastPoint.scrollX);
-            return lastPoint.price + (STATE.currentPrice - lastPoint.price) * t;
-        }
-        return STATE.currentPrice;
+    if (tick.sourceSeq !== null) {
+        feed.lastSeq = tick.sourceSeq;
     }
-    
-    // Find surrounding samples and interpolate
-    for (var i = 1; i < history.length; i++) {
-        if (history[i].scrollX >= targetScrollX) {
-            var prev = history[i - 1];
-            var next = history[i];
-            
-            // Safety guard: skip zero-length segments to prevent division by zero / jitter
-            if (next.scrollX === prev.scrollX) {
-                // Skip forward to find a segment with different scrollX
-                while (i + 1 < history.length && history[i + 1].scrollX === prev.scrollX) {
-                    i++;
-                }
-                // If we've exhausted segments, return prev.price
-                if (i + 1 >= history.length || history[i + 1].scrollX === prev.scrollX) {
-                    return prev.price;
-                }
-                next = history[i + 1];
-            }
-            
-            var t = (targetScrollX - prev.scrollX) / (next.scrollX - prev.scrollX);
-            return prev.price + (next.price - prev.price) * t;
+    if (tick.hasSourceTs) {
+        feed.lastSourceTs = tick.sourceTs;
+    }
+    feed.lastAcceptedAt = tick.receivedAt;
+    feed.accepted++;
+    
+    // Source time is wall-clock epoch ms, which means nothing against a replay clock
+    if (tick.hasSourceTs && !STATE.replay.active) {
+        feed.lagMs = Date.now() - tick.sourceTs;
+        var degraded = feed.lagMs > CONFIG.FEED_DEGRADED_LAG_MS;
+        if (degraded !== feed.degraded) {
+            feed.degraded = degraded;
+            logDebug("Feed: " + (degraded ? "degraded, source " + feed.lagMs + "ms behind" : "caught up"));
         }
     }
-    
-    return history[history.length - 1].price;
 }
 
 /**
- * Get FROZEN worldY at a specific scroll position (interpolated from trail history)
- * This uses the worldY values that were frozen at capture time - no recomputation
- * @param {number} targetScrollX - The scroll position to get worldY for
- * @returns {number} - Interpolated frozen worldY at that scroll position
+ * Sanity stage for a tick that passed the market band check
+ * Rejects a crossed book, a jump past SPIKE_FILTER.maxJumpPct from the last accepted mid,
+ * and a mid more than madThreshold MADs from the rolling median. After
+ * maxConsecutiveRejects in a row the next tick is let through and the window restarts,
+ * so a real gap in the market cannot freeze the line.
+ * @param {Object} tick - Normalized tick
+ * @returns {string|null} - Reject reason, or null if the tick is sane
  */
-function getWorldYAtScrollX(targetScrollX) {
-    var history = STATE.trailHistory;
-    
-    // If no history, compute current worldY
-    if (history.length === 0) {
-        return STATE.ladderInitialized ? priceToWorldY(STATE.currentPrice) : 0;
+function checkTickSanity(tick) {
+    var cfg = CONFIG.SPIKE_FILTER;
+    var feed = STATE.feedHealth;
+    if (!cfg.enabled) {
+        return null;
     }
     
-    // If only one point, return its frozen worldY
-    if (history.length === 1) {
-        return history[0].worldY;
+    var reason = null;
+    var mids = feed.recentMids;
+    if (tick.bid > tick.ask) {
+        // A crossed book is never let through, however many arrive in a row
+        feed.rejectedCrossed++;
+        return "crossed book bid " + tick.bid + " > ask " + tick.ask;
+    } else if (mids.length > 0) {
+        var lastMid = mids[mids.length - 1];
+        var jumpPct = Math.abs(tick.mid - lastMid) / lastMid;
+        if (jumpPct > cfg.maxJumpPct) {
+            feed.rejectedJump++;
+            reason = "jump " + (jumpPct * 100).toFixed(2) + "% from " + lastMid;
+        } else if (mids.length >= cfg.minSamples) {
+            var median = getMedian(mids);
+            var mad = getMedian(mids.map(function(mid) {
+                return Math.abs(mid - median);
+            }));
+            mad = Math.max(mad, getActiveMarket().tickSize * cfg.minMadTicks);
+            if (Math.abs(tick.mid - median) > cfg.madThreshold * mad) {
+                feed.rejectedOutlier++;
+                reason = "outlier, median " + median + " MAD " + mad;
+            }
+        }
     }
     
-    // If target is before our oldest point, return oldest frozen worldY
-    if (targetScrollX <= history[0].scrollX) {
-        return history[0].worldY;
+    if (reason === null) {
+        feed.consecutiveRejects = 0;
+        return null;
     }
-    
-    // If target is after our newest point, interpolate to current
-    if (targetScrollX >= history[history.length - 1].scrollX) {
-        var lastPoint = history[history.length - 1];
-        var currentScrollX = STATE.hexScrollPosition;
-        var currentWorldY = STATE.ladderInitialized ? priceToWorldY(STATE.currentPrice) : 0;
-        if (currentScrollX > lastPoint.scrollX) {
-            var t = (targetScrollX - lastPoint.scrollX) / (currentScrollX - lastPoint.scrollX);
-            return lastPoint.worldY + (currentWorldY - lastPoint.worldY) * t;
-        }
-        return currentWorldY;
-    }
-    
-    // Find surrounding samples and interpolate frozen worldY values
-    for (var i = 1; i < history.length; i++) {
-        if (history[i].scrollX >= targetScrollX) {
-            var prev = history[i - 1];
-            var next = history[i];
-            
-            // Safety guard: skip zero-length segments
-            if (next.scrollX === prev.scrollX) {
-                while (i + 1 < history.length && history[i + 1].scrollX === prev.scrollX) {
-                    i++;
-                }
-                if (i + 1 >= history.length || history[i + 1].scrollX === prev.scrollX) {
-                    return prev.worldY;
-                }
-                next = history[i + 1];
-            }
-            
-            var t = (targetScrollX - prev.scrollX) / (next.scrollX - prev.scrollX);
-            return prev.worldY + (next.worldY - prev.worldY) * t;
-        }
+    feed.consecutiveRejects++;
+    if (feed.consecutiveRejects > cfg.maxConsecutiveRejects) {
+        logDebug("Feed: " + cfg.maxConsecutiveRejects + " rejects in a row, accepting new level " + tick.mid);
+        feed.consecutiveRejects = 0;
+        feed.recentMids = [];
+        return null;
     }
-    
-    return history[history.length - 1].worldY;
+    return reason;
 }
 
 /**
- * Get price at a specific time (interpolated)
- * @param {number} targetTime 
- * @returns {number}
+ * Add an accepted mid to the spike filter's rolling window
+ * @param {number} mid
  */
-function getPriceAtTime(targetTime) {
-    var history = STATE.priceHistory;
-    
-    if (history.length === 0) {
-        return STATE.currentPrice;
-    }
-    if (history.length === 1) {
-        return history[0].price;
-    }
-    
-    // Find surrounding samples
-    for (var i = 1; i < history.length; i++) {
-        if (history[i].time >= targetTime) {
-            var prev = history[i - 1];
-            var next = history[i];
-            var t = (targetTime - prev.time) / (next.time - prev.time);
-            return prev.price + (next.price - prev.price) * t;
-        }
+function pushRecentMid(mid) {
+    var mids = STATE.feedHealth.recentMids;
+    mids.push(mid);
+    if (mids.length > CONFIG.SPIKE_FILTER.windowSize) {
+        mids.shift();
     }
-    
-    return history[history.length - 1].price;
 }
 
 /**
- * ============================================================================
- * Initialize the FROZEN hex ladder on first real price
- * ============================================================================
- * 
- * This function runs ONCE and sets the permanent anchor values for the
- * infinite world labeling system. These values NEVER change after this:
- * 
- *   TICK_SIZE     - Price per row ($0.01)
- *   ANCHOR_PRICE  - Price at worldY = 0 (rounded first real price)
- *   ANCHOR_WORLD_Y - Always 0 (reference point in world space)
- *   PX_PER_TICK   - Pixels per row (size * sqrt(3))
- * 
- * After initialization:
- *   - Any hex at (col, row) has price = ANCHOR_PRICE + getWorldYForHex(col, row) / PX_PER_TICK * TICK_SIZE
- *   - This formula works for hexes arbitrarily far off-screen
- *   - The viewport can move freely without affecting labels
- * 
- * @param {number} realPrice - The first real price from websocket
+ * Median of a list of numbers (the list is not modified)
+ * @param {number[]} values - Non-empty
+ * @returns {number}
  */
-function initializeLadder(realPrice) {
-    if (STATE.ladderInitialized) {
-        return; // Already initialized, never recalculate
-    }
-    
-    // ========================================================================
-    // FROZEN TICK SIZE - Price granularity ($0.01 per row)
-    // ========================================================================
-    STATE.TICK_SIZE = 0.01;
-    
-    // ========================================================================
-    // FROZEN ANCHOR PRICE - Reference price at worldY = 0
-    // ========================================================================
-    // Round to nearest tick for clean alignment
-    STATE.ANCHOR_PRICE = Math.round(realPrice / STATE.TICK_SIZE) * STATE.TICK_SIZE;
-    
-    // ========================================================================
-    // FROZEN WORLD GEOMETRY - Hex size and spacing in world space
-    // ========================================================================
-    // For flat-top hexes: row spacing = size * sqrt(3), col spacing = size * 1.5
-    var size = Math.min(STATE.canvas.width, STATE.canvas.height) / CONFIG.HEX_SIZE_RATIO;
-    var rowSpacing = size * Math.sqrt(3);
-    var colSpacing = size * 1.5;
-    
-    STATE.WORLD_HEX_SIZE = size;       // Base hex size (center to corner) - FROZEN
-    STATE.PX_PER_TICK = rowSpacing;    // Row spacing in world Y - FROZEN
-    STATE.WORLD_COL_SPACING = colSpacing; // Column spacing in world X - FROZEN
-    
-    // ========================================================================
-    // FROZEN ANCHOR_WORLD_Y - Reference point in world space (always 0)
-    // ========================================================================
-    STATE.ANCHOR_WORLD_Y = 0;
-    
-    // Initial camera position - this CAN change (viewport follows price)
-    // But this only affects WHERE things are drawn, not WHAT labels they show
-    STATE.viewportOffsetY = 0;
-    
-    STATE.ladderInitialized = true;
-    console.log("Ladder initialized (FROZEN): ANCHOR_PRICE=" + STATE.ANCHOR_PRICE.toFixed(4) + 
-                ", TICK_SIZE=" + STATE.TICK_SIZE.toFixed(4) +
-                ", PX_PER_TICK=" + STATE.PX_PER_TICK.toFixed(2));
+function getMedian(values) {
+    var sorted = values.slice().sort(function(a, b) {
+        return a - b;
+    });
+    var middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
 }
 
 /**
- * Get the row spacing for the hex grid in WORLD space (pixels between row centers)
- * This is CONSTANT - zoom is applied only at render time via worldYToScreenY
- * @returns {number} - Row spacing in world pixels (never changes after init)
+ * Forget the per-market feed history - last slot/timestamp and the spike filter window
+ * (market switch, new replay). The counters are kept for the whole page session
  */
-function getHexRowSpacing() {
-    // Return frozen world spacing - zoom is NOT applied here
-    return STATE.PX_PER_TICK;
+function resetFeedSequence() {
+    STATE.feedHealth.lastSeq = null;
+    STATE.feedHealth.lastSourceTs = null;
+    STATE.feedHealth.lagMs = 0;
+    STATE.feedHealth.degraded = false;
+    STATE.feedHealth.consecutiveRejects = 0;
+    STATE.feedHealth.recentMids = [];
 }
 
 /**
- * Convert a world Y coordinate to a price
- * 
- * FROZEN FUNCTION: Uses only the immutable anchor values set during first price:
- *   - ANCHOR_PRICE: Reference price at ANCHOR_WORLD_Y
- *   - ANCHOR_WORLD_Y: Reference world Y (always 0)
- *   - PX_PER_TICK: Pixels per tick in world space
- *   - TICK_SIZE: Price per tick ($0.01)
- * 
- * Higher worldY (larger values) = higher price
- * This function works for ANY worldY value, even far off-screen.
- * 
- * @param {number} worldY - World Y coordinate (can be any value)
- * @returns {number} - Price at that world Y position (frozen, never changes)
+ * One-line feed health summary for the debug overlay
+ * @returns {string}
  */
-function worldYToPrice(worldY) {
-    // ladderIndex = how many ticks away from anchor
-    var ladderIndex = (worldY - STATE.ANCHOR_WORLD_Y) / STATE.PX_PER_TICK;
-    // price = anchor price + ladder offset
-    return STATE.ANCHOR_PRICE + ladderIndex * STATE.TICK_SIZE;
+function getFeedHealthSummary() {
+    var feed = STATE.feedHealth;
+    return "feed slot=" + (feed.lastSeq !== null ? feed.lastSeq : "n/a") + " lagMs=" + Math.round(feed.lagMs) +
+        " ok=" + feed.accepted + " old=" + feed.droppedStale + " gaps=" + feed.gaps + "/" + feed.missedSeqs +
+        " rej x/j/o=" + feed.rejectedCrossed + "/" + feed.rejectedJump + "/" + feed.rejectedOutlier;
 }
 
 /**
- * Convert a price to a world Y coordinate
- * 
- * FROZEN FUNCTION: Inverse of worldYToPrice, uses same immutable anchor values.
- * This function works for ANY price value, even far outside visible range.
- * 
- * @param {number} price - Price value (can be any value)
- * @returns {number} - World Y coordinate for that price (frozen, never changes)
+ * Pick the price the line (and so settlement) follows for a tick
+ * Uses STATE.referenceMode, falling back to the mid while that price is
+ * missing or outside the market's sane band
+ * @param {Object} tick - Normalized tick
+ * @returns {{price: number, mode: string}} - Price and the mode that produced it
  */
-function priceToWorldY(price) {
-    // ladderIndex = how many ticks away from anchor price
-    var ladderIndex = (price - STATE.ANCHOR_PRICE) / STATE.TICK_SIZE;
-    // worldY = anchor world Y + ladder offset in pixels
-    return STATE.ANCHOR_WORLD_Y + ladderIndex * STATE.PX_PER_TICK;
+function getReferencePrice(tick) {
+    var price = null;
+    switch (STATE.referenceMode) {
+        case "microprice": price = tick.microprice; break;
+        case "last": price = STATE.lastTradePrice; break;
+        case "oracle": price = tick.oracle; break;
+    }
+    if (price === null || !isFinite(price) || !isPriceInMarketBand(price)) {
+        return { price: tick.mid, mode: "mid" };
+    }
+    return { price: price, mode: STATE.referenceMode };
 }
 
 /**
- * Get the absolute ladder index for a given price
- * ladderIndex = (price - ANCHOR_PRICE) / TICK_SIZE
- * @param {number} price
- * @returns {number} - Integer ladder index (rounded)
+ * Bucket a tick's order book into ladder rows for the depth heatmap
+ * Levels are keyed by priceToLadderIndex(); several levels landing on one row add up.
+ * Cleared when the tick has no depth or the ladder is not built yet.
+ * @param {Object|null} depth - tick.depth ({bids, asks} of {price, size})
  */
-function priceToLadderIndex(price) {
-    return Math.round((price - STATE.ANCHOR_PRICE) / STATE.TICK_SIZE);
+function updateDepthLadder(depth) {
+    var ladder = { bids: new Map(), asks: new Map(), maxSize: 0 };
+    if (depth && STATE.ladderInitialized) {
+        [[depth.bids, ladder.bids], [depth.asks, ladder.asks]].forEach(function(side) {
+            side[0].forEach(function(level) {
+                var ladderIndex = priceToLadderIndex(level.price);
+                var total = (side[1].get(ladderIndex) || 0) + level.size;
+                side[1].set(ladderIndex, total);
+                ladder.maxSize = Math.max(ladder.maxSize, total);
+            });
+        });
+    }
+    STATE.depthLadder = ladder;
 }
 
 /**
- * Get the absolute ladder index for a given price (float, not rounded)
- * Used for smooth line drawing so the line aligns exactly with hex grid
- * @param {number} price
- * @returns {number} - Float ladder index (NOT rounded)
+ * Handle incoming WebSocket message from DLOB
+ * Understands the proxy's double-encoded {data: "<json>"} frames (orderbook, or trades
+ * when the channel starts with "trades"), plain {bids, asks} frames, market_stats
+ * and history replies (SECTIONS 6G, 6H) and proxy_error/proxy_info control messages.
+ * Every frame is offered to the session recorder before the tick or trades are applied.
+ * @param {MessageEvent} event
+ * @param {Object} hooks - Price source hooks (onTick, onTrade, onStats, onHistory, onFrame, onInfo)
  */
-function priceToLadderIndexFloat(price) {
-    return (price - STATE.ANCHOR_PRICE) / STATE.TICK_SIZE;
+function handleDlobMessage(event, hooks) {
+    var tick = null;
+    var trades = [];
+    var stats = null;
+    var history = null;
+    try {
+        var msg = JSON.parse(event.data);
+        var nowMs = getClockMs();
+        STATE.debug.lastMsgAt = nowMs;
+
+        if (msg && msg.type === "proxy_error") {
+            hooks.onInfo("Proxy error: " + msg.message + (msg.status ? " (status " + msg.status + ")" : ""));
+        } else if (msg && msg.type === "proxy_info") {
+            hooks.onInfo("Proxy info: " + msg.message);
+        } else if (msg && msg.type === "market_stats") {
+            stats = normalizeMarketStats(typeof msg.data === "string" ? JSON.parse(msg.data) : msg.data, nowMs);
+        } else if (msg && msg.type === "history") {
+            history = normalizeBackfill(typeof msg.data === "string" ? JSON.parse(msg.data) : msg.data);
+        } else if (msg.data && typeof msg.data === "string" && String(msg.channel).indexOf("trades") === 0) {
+            trades = normalizeTradeEvents(JSON.parse(msg.data), nowMs);
+        } else if (msg.data && typeof msg.data === "string") {
+            // The data field is double-encoded JSON
+            tick = normalizeOrderbookTick(JSON.parse(msg.data), nowMs);
+        } else if (msg.bids && msg.asks) {
+            // Handle case where data might not be double-encoded
+            tick = normalizeOrderbookTick(msg, nowMs);
+        }
+    } catch (err) {
+        console.warn("Failed to parse DLOB message:", err.message);
+        hooks.onInfo("DLOB parse error: " + err.message);
+    }
+
+    hooks.onFrame(event.data, tick);
+
+    if (tick !== null) {
+        hooks.onTick(tick);
+    }
+    for (var i = 0; i < trades.length; i++) {
+        hooks.onTrade(trades[i]);
+    }
+    if (stats !== null) {
+        hooks.onStats(stats);
+    }
+    if (history !== null) {
+        hooks.onHistory(history);
+    }
 }
 
+// ============================================================================
+// SECTION 6A: PRICE SOURCE ADAPTERS
+// ============================================================================
+
+/*
+ * Every price source is a plain object built by a create*Adapter(hooks) factory:
+ *   name               - short label for logs and the debug overlay
+ *   connect()          - open the transport, call hooks.onOpen() when ready (may throw)
+ *   subscribe(market)  - start ticks for a CONFIG.MARKETS entry, returns true if sent
+ *   unsubscribe(market)- stop ticks for a market
+ *   disconnect()       - stop everything WITHOUT calling hooks.onClose
+ *   getStateLabel()    - transport state for the debug overlay
+ *   setRawFrames(on)   - optional; sources that only send raw frames on request (the
+ *                        feed worker) are told whether the recorder wants them
+ *   requestStats(market) - optional; ask for 24h stats, answered through onStats (SECTION 6G)
+ *   requestHistory(market, fromTs, toTs) - optional; ask for missed prices (epoch ms), answered
+ *                        through onHistory (SECTION 6H)
+ * and reports back through hooks:
+ *   onOpen()           - transport ready, the app subscribes the active market
+ *   onTick(tick)       - normalized tick (see createNormalizedTick)
+ *   onTrade(trade)     - normalized trade (see createNormalizedTrade), from sources that have them
+ *   onStats(stats)     - 24h market stats (see normalizeMarketStats), answering requestStats
+ *   onHistory(history) - missed prices (see normalizeBackfill), answering requestHistory
+ *   onFrame(raw, tick) - raw wire frame and its tick (or null) for the session recorder
+ *   onInfo(text)       - informational or error text from the source
+ *   onClose(reason)    - transport lost, the app backs off and reconnects
+ */
+
 /**
- * Get price from absolute ladder index
- * price = ANCHOR_PRICE + ladderIndex * TICK_SIZE
- * @param {number} ladderIndex
- * @returns {number} - Price at that ladder position
+ * Read a dotted path ("data.book.bid") from an object
+ * @param {Object} obj
+ * @param {string} path
+ * @returns {*} - Value or undefined
  */
-function ladderIndexToPrice(ladderIndex) {
-    return STATE.ANCHOR_PRICE + ladderIndex * STATE.TICK_SIZE;
+function getValueAtPath(obj, path) {
+    if (!path) return undefined;
+    var parts = path.split(".");
+    var value = obj;
+    for (var i = 0; i < parts.length; i++) {
+        if (value === null || value === undefined) {
+            return undefined;
+        }
+        value = value[parts[i]];
+    }
+    return value;
 }
 
 /**
- * Compute hex world center for flat-top hex grid
- * Uses offset coordinates (col, row) where odd columns are staggered
- * For flat-top hexes:
- *   worldX = size * 3/2 * col
- *   worldY = size * sqrt(3) * (row + (col % 2) * 0.5)
- * @param {number} col - Column in offset coordinates
- * @param {number} row - Row in offset coordinates  
- * @param {number} size - Hex size (center to corner)
- * @returns {{worldX: number, worldY: number}}
+ * Deep-copy a message template, replacing "{market}" in every string
+ * @param {*} template
+ * @param {string} symbol
+ * @returns {*}
  */
-function hexOffsetToWorld(col, row, size) {
-    var isOddCol = Math.abs(col) % 2 === 1;
-    var worldX = size * 1.5 * col;
-    var worldY = size * Math.sqrt(3) * (row + (isOddCol ? 0.5 : 0));
-    return { worldX: worldX, worldY: worldY };
+function fillMarketTemplate(template, symbol) {
+    if (typeof template === "string") {
+        return template.split("{market}").join(symbol);
+    }
+    if (Array.isArray(template)) {
+        return template.map(function(item) { return fillMarketTemplate(item, symbol); });
+    }
+    if (template && typeof template === "object") {
+        var out = {};
+        Object.keys(template).forEach(function(key) {
+            out[key] = fillMarketTemplate(template[key], symbol);
+        });
+        return out;
+    }
+    return template;
 }
 
 /**
- * ============================================================================
- * INFINITE WORLD LABELING SYSTEM
- * ============================================================================
- * 
- * These functions define the PURE, FROZEN labeling math for the hex grid.
- * After ladderInitialized = true, these values NEVER change:
- *   - ANCHOR_PRICE: The price at worldY = 0 (ANCHOR_WORLD_Y)
- *   - TICK_SIZE: The price difference per row ($0.01)
- *   - PX_PER_TICK: Pixels per row in world space
- * 
- * CRITICAL INVARIANTS:
- * 1. Any hex at world coordinates (col, row) has a FIXED price computed as:
- *    priceAtHex(col, row) = ANCHOR_PRICE + getWorldYForHex(col, row) / PX_PER_TICK * TICK_SIZE
- * 
- * 2. This price is INDEPENDENT of:
- *    - Current viewport position (viewportOffsetY)
- *    - Current visible range (priceMin/priceMax)
- *    - Screen dimensions or scroll position
- * 
- * 3. The viewport only affects WHERE on screen a hex is drawn, not WHAT price it shows
- * ============================================================================
+ * Open a WebSocket and route its events to price source hooks
+ * Shared by the Drift and generic JSON adapters
+ * @param {string} url
+ * @param {Object} hooks
+ * @param {Function} onMessage - Called with each MessageEvent
+ * @returns {WebSocket}
  */
+function openSourceSocket(url, hooks, onMessage) {
+    var socket = new WebSocket(url);
+    socket.onopen = function() {
+        hooks.onOpen();
+    };
+    socket.onmessage = onMessage;
+    socket.onclose = function(event) {
+        hooks.onClose("code=" + event.code + " reason=" + event.reason);
+    };
+    socket.onerror = function() {
+        console.warn("Price source WebSocket error");
+        // onclose will be called after onerror, so reconnect happens there
+    };
+    return socket;
+}
 
 /**
- * Get the world Y coordinate for a hex at absolute world coordinates (col, row)
- * This is a PURE function of (col, row) - no viewport or screen dependencies
- * 
- * @param {number} worldCol - Absolute column index (can be any integer, positive or negative)
- * @param {number} worldRow - Absolute row index (can be any integer, positive or negative)
- * @returns {number} - World Y coordinate
+ * Detach handlers and close a WebSocket without triggering onclose callbacks
+ * @param {WebSocket|null} socket
  */
-function getWorldYForHex(worldCol, worldRow) {
-    if (!STATE.ladderInitialized) {
-        return 0;
+function closeSourceSocket(socket) {
+    if (socket === null) {
+        return;
+    }
+    socket.onopen = null;
+    socket.onmessage = null;
+    socket.onclose = null;
+    socket.onerror = null;
+    try {
+        socket.close();
+    } catch (e) {
+        // Ignore close errors
     }
-    var isOddCol = Math.abs(worldCol) % 2 === 1;
-    // Row spacing equals PX_PER_TICK (both are size * sqrt(3))
-    var rowSpacing = STATE.PX_PER_TICK;
-    // World Y = row * rowSpacing + stagger for odd columns
-    return rowSpacing * (worldRow + (isOddCol ? 0.5 : 0));
 }
 
 /**
- * Get the FROZEN price for a hex at absolute world coordinates (col, row)
- * This is the CANONICAL labeling function for the infinite world.
- * 
+ * Send a JSON message if the socket is open
+ * @param {WebSocket|null} socket
+ * @param {Object} message
+ * @returns {boolean} - True if sent
+ */
+function sendSourceMessage(socket, message) {
+    if (socket === null || socket.readyState !== WebSocket.OPEN) {
+        return false;
+    }
+    try {
+        socket.send(JSON.stringify(message));
+        return true;
+    } catch (err) {
+        console.warn("Failed to send source message:", err.message);
+        logDebug("WS send failed: " + err.message);
+        return false;
+    }
+}
+
+/**
+ * Readable WebSocket readyState
+ * @param {WebSocket|null} socket
+ * @returns {string}
+ */
+function getSocketStateLabel(socket) {
+    return socket ? (["CONNECTING", "OPEN", "CLOSING", "CLOSED"][socket.readyState] || "NONE") : "NONE";
+}
+
+/**
+ * Drift DLOB proxy URL - CONFIG.DRIFT_DLOB_WS_URL, or ?dlob=<url>
+ * @returns {string}
+ */
+function getDriftDlobUrl() {
+    return getUrlParam("dlob") || CONFIG.DRIFT_DLOB_WS_URL;
+}
+
+/**
+ * Drift DLOB proxy adapter - socket and parsing on the current thread
+ * Subscribes the orderbook channel and, with DRIFT_SUBSCRIBE_TRADES, the trades channel.
+ * The page uses createDriftWorkerAdapter() instead when it can (SECTION 6F)
+ * @param {Object} hooks
+ * @param {string} url - From getDriftDlobUrl()
+ * @returns {Object} - Price source
+ */
+function createDriftDlobAdapter(hooks, url) {
+    var socket = null;
+
+    function sendSubscription(type, market) {
+        if (CONFIG.DRIFT_SUBSCRIBE_TRADES) {
+            sendSourceMessage(socket, {
+                type: type,
+                marketType: market.marketType,
+                channel: "trades",
+                market: market.symbol
+            });
+        }
+        return sendSourceMessage(socket, {
+            type: type,
+            marketType: market.marketType,
+            channel: "orderbook",
+            market: market.symbol
+        });
+    }
+
+    return {
+        name: "drift",
+        connect: function() {
+            logDebug("WS connect -> " + url);
+            socket = openSourceSocket(url, hooks, function(event) {
+                handleDlobMessage(event, hooks);
+            });
+        },
+        subscribe: function(market) {
+            return sendSubscription("subscribe", market);
+        },
+        unsubscribe: function(market) {
+            return sendSubscription("unsubscribe", market);
+        },
+        requestStats: function(market) {
+            return sendSourceMessage(socket, {
+                type: "stats",
+                marketType: market.marketType,
+                market: market.symbol
+            });
+        },
+        requestHistory: function(market, fromTs, toTs) {
+            return sendSourceMessage(socket, {
+                type: "history",
+                marketType: market.marketType,
+                market: market.symbol,
+                from: fromTs,
+                to: toTs
+            });
+        },
+        disconnect: function() {
+            closeSourceSocket(socket);
+            socket = null;
+        },
+        getStateLabel: function() {
+            return getSocketStateLabel(socket);
+        }
+    };
+}
+
+/**
+ * Generic JSON WebSocket adapter (CONFIG.JSON_WS_SOURCE)
+ * Reads bid/ask/timestamp from configurable dotted paths in each message
+ * @param {Object} hooks
+ * @returns {Object} - Price source
+ */
+function createJsonWebSocketAdapter(hooks) {
+    var cfg = CONFIG.JSON_WS_SOURCE;
+    var socket = null;
+
+    function handleMessage(event) {
+        try {
+            var msg = JSON.parse(event.data);
+            var bid = Number(getValueAtPath(msg, cfg.bidPath));
+            var ask = Number(getValueAtPath(msg, cfg.askPath));
+            if (!isFinite(bid) || !isFinite(ask) || bid <= 0 || ask <= 0) {
+                return; // Not a price message (heartbeat, ack, ...)
+            }
+            hooks.onTick(createNormalizedTick({
+                market: getValueAtPath(msg, cfg.marketPath),
+                bid: bid,
+                ask: ask,
+                bidStr: getValueAtPath(msg, cfg.bidPath),
+                askStr: getValueAtPath(msg, cfg.askPath),
+                sourceTs: getValueAtPath(msg, cfg.timestampPath),
+                sourceSeq: getValueAtPath(msg, cfg.sequencePath),
+                receivedAt: getClockMs()
+            }));
+        } catch (err) {
+            logDebug("JSON source parse error: " + err.message);
+        }
+    }
+
+    return {
+        name: "json-ws",
+        connect: function() {
+            logDebug("WS connect -> " + cfg.url);
+            socket = openSourceSocket(cfg.url, hooks, handleMessage);
+        },
+        subscribe: function(market) {
+            return sendSourceMessage(socket, fillMarketTemplate(cfg.subscribeMessage, market.symbol));
+        },
+        unsubscribe: function(market) {
+            return sendSourceMessage(socket, fillMarketTemplate(cfg.unsubscribeMessage, market.symbol));
+        },
+        disconnect: function() {
+            closeSourceSocket(socket);
+            socket = null;
+        },
+        getStateLabel: function() {
+            return getSocketStateLabel(socket);
+        }
+    };
+}
+
+/**
+ * Replay-file adapter (CONFIG.REPLAY_SOURCE)
+ * Loads an NDJSON file (or a file opened from the replay controls) and hands it
+ * to the replay clock (SECTION 6E), which emits each line when its time comes.
+ * Each line is either
+ * {t, raw} - a raw DLOB frame (fed through handleDlobMessage), as exported
+ *            by the session recorder (SECTION 6D), or
+ * {t, bid, ask, market?, sourceTs?, seq?} - an already-normalized tick.
+ * t is the receive time in ms; only differences between lines matter.
+ * @param {Object} hooks
+ * @returns {Object} - Price source
+ */
+function createReplayFileAdapter(hooks) {
+    var cfg = CONFIG.REPLAY_SOURCE;
+    var stateLabel = "IDLE";
+
+    function loadText() {
+        if (STATE.replay.fileText !== null) {
+            return Promise.resolve(STATE.replay.fileText);
+        }
+        return fetch(cfg.url).then(function(response) {
+            if (!response.ok) {
+                throw new Error("HTTP " + response.status);
+            }
+            return response.text();
+        });
+    }
+
+    return {
+        name: "replay",
+        connect: function() {
+            stateLabel = "LOADING";
+            loadText().then(function(text) {
+                var records = parseNdjson(text);
+                loadReplaySession(records);
+                stateLabel = "LOADED";
+                hooks.onInfo("Replay loaded " + records.length + " records from " + STATE.replay.fileName);
+                hooks.onOpen();
+            }).catch(function(err) {
+                stateLabel = "ERROR";
+                hooks.onClose("replay load failed: " + err.message);
+            });
+        },
+        subscribe: function(market) {
+            // The replay clock emits records from now on; ticks for other markets are dropped
+            STATE.replay.hooks = hooks;
+            stateLabel = "READY";
+            return true;
+        },
+        unsubscribe: function(market) {
+            return true;
+        },
+        disconnect: function() {
+            if (STATE.replay.hooks === hooks) {
+                STATE.replay.hooks = null;
+            }
+            stateLabel = "CLOSED";
+        },
+        getStateLabel: function() {
+            return stateLabel + " " + STATE.replay.index + "/" + STATE.replay.records.length;
+        }
+    };
+}
+
+/**
+ * Parse NDJSON text into an array of objects, skipping blank or malformed lines
+ * @param {string} text
+ * @returns {Array<Object>}
+ */
+function parseNdjson(text) {
+    var out = [];
+    var lines = text.split("\n");
+    for (var i = 0; i < lines.length; i++) {
+        var line = lines[i].trim();
+        if (!line) continue;
+        try {
+            out.push(JSON.parse(line));
+        } catch (err) {
+            console.warn("Skipping malformed NDJSON line " + (i + 1));
+        }
+    }
+    return out;
+}
+
+/**
+ * Synthetic generator adapter (CONFIG.SYNTHETIC_SOURCE)
+ * Random walk around a per-market start price with a fixed spread - no network needed
+ * @param {Object} hooks
+ * @returns {Object} - Price source
+ */
+function createSyntheticAdapter(hooks) {
+    var cfg = CONFIG.SYNTHETIC_SOURCE;
+    var intervalId = null;
+    var mids = {};  // symbol -> current synthetic mid
+    var basisBps = {};  // symbol -> synthetic oracle offset from mid
+    var totals = {};    // symbol -> {open, high, low, volume, quoteVolume} since the first subscribe, for requestStats
+
+    function stop() {
+        if (intervalId !== null) {
+            clearInterval(intervalId);
+            intervalId = null;
+        }
+    }
+
+    return {
+        name: "synthetic",
+        connect: function() {
+            setTimeout(function() { hooks.onOpen(); }, 0);
+        },
+        subscribe: function(market) {
+            stop();
+            if (!mids[market.symbol]) {
+                mids[market.symbol] = cfg.startPrices[market.symbol] || CONFIG.DEFAULT_PRICE;
+                totals[market.symbol] = {
+                    open: mids[market.symbol], high: mids[market.symbol], low: mids[market.symbol],
+                    volume: 0, quoteVolume: 0
+                };
+            }
+            intervalId = setInterval(function() {
+                var mid = mids[market.symbol] * (1 + (Math.random() * 2 - 1) * cfg.volatilityPct);
+                mids[market.symbol] = mid;
+                var total = totals[market.symbol];
+                total.high = Math.max(total.high, mid);
+                total.low = Math.min(total.low, mid);
+                var halfSpread = market.tickSize * cfg.spreadTicks / 2;
+                var basis = (basisBps[market.symbol] || 0) * (1 - cfg.oracleBasisReversion) +
+                    (Math.random() * 2 - 1) * cfg.oracleBasisStepBps;
+                basisBps[market.symbol] = basis;
+                hooks.onTick(createNormalizedTick({
+                    market: market.symbol,
+                    bid: mid - halfSpread,
+                    ask: mid + halfSpread,
+                    oracle: mid * (1 - basis / 10000),
+                    sourceTs: Date.now(),
+                    receivedAt: getClockMs()
+                }));
+                if (Math.random() < cfg.tradeProbability) {
+                    // Cubed so most prints are small and a few are big
+                    var isBuy = Math.random() < 0.5;
+                    var size = cfg.tradeNotionalUsd * 20 * Math.pow(Math.random(), 3) / mid;
+                    total.volume += size;
+                    total.quoteVolume += size * mid;
+                    hooks.onTrade(createNormalizedTrade({
+                        market: market.symbol,
+                        price: isBuy ? mid + halfSpread : mid - halfSpread,
+                        size: size,
+                        side: isBuy ? "buy" : "sell",
+                        sourceTs: Date.now(),
+                        receivedAt: getClockMs()
+                    }));
+                }
+            }, cfg.intervalMs);
+            return true;
+        },
+        unsubscribe: function(market) {
+            stop();
+            return true;
+        },
+        requestStats: function(market) {
+            var total = totals[market.symbol];
+            if (!total) {
+                return false;
+            }
+            // Session totals stand in for 24h figures; funding follows the synthetic basis (mark above oracle -> longs pay)
+            setTimeout(function() {
+                hooks.onStats(normalizeMarketStats({
+                    market: market.symbol,
+                    high24h: total.high,
+                    low24h: total.low,
+                    open24h: total.open,
+                    volume24h: total.volume,
+                    quoteVolume24h: total.quoteVolume,
+                    fundingRate: (basisBps[market.symbol] || 0) / 10000 / 24
+                }, getClockMs()));
+            }, 0);
+            return true;
+        },
+        disconnect: function() {
+            stop();
+        },
+        getStateLabel: function() {
+            return intervalId !== null ? "RUNNING" : "IDLE";
+        }
+    };
+}
+
+/**
+ * Name of the price source to use: ?source=<name> in the page URL, else CONFIG.PRICE_SOURCE
+ * @returns {string}
+ */
+function getPriceSourceName() {
+    return getUrlParam("source") || CONFIG.PRICE_SOURCE;
+}
+
+/**
+ * Read a query parameter from the page URL
+ * @param {string} name
+ * @returns {string|null} - null if absent or URLSearchParams is unavailable
+ */
+function getUrlParam(name) {
+    try {
+        return new URLSearchParams(window.location.search).get(name);
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Build a price source adapter by name
+ * @param {string} name - "drift", "json-ws", "replay" or "synthetic"
+ * @param {Object} hooks
+ * @returns {Object} - Price source
+ */
+function createPriceSource(name, hooks) {
+    switch (name) {
+        case "json-ws": return createJsonWebSocketAdapter(hooks);
+        case "replay": return createReplayFileAdapter(hooks);
+        case "synthetic": return createSyntheticAdapter(hooks);
+        case "drift": return createDriftSource(hooks);
+        default:
+            console.warn("Unknown price source '" + name + "', using drift");
+            return createDriftSource(hooks);
+    }
+}
+
+/**
+ * Drift DLOB source - in the feed worker when possible, else on the main thread
+ * @param {Object} hooks
+ * @returns {Object} - Price source
+ */
+function createDriftSource(hooks) {
+    if (canUseFeedWorker()) {
+        return createDriftWorkerAdapter(hooks, getDriftDlobUrl());
+    }
+    return createDriftDlobAdapter(hooks, getDriftDlobUrl());
+}
+
+/**
+ * Build the hooks for one price source instance
+ * Hooks from an instance that has since been replaced are ignored,
+ * so a late callback can never clobber the current feed
+ * @param {number} generation - Value of STATE.priceSourceGeneration for this instance
+ * @returns {Object}
+ */
+function createPriceSourceHooks(generation) {
+    function isCurrent() {
+        return generation === STATE.priceSourceGeneration;
+    }
+    return {
+        onOpen: function() {
+            if (!isCurrent()) return;
+            var market = getActiveMarket();
+            console.log("Price source open, subscribing to " + market.symbol + "...");
+            logDebug("Source open; subscribe " + market.symbol);
+            if (STATE.priceSource.subscribe(market)) {
+                setConnectionState("subscribed", market.symbol);
+            }
+            refreshMarketStats();
+        },
+        onTick: function(tick) {
+            if (!isCurrent()) return;
+            handlePriceTick(tick);
+        },
+        onTrade: function(trade) {
+            if (!isCurrent()) return;
+            handleTrade(trade);
+        },
+        onStats: function(stats) {
+            if (!isCurrent()) return;
+            handleMarketStats(stats);
+        },
+        onHistory: function(history) {
+            if (!isCurrent()) return;
+            handleBackfillHistory(history);
+        },
+        onFrame: function(raw, tick) {
+            if (!isCurrent()) return;
+            recordFeedFrame(raw, tick);
+        },
+        onInfo: function(text) {
+            if (!isCurrent()) return;
+            logDebug(text);
+        },
+        onClose: function(reason) {
+            if (!isCurrent()) return;
+            console.log("Price source closed:", reason);
+            STATE.isOnline = false;
+            logDebug("Source closed: " + reason);
+            scheduleReconnect();
+        }
+    };
+}
+
+/**
+ * Stop the current price source (no reconnect is triggered)
+ */
+function stopPriceSource() {
+    if (STATE.priceSource === null) {
+        return;
+    }
+    STATE.priceSourceGeneration++;
+    STATE.priceSource.disconnect();
+    STATE.priceSource = null;
+}
+
+/**
+ * Start (or restart) the configured price source for the active market
+ */
+function startPriceFeed() {
+    // Clear any pending reconnect
+    if (STATE.reconnectTimeoutId !== null) {
+        clearTimeout(STATE.reconnectTimeoutId);
+        STATE.reconnectTimeoutId = null;
+    }
+
+    // Stop existing source if any
+    stopPriceSource();
+
+    var name = getPriceSourceName();
+    console.log("Connecting price source: " + name);
+    setConnectionState("connecting", STATE.connection.attempt > 0 ? "attempt " + STATE.connection.attempt : name);
+
+    STATE.priceSourceGeneration++;
+    STATE.priceSource = createPriceSource(name, createPriceSourceHooks(STATE.priceSourceGeneration));
+
+    try {
+        STATE.priceSource.connect();
+    } catch (err) {
+        console.warn("Failed to connect price source:", err.message);
+        STATE.isOnline = false;
+        logDebug("Source connect failed: " + err.message);
+        scheduleReconnect();
+    }
+}
+
+/**
+ * Compute the delay before a reconnect attempt
+ * Exponential backoff from DRIFT_RECONNECT_DELAY_MS, capped at DRIFT_RECONNECT_MAX_DELAY_MS,
+ * with +/- jitter so clients that dropped together do not retry in lockstep
+ * @param {number} attempt - 1-based attempt number
+ * @returns {number} - Delay in milliseconds
+ */
+function getReconnectDelayMs(attempt) {
+    var exponential = CONFIG.DRIFT_RECONNECT_DELAY_MS * Math.pow(2, attempt - 1);
+    var capped = Math.min(exponential, CONFIG.DRIFT_RECONNECT_MAX_DELAY_MS);
+    var jitter = capped * CONFIG.DRIFT_RECONNECT_JITTER_PCT * (Math.random() * 2 - 1);
+    return Math.max(0, Math.round(capped + jitter));
+}
+
+/**
+ * Schedule a reconnection attempt with exponential backoff
+ * Moves to "failed" once DRIFT_RECONNECT_MAX_ATTEMPTS is exhausted
+ */
+function scheduleReconnect() {
+    if (STATE.reconnectTimeoutId !== null) {
+        return; // Already scheduled
+    }
+    
+    STATE.connection.attempt += 1;
+    if (STATE.connection.attempt > CONFIG.DRIFT_RECONNECT_MAX_ATTEMPTS) {
+        console.warn("DLOB reconnect gave up after " + CONFIG.DRIFT_RECONNECT_MAX_ATTEMPTS + " attempts");
+        setConnectionState("failed", "gave up after " + CONFIG.DRIFT_RECONNECT_MAX_ATTEMPTS + " attempts");
+        return;
+    }
+    
+    var delayMs = getReconnectDelayMs(STATE.connection.attempt);
+    console.log("Scheduling DLOB reconnect in " + delayMs + "ms (attempt " + STATE.connection.attempt + ")...");
+    
+    STATE.connection.nextRetryAt = getClockMs() + delayMs;
+    setConnectionState("backoff", "attempt " + STATE.connection.attempt + "/" + CONFIG.DRIFT_RECONNECT_MAX_ATTEMPTS);
+    
+    STATE.reconnectTimeoutId = setTimeout(function() {
+        STATE.reconnectTimeoutId = null;
+        startPriceFeed();
+    }, delayMs);
+}
+
+/**
+ * "Retry now" action - skip the backoff timer and start over with a fresh attempt budget
+ */
+function retryConnectionNow() {
+    logDebug("Conn: manual retry");
+    STATE.connection.attempt = 0;
+    startPriceFeed();
+}
+
+/**
+ * Move the connection state machine to a new state
+ * Transitions not listed in CONFIG.CONNECTION_TRANSITIONS are ignored and logged
+ * @param {string} nextState
+ * @param {string} detail - Short reason shown in the debug log
+ */
+function setConnectionState(nextState, detail) {
+    var current = STATE.connection.state;
+    if (current === nextState) {
+        return;
+    }
+    var allowed = CONFIG.CONNECTION_TRANSITIONS[current] || [];
+    if (allowed.indexOf(nextState) === -1) {
+        logDebug("Conn: ignored " + current + " -> " + nextState);
+        return;
+    }
+    
+    STATE.connection.state = nextState;
+    STATE.connection.changedAt = getClockMs();
+    STATE.connection.detail = detail || "";
+    logDebug("Conn: " + current + " -> " + nextState + (detail ? " (" + detail + ")" : ""));
+    updateConnectionStatusUI(STATE.connection.changedAt);
+}
+
+/**
+ * Called on every accepted tick - enters "streaming" (or "degraded" while the feed lags)
+ * and resets the backoff budget
+ */
+function markConnectionStreaming() {
+    STATE.connection.attempt = 0;
+    if (STATE.feedHealth.degraded) {
+        setConnectionState("degraded", "source " + Math.round(STATE.feedHealth.lagMs) + "ms behind");
+    } else {
+        setConnectionState("streaming", "");
+    }
+}
+
+/**
+ * Time-based transitions, called every frame from animate()
+ * streaming/degraded -> stale after DRIFT_STALE_AFTER_MS without a tick,
+ * stale or subscribed-without-ticks -> backoff (socket dropped) after DRIFT_OFFLINE_AFTER_MS
+ * @param {number} nowMs - Current time in milliseconds (getClockMs())
+ */
+function updateConnectionHealth(nowMs) {
+    var state = STATE.connection.state;
+    var silenceMs = nowMs - STATE.lastGoodPriceTs;
+    var waitingMs = nowMs - STATE.connection.changedAt;
+    
+    if ((state === "streaming" || state === "degraded") && silenceMs > CONFIG.DRIFT_STALE_AFTER_MS) {
+        setConnectionState("stale", "no tick for " + Math.floor(silenceMs / 1000) + "s");
+    } else if (STATE.replay.active) {
+        // A replay cannot reconnect - silent stretches of the recording just stay stale
+    } else if ((state === "stale" && silenceMs > CONFIG.DRIFT_OFFLINE_AFTER_MS) ||
+               (state === "subscribed" && waitingMs > CONFIG.DRIFT_OFFLINE_AFTER_MS)) {
+        logDebug("Source silent in state " + state + "; restarting");
+        stopPriceSource();
+        STATE.isOnline = false;
+        scheduleReconnect();
+    }
+    
+    updateConnectionStatusUI(nowMs);
+}
+
+/**
+ * Human-readable connection status for the header, overlays and loading screen
+ * @param {number} nowMs - Current time in milliseconds (getClockMs())
+ * @returns {string}
+ */
+function getConnectionStatusText(nowMs) {
+    var conn = STATE.connection;
+    switch (conn.state) {
+        case "connecting":
+            return conn.attempt > 0 ? "CONNECTING (ATTEMPT " + conn.attempt + ")" : "CONNECTING";
+        case "subscribed":
+            return "SUBSCRIBED - WAITING FOR TICKS";
+        case "streaming":
+            return "LIVE";
+        case "degraded":
+            return "DEGRADED - FEED " + (STATE.feedHealth.lagMs / 1000).toFixed(1) + "S BEHIND";
+        case "stale":
+            return "STALE - NO TICK FOR " + Math.floor((nowMs - STATE.lastGoodPriceTs) / 1000) + "S";
+        case "backoff":
+            var secs = Math.max(0, Math.ceil((conn.nextRetryAt - nowMs) / 1000));
+            return "RETRY IN " + secs + "S (" + conn.attempt + "/" + CONFIG.DRIFT_RECONNECT_MAX_ATTEMPTS + ")";
+        case "failed":
+            return "CONNECTION FAILED";
+        default:
+            return "IDLE";
+    }
+}
+
+/**
+ * Status colour matching the cyber theme
+ * @returns {string}
+ */
+function getConnectionStatusColor() {
+    switch (STATE.connection.state) {
+        case "streaming": return "#00FF88";
+        case "degraded":
+        case "stale":
+        case "backoff": return "#FFD700";
+        case "failed": return "#FF5555";
+        default: return "#00FFCC";
+    }
+}
+
+/**
+ * Sync the loading-overlay status line and the retry buttons with the connection state
+ * @param {number} nowMs - Current time in milliseconds (getClockMs())
+ */
+function updateConnectionStatusUI(nowMs) {
+    var text = getConnectionStatusText(nowMs);
+    var canRetry = STATE.connection.state === "backoff" ||
+                   STATE.connection.state === "failed" ||
+                   STATE.connection.state === "stale" ||
+                   STATE.connection.state === "degraded";
+    
+    if (STATE.loadingStatusEl && STATE.loadingStatusEl.textContent !== text) {
+        STATE.loadingStatusEl.textContent = text;
+        STATE.loadingStatusEl.style.color = getConnectionStatusColor();
+    }
+    if (STATE.loadingRetryBtnEl) {
+        STATE.loadingRetryBtnEl.style.display = canRetry ? "inline-block" : "none";
+    }
+    if (STATE.connectionRetryBtnEl) {
+        STATE.connectionRetryBtnEl.style.display = canRetry && !STATE.loadingVisible ? "block" : "none";
+    }
+}
+
+/**
+ * Wire up the "retry now" buttons
+ */
+function initConnectionControls() {
+    [STATE.loadingRetryBtnEl, STATE.connectionRetryBtnEl].forEach(function(btn) {
+        if (!btn) return;
+        btn.addEventListener("click", function(e) {
+            e.stopPropagation();
+            retryConnectionNow();
+        });
+    });
+}
+
+/**
+ * Authoritative online check - used everywhere for consistency
+ * Data is considered offline if no update in DRIFT_OFFLINE_AFTER_MS (20 seconds).
+ * Only ticks recorded by acceptTickSequence() count as updates; a lagging feed stays
+ * online but is flagged by the "degraded" connection state.
+ * @param {number} nowMs - Current time in milliseconds (getClockMs())
+ * @returns {boolean}
+ */
+function isOnline(nowMs) {
+    return STATE.isOnline && (nowMs - STATE.lastGoodPriceTs) < CONFIG.DRIFT_OFFLINE_AFTER_MS;
+}
+
+/**
+ * Legacy alias for compatibility
+ * @param {number} nowMs
+ * @returns {boolean}
+ */
+function isDriftOnline(nowMs) {
+    return isOnline(nowMs);
+}
+
+/**
+ * Initialize price history with timestamps
+ * If we haven't received real price data yet, just create empty history
+ * The actual data will be populated when we receive the first real price
+ */
+function initPriceHistory() {
+    STATE.priceHistory = [];
+    
+    // Don't populate with fake data - wait for real price from websocket
+    // Just initialize the zoom range to reasonable defaults
+    // These will be properly set once we get real data
+    STATE.priceMin = CONFIG.MIN_PRICE;
+    STATE.priceMax = CONFIG.MAX_PRICE;
+}
+
+/**
+ * Called when the first real tick is received from the price source
+ * Properly initializes price history with the real starting price
+ * Also initializes the fixed hex ladder (TICK_SIZE, ANCHOR_PRICE)
+ * @param {Object} tick - The first normalized tick (see createNormalizedTick)
+ */
+function initializeWithRealPrice(tick) {
+    var now = getClockMs();
+    var realPrice = getReferencePrice(tick).price;
+    
+    // Set the current price to the real value
+    STATE.currentPrice = realPrice;
+    STATE.targetPrice = realPrice;
+    
+    // Now populate history with the real price
+    STATE.priceHistory = [];
+    for (var i = 0; i < CONFIG.MAX_SAMPLES; i++) {
+        STATE.priceHistory.push({
+            time: now - (CONFIG.MAX_SAMPLES - i) * CONFIG.SAMPLE_INTERVAL,
+            price: realPrice
+        });
+    }
+    
+    // Initialize priceMin/priceMax based on real price
+    var initialSpan = realPrice * CONFIG.ZOOM_MIN_SPAN_PCT;
+    var initialPad = Math.max(initialSpan * CONFIG.ZOOM_PAD_FRAC, realPrice * CONFIG.ZOOM_PAD_MIN_PCT);
+    STATE.priceMin = realPrice - initialSpan / 2 - initialPad;
+    STATE.priceMax = realPrice + initialSpan / 2 + initialPad;
+    
+    // Initialize the fixed hex ladder (this is the key for fair tap-trading!)
+    initializeLadder(realPrice);
+    
+    STATE.hasReceivedFirstPrice = true;
+    setLoadingOverlayVisible(false);
+    console.log("Initialized with real " + STATE.activeMarketSymbol + " price: $" + realPrice.toFixed(4));
+}
+
+/**
+ * Update price by easing toward the mid of the latest normalized tick (STATE.targetPrice)
+ * When offline, price is frozen (no movement) and history is NOT updated
+ * IMPORTANT: All prices stored as full precision floats - NO rounding or toFixed()
+ */
+function updatePrice() {
+    var nowMs = getClockMs();
+    
+    // Only update price and history if Drift feed is online
+    if (isOnline(nowMs)) {
+        // Ease toward target price (no jitter)
+        // STATE.targetPrice is the full precision mid of the latest normalized tick
+        // STATE.currentPrice remains full precision float
+        STATE.currentPrice += (STATE.targetPrice - STATE.currentPrice) * CONFIG.PRICE_EASE_ALPHA;
+
+        // Keep the eased candles aligned with the rendered price line by using the same smoothed price.
+        // Raw candles are built from the ticks themselves in handlePriceTick().
+        updateCandleAggregator(STATE.currentPrice, nowMs);
+        
+        // Add to time-based history for zoom/range calculations (FULL PRECISION)
+        STATE.priceHistory.push({ time: nowMs, price: STATE.currentPrice });
+        
+        // Remove old samples from time-based history
+        var cutoff = nowMs - CONFIG.HISTORY_DURATION;
+        while (STATE.priceHistory.length > 0 && STATE.priceHistory[0].time < cutoff) {
+            STATE.priceHistory.shift();
+        }
+    }
+    // Else: price stays frozen at current value, no history push
+}
+
+/**
+ * Update the distance-based trail history
+ * Called every frame from animate() with the scroll delta
+ * Trail points are added based on scroll distance, not wall-clock time
+ * @param {number} scrollDelta - Pixels scrolled this frame
+ */
+function updateTrailHistory(scrollDelta) {
+    var nowMs = getClockMs();
+    
+    // Only update trail if Drift feed is online
+    if (!isOnline(nowMs)) {
+        return;
+    }
+    
+    // Accumulate scroll distance
+    STATE.scrolledSinceLastTrailPointPx += scrollDelta;
+    
+    // Add trail points when we've scrolled enough
+    var spacing = CONFIG.TRAIL_POINT_SPACING_PX;
+    
+    // Initialize lastTrailScrollX once, anchored to current scroll position
+    if (STATE.trailHistory.length === 0 && STATE.lastTrailScrollX === 0) {
+        STATE.lastTrailScrollX = STATE.hexScrollPosition - STATE.scrolledSinceLastTrailPointPx;
+    }
+    
+    while (STATE.scrolledSinceLastTrailPointPx >= spacing) {
+        // Advance the canonical scroll position by exactly one spacing
+        STATE.lastTrailScrollX += spacing;
+        
+        // Compute frozen worldY at this moment - this never changes after being stored
+        var frozenWorldY = STATE.ladderInitialized ? priceToWorldY(STATE.currentPrice) : 0;
+        
+        // Push trail point at the canonical position (strictly increasing)
+        // Store BOTH price and frozen worldY - worldY is used for rendering, price for reference
+        STATE.trailHistory.push({
+            scrollX: STATE.lastTrailScrollX,
+            price: STATE.currentPrice,
+            worldY: frozenWorldY,
+            oracleWorldY: getOracleWorldY()   // Frozen the same way; null while no oracle is known
+        });
+        
+        STATE.scrolledSinceLastTrailPointPx -= spacing;
+    }
+    
+    var cutoffScrollX = getTrailCutoffScrollX();
+    
+    // Trail points that have scrolled off the left edge go to the session archive
+    while (STATE.trailHistory.length > 0 && STATE.trailHistory[0].scrollX < cutoffScrollX) {
+        archiveTrailPoint(STATE.trailHistory.shift());
+    }
+    // Backfill shading stays as long as the archived trail it covers
+    var horizonScrollX = getSessionHistoryStartScrollX();
+    while (STATE.backfill.regions.length > 0 && STATE.backfill.regions[0].toScrollX < horizonScrollX) {
+        STATE.backfill.regions.shift();
+    }
+}
+
+/**
+ * Oldest scroll position the session history still covers (the archive horizon)
+ * Anything drawn along the trail is kept back to here so panning back shows it with the trail
+ * @returns {number}
+ */
+function getSessionHistoryStartScrollX() {
+    if (STATE.trailArchive.length > 0) {
+        return STATE.trailArchive[0].scrollX;
+    }
+    if (STATE.trailHistory.length > 0) {
+        return STATE.trailHistory[0].scrollX;
+    }
+    return getTrailCutoffScrollX();
+}
+
+/**
+ * Whether a scroll position is covered by the live (full resolution) trail
+ * @param {number} scrollX
+ * @returns {boolean}
+ */
+function isLiveTrailScrollX(scrollX) {
+    return STATE.trailHistory.length > 0 && scrollX >= STATE.trailHistory[0].scrollX;
+}
+
+/**
+ * Keep a trail point that left the live trail in STATE.trailArchive (price and worldY only)
+ * Over budget, pairs in the older half collapse to whichever point moved further from
+ * the point kept before them, so spikes survive downsampling
+ * @param {Object} point - Trail point
+ */
+function archiveTrailPoint(point) {
+    var archive = STATE.trailArchive;
+    archive.push({ scrollX: point.scrollX, price: point.price, worldY: point.worldY });
+    if (archive.length <= CONFIG.SESSION_HISTORY.trailPointsMax) {
+        return;
+    }
+    var previous = archive[0];
+    STATE.trailArchive = downsampleOldestHalf(archive, function(older, newer) {
+        previous = Math.abs(older.price - previous.price) > Math.abs(newer.price - previous.price) ? older : newer;
+        return previous;
+    });
+}
+
+/**
+ * Interpolate price or worldY from the archive, for scroll positions older than trailHistory
+ * @param {number} targetScrollX
+ * @param {string} field - "price" or "worldY"
+ * @returns {number}
+ */
+function getArchivedTrailValue(targetScrollX, field) {
+    var archive = STATE.trailArchive;
+    var first = STATE.trailHistory[0];
+    if (archive.length === 0 || targetScrollX <= archive[0].scrollX) {
+        return (archive.length > 0 ? archive[0] : first)[field];
+    }
+    
+    // Binary search: the archive is sorted by scrollX
+    var lo = 0;
+    var hi = archive.length;
+    while (lo < hi) {
+        var mid = (lo + hi) >> 1;
+        if (archive[mid].scrollX < targetScrollX) {
+            lo = mid + 1;
+        } else {
+            hi = mid;
+        }
+    }
+    var prev = archive[lo - 1];
+    var next = lo < archive.length ? archive[lo] : first;
+    if (next.scrollX === prev.scrollX) {
+        return prev[field];
+    }
+    var t = (targetScrollX - prev.scrollX) / (next.scrollX - prev.scrollX);
+    return prev[field] + (next[field] - prev[field]) * t;
+}
+
+/**
+ * Oldest scroll position worth keeping for anything drawn along the trail
+ * Trail goes from lineHeadX (center) to lineTailX (left edge);
+ * keep enough history to cover the visible trail area plus some buffer
+ * @returns {number}
+ */
+function getTrailCutoffScrollX() {
+    var trailWidthPx;
+    if (isPortraitMode()) {
+        trailWidthPx = (STATE.canvasHeight / 2) - CONFIG.PADDING.top;
+    } else {
+        trailWidthPx = (STATE.canvasWidth / 2) - CONFIG.PADDING.left;
+    }
+    var maxTrailDistance = trailWidthPx + CONFIG.TRAIL_POINT_SPACING_PX * 10; // Add buffer
+    return STATE.hexScrollPosition - maxTrailDistance;
+}
+
+/**
+ * Get price at a specific scroll position (interpolated from trail history)
+ * @param {number} targetScrollX - The scroll position to get price for
+ * @returns {number} - Interpolated price at that scroll position
+ */
+function getPriceAtScrollX(targetScrollX) {
+    var history = STATE.trailHistory;
+    
+    if (history.length === 0) {
+        return STATE.currentPrice;
+    }
+    if (history.length === 1) {
+        return history[0].price;
+    }
+    
+    // Before our oldest point - earlier in the session, from the archive
+    if (targetScrollX <= history[0].scrollX) {
+        return getArchivedTrailValue(targetScrollX, "price");
+    }
+    
+    // If target is after our newest point, return current price
+    if (targetScrollX >= history[history.length - 1].scrollX) {
+        // Interpolate between last point and current position
+        var lastPoint = history[history.length - 1];
+        var currentScrollX = STATE.hexScrollPosition;
+        if (currentScrollX > lastPoint.scrollX) {
+            var t = (targetScrollX - lastPoint.scrollX) / (currentScrollX - lastPoint.scrollX);
+            return lastPoint.price + (STATE.currentPrice - lastPoint.price) * t;
+        }
+        return STATE.currentPrice;
+    }
+    
+    // Find surrounding samples and interpolate
+    for (var i = 1; i < history.length; i++) {
+        if (history[i].scrollX >= targetScrollX) {
+            var prev = history[i - 1];
+            var next = history[i];
+            
+            // Safety guard: skip zero-length segments to prevent division by zero / jitter
+            if (next.scrollX === prev.scrollX) {
+                // Skip forward to find a segment with different scrollX
+                while (i + 1 < history.length && history[i + 1].scrollX === prev.scrollX) {
+                    i++;
+                }
+                // If we've exhausted segments, return prev.price
+                if (i + 1 >= history.length || history[i + 1].scrollX === prev.scrollX) {
+                    return prev.price;
+                }
+                next = history[i + 1];
+            }
+            
+            var t = (targetScrollX - prev.scrollX) / (next.scrollX - prev.scrollX);
+            return prev.price + (next.price - prev.price) * t;
+        }
+    }
+    
+    return history[history.length - 1].price;
+}
+
+/**
+ * Get FROZEN worldY at a specific scroll position (interpolated from trail history)
+ * This uses the worldY values that were frozen at capture time - no recomputation
+ * @param {number} targetScrollX - The scroll position to get worldY for
+ * @returns {number} - Interpolated frozen worldY at that scroll position
+ */
+function getWorldYAtScrollX(targetScrollX) {
+    var history = STATE.trailHistory;
+    
+    // If no history, compute current worldY
+    if (history.length === 0) {
+        return STATE.ladderInitialized ? priceToWorldY(STATE.currentPrice) : 0;
+    }
+    
+    // If only one point, return its frozen worldY
+    if (history.length === 1) {
+        return history[0].worldY;
+    }
+    
+    // Before our oldest point - earlier in the session, from the archive
+    if (targetScrollX <= history[0].scrollX) {
+        return getArchivedTrailValue(targetScrollX, "worldY");
+    }
+    
+    // If target is after our newest point, interpolate to current
+    if (targetScrollX >= history[history.length - 1].scrollX) {
+        var lastPoint = history[history.length - 1];
+        var currentScrollX = STATE.hexScrollPosition;
+        var currentWorldY = STATE.ladderInitialized ? priceToWorldY(STATE.currentPrice) : 0;
+        if (currentScrollX > lastPoint.scrollX) {
+            var t = (targetScrollX - lastPoint.scrollX) / (currentScrollX - lastPoint.scrollX);
+            return lastPoint.worldY + (currentWorldY - lastPoint.worldY) * t;
+        }
+        return currentWorldY;
+    }
+    
+    // Find surrounding samples and interpolate frozen worldY values
+    for (var i = 1; i < history.length; i++) {
+        if (history[i].scrollX >= targetScrollX) {
+            var prev = history[i - 1];
+            var next = history[i];
+            
+            // Safety guard: skip zero-length segments
+            if (next.scrollX === prev.scrollX) {
+                while (i + 1 < history.length && history[i + 1].scrollX === prev.scrollX) {
+                    i++;
+                }
+                if (i + 1 >= history.length || history[i + 1].scrollX === prev.scrollX) {
+                    return prev.worldY;
+                }
+                next = history[i + 1];
+            }
+            
+            var t = (targetScrollX - prev.scrollX) / (next.scrollX - prev.scrollX);
+            return prev.worldY + (next.worldY - prev.worldY) * t;
+        }
+    }
+    
+    return history[history.length - 1].worldY;
+}
+
+/**
+ * Get price at a specific time (interpolated)
+ * @param {number} targetTime 
+ * @returns {number}
+ */
+function getPriceAtTime(targetTime) {
+    var history = STATE.priceHistory;
+    
+    if (history.length === 0) {
+        return STATE.currentPrice;
+    }
+    if (history.length === 1) {
+        return history[0].price;
+    }
+    
+    // Find surrounding samples
+    for (var i = 1; i < history.length; i++) {
+        if (history[i].time >= targetTime) {
+            var prev = history[i - 1];
+            var next = history[i];
+            var t = (targetTime - prev.time) / (next.time - prev.time);
+            return prev.price + (next.price - prev.price) * t;
+        }
+    }
+    
+    return history[history.length - 1].price;
+}
+
+/**
+ * ============================================================================
+ * Initialize the FROZEN hex ladder on first real price
+ * ============================================================================
+ * 
+ * This function runs ONCE and sets the permanent anchor values for the
+ * infinite world labeling system. These values NEVER change after this:
+ * 
+ *   TICK_SIZE     - Price per row ($0.01)
+ *   ANCHOR_PRICE  - Price at worldY = 0 (rounded first real price)
+ *   ANCHOR_WORLD_Y - Always 0 (reference point in world space)
+ *   PX_PER_TICK   - Pixels per row (size * sqrt(3))
+ * 
+ * After initialization:
+ *   - Any hex at (col, row) has price = ANCHOR_PRICE + getWorldYForHex(col, row) / PX_PER_TICK * TICK_SIZE
+ *   - This formula works for hexes arbitrarily far off-screen
+ *   - The viewport can move freely without affecting labels
+ * 
+ * @param {number} realPrice - The first real price from websocket
+ */
+function initializeLadder(realPrice) {
+    if (STATE.ladderInitialized) {
+        return; // Already initialized, never recalculate
+    }
+    
+    // ========================================================================
+    // FROZEN TICK SIZE - Price granularity (per-market, $0.01 per row for SOL)
+    // ========================================================================
+    STATE.TICK_SIZE = getActiveMarket().tickSize;
+    
+    // ========================================================================
+    // FROZEN ANCHOR PRICE - Reference price at worldY = 0
+    // ========================================================================
+    // Round to nearest tick for clean alignment
+    STATE.ANCHOR_PRICE = Math.round(realPrice / STATE.TICK_SIZE) * STATE.TICK_SIZE;
+    
+    // ========================================================================
+    // FROZEN WORLD GEOMETRY - Hex size and spacing in world space
+    // ========================================================================
+    // For flat-top hexes: row spacing = size * sqrt(3), col spacing = size * 1.5
+    var size = Math.min(STATE.canvasWidth, STATE.canvasHeight) / CONFIG.HEX_SIZE_RATIO;
+    var rowSpacing = size * Math.sqrt(3);
+    var colSpacing = size * 1.5;
+    
+    STATE.WORLD_HEX_SIZE = size;       // Base hex size (center to corner) - FROZEN
+    STATE.PX_PER_TICK = rowSpacing;    // Row spacing in world Y - FROZEN
+    STATE.WORLD_COL_SPACING = colSpacing; // Column spacing in world X - FROZEN
+    
+    // ========================================================================
+    // FROZEN ANCHOR_WORLD_Y - Reference point in world space (always 0)
+    // ========================================================================
+    STATE.ANCHOR_WORLD_Y = 0;
+    
+    // Initial camera position - this CAN change (viewport follows price)
+    // But this only affects WHERE things are drawn, not WHAT labels they show
+    STATE.viewportOffsetY = 0;
+    
+    STATE.ladderInitialized = true;
+    console.log("Ladder initialized (FROZEN): ANCHOR_PRICE=" + STATE.ANCHOR_PRICE.toFixed(4) + 
+                ", TICK_SIZE=" + STATE.TICK_SIZE.toFixed(4) +
+                ", PX_PER_TICK=" + STATE.PX_PER_TICK.toFixed(2));
+}
+
+/**
+ * Get the row spacing for the hex grid in WORLD space (pixels between row centers)
+ * This is CONSTANT - zoom is applied only at render time via worldYToScreenY
+ * @returns {number} - Row spacing in world pixels (never changes after init)
+ */
+function getHexRowSpacing() {
+    // Return frozen world spacing - zoom is NOT applied here
+    return STATE.PX_PER_TICK;
+}
+
+/**
+ * Convert a world Y coordinate to a price
+ * 
+ * FROZEN FUNCTION: Uses only the immutable anchor values set during first price:
+ *   - ANCHOR_PRICE: Reference price at ANCHOR_WORLD_Y
+ *   - ANCHOR_WORLD_Y: Reference world Y (always 0)
+ *   - PX_PER_TICK: Pixels per tick in world space
+ *   - TICK_SIZE: Price per tick ($0.01)
+ * 
+ * Higher worldY (larger values) = higher price
+ * This function works for ANY worldY value, even far off-screen.
+ * 
+ * @param {number} worldY - World Y coordinate (can be any value)
+ * @returns {number} - Price at that world Y position (frozen, never changes)
+ */
+function worldYToPrice(worldY) {
+    // ladderIndex = how many ticks away from anchor
+    var ladderIndex = (worldY - STATE.ANCHOR_WORLD_Y) / STATE.PX_PER_TICK;
+    // price = anchor price + ladder offset
+    return STATE.ANCHOR_PRICE + ladderIndex * STATE.TICK_SIZE;
+}
+
+/**
+ * Convert a price to a world Y coordinate
+ * 
+ * FROZEN FUNCTION: Inverse of worldYToPrice, uses same immutable anchor values.
+ * This function works for ANY price value, even far outside visible range.
+ * 
+ * @param {number} price - Price value (can be any value)
+ * @returns {number} - World Y coordinate for that price (frozen, never changes)
+ */
+function priceToWorldY(price) {
+    // ladderIndex = how many ticks away from anchor price
+    var ladderIndex = (price - STATE.ANCHOR_PRICE) / STATE.TICK_SIZE;
+    // worldY = anchor world Y + ladder offset in pixels
+    return STATE.ANCHOR_WORLD_Y + ladderIndex * STATE.PX_PER_TICK;
+}
+
+/**
+ * Get the absolute ladder index for a given price
+ * ladderIndex = (price - ANCHOR_PRICE) / TICK_SIZE
+ * @param {number} price
+ * @returns {number} - Integer ladder index (rounded)
+ */
+function priceToLadderIndex(price) {
+    return Math.round((price - STATE.ANCHOR_PRICE) / STATE.TICK_SIZE);
+}
+
+/**
+ * Get the absolute ladder index for a given price (float, not rounded)
+ * Used for smooth line drawing so the line aligns exactly with hex grid
+ * @param {number} price
+ * @returns {number} - Float ladder index (NOT rounded)
+ */
+function priceToLadderIndexFloat(price) {
+    return (price - STATE.ANCHOR_PRICE) / STATE.TICK_SIZE;
+}
+
+/**
+ * Get price from absolute ladder index
+ * price = ANCHOR_PRICE + ladderIndex * TICK_SIZE
+ * @param {number} ladderIndex
+ * @returns {number} - Price at that ladder position
+ */
+function ladderIndexToPrice(ladderIndex) {
+    return STATE.ANCHOR_PRICE + ladderIndex * STATE.TICK_SIZE;
+}
+
+/**
+ * Compute hex world center for flat-top hex grid
+ * Uses offset coordinates (col, row) where odd columns are staggered
+ * For flat-top hexes:
+ *   worldX = size * 3/2 * col
+ *   worldY = size * sqrt(3) * (row + (col % 2) * 0.5)
+ * @param {number} col - Column in offset coordinates
+ * @param {number} row - Row in offset coordinates  
+ * @param {number} size - Hex size (center to corner)
+ * @returns {{worldX: number, worldY: number}}
+ */
+function hexOffsetToWorld(col, row, size) {
+    var isOddCol = Math.abs(col) % 2 === 1;
+    var worldX = size * 1.5 * col;
+    var worldY = size * Math.sqrt(3) * (row + (isOddCol ? 0.5 : 0));
+    return { worldX: worldX, worldY: worldY };
+}
+
+/**
+ * ============================================================================
+ * INFINITE WORLD LABELING SYSTEM
+ * ============================================================================
+ * 
+ * These functions define the PURE, FROZEN labeling math for the hex grid.
+ * After ladderInitialized = true, these values NEVER change:
+ *   - ANCHOR_PRICE: The price at worldY = 0 (ANCHOR_WORLD_Y)
+ *   - TICK_SIZE: The price difference per row ($0.01)
+ *   - PX_PER_TICK: Pixels per row in world space
+ * 
+ * CRITICAL INVARIANTS:
+ * 1. Any hex at world coordinates (col, row) has a FIXED price computed as:
+ *    priceAtHex(col, row) = ANCHOR_PRICE + getWorldYForHex(col, row) / PX_PER_TICK * TICK_SIZE
+ * 
+ * 2. This price is INDEPENDENT of:
+ *    - Current viewport position (viewportOffsetY)
+ *    - Current visible range (priceMin/priceMax)
+ *    - Screen dimensions or scroll position
+ * 
+ * 3. The viewport only affects WHERE on screen a hex is drawn, not WHAT price it shows
+ * ============================================================================
+ */
+
+/**
+ * Get the world Y coordinate for a hex at absolute world coordinates (col, row)
+ * This is a PURE function of (col, row) - no viewport or screen dependencies
+ * 
+ * @param {number} worldCol - Absolute column index (can be any integer, positive or negative)
+ * @param {number} worldRow - Absolute row index (can be any integer, positive or negative)
+ * @returns {number} - World Y coordinate
+ */
+function getWorldYForHex(worldCol, worldRow) {
+    if (!STATE.ladderInitialized) {
+        return 0;
+    }
+    var isOddCol = Math.abs(worldCol) % 2 === 1;
+    // Row spacing equals PX_PER_TICK (both are size * sqrt(3))
+    var rowSpacing = STATE.PX_PER_TICK;
+    // World Y = row * rowSpacing + stagger for odd columns
+    return rowSpacing * (worldRow + (isOddCol ? 0.5 : 0));
+}
+
+/**
+ * Get the FROZEN price for a hex at absolute world coordinates (col, row)
+ * This is the CANONICAL labeling function for the infinite world.
+ * 
  * GUARANTEES:
  * - Returns the same price for the same (col, row) forever
  * - Works for hexes that have never been visible
@@ -1790,213 +3767,2079 @@ function getWorldYForHex(worldCol, worldRow) {
  * @param {number} worldRow - Absolute row index
  * @returns {number} - Fixed price label for this hex
  */
-function getPriceForHex(worldCol, worldRow) {
-    if (!STATE.ladderInitialized) {
-        return CONFIG.DEFAULT_PRICE;
+function getPriceForHex(worldCol, worldRow) {
+    if (!STATE.ladderInitialized) {
+        return CONFIG.DEFAULT_PRICE;
+    }
+    var worldY = getWorldYForHex(worldCol, worldRow);
+    // Use the frozen worldYToPrice which depends only on ANCHOR values
+    return worldYToPrice(worldY);
+}
+
+/**
+ * Get the ladder index (tick offset from ANCHOR_PRICE) for a hex
+ * 
+ * @param {number} worldCol - Absolute column index
+ * @param {number} worldRow - Absolute row index
+ * @returns {number} - Ladder index (integer offset from anchor)
+ */
+function getLadderIndexForHex(worldCol, worldRow) {
+    if (!STATE.ladderInitialized) {
+        return 0;
+    }
+    var worldY = getWorldYForHex(worldCol, worldRow);
+    return Math.round((worldY - STATE.ANCHOR_WORLD_Y) / STATE.PX_PER_TICK);
+}
+
+/**
+ * Convert world coordinates to screen coordinates
+ * Applies the camera/viewport offset
+ * @param {number} worldX - World X position
+ * @param {number} worldY - World Y position
+ * @param {number} chartTop - Top of chart area
+ * @param {number} chartHeight - Height of chart area
+ * @returns {{screenX: number, screenY: number}}
+ */
+function worldToScreen(worldX, worldY, chartTop, chartHeight) {
+    // X: world X is offset by horizontal scroll
+    // hexScrollPosition moves hexes leftward, so screenX = worldX - scrollOffset
+    // But we compute worldX relative to visible columns, so this is handled in drawHexagons
+    
+    // Y: chart center is at viewport center
+    var chartCenterY = chartTop + chartHeight / 2;
+    // World Y = 0 (ANCHOR_WORLD_Y) is at viewportOffsetY
+    // Higher worldY (higher price) should be at smaller screenY (top of screen)
+    var screenY = chartCenterY - (worldY - STATE.viewportOffsetY);
+    return { screenX: worldX, screenY: screenY };
+}
+
+/**
+ * Update the viewport offset to keep current price visible
+ * Shifts the camera (viewportOffsetY in world pixels), NOT the board
+ * @param {number} nowMs - Current time in milliseconds (getClockMs())
+ */
+function updateViewportOffset(nowMs) {
+    // If ladder not initialized or offline, don't update
+    if (!STATE.ladderInitialized || !isDriftOnline(nowMs)) {
+        return;
+    }
+    
+    // Calculate visible range in world Y coordinates
+    var height = STATE.canvasHeight;
+    var padding = CONFIG.PADDING;
+    var chartHeight = height - padding.top - padding.bottom;
+    
+    // Half the visible height in world pixels
+    var halfVisibleWorld = chartHeight / 2;
+    
+    // Current price world Y
+    var currentPriceWorldY = priceToWorldY(STATE.currentPrice);
+    
+    // Visible world Y range (remember: higher price = higher worldY, but higher worldY = lower screenY)
+    var minVisibleWorldY = STATE.viewportOffsetY - halfVisibleWorld;
+    var maxVisibleWorldY = STATE.viewportOffsetY + halfVisibleWorld;
+    
+    // Margin in world pixels (20% of visible range)
+    var margin = halfVisibleWorld * 0.4;
+    
+    if (currentPriceWorldY > maxVisibleWorldY - margin) {
+        // Price went up (higher worldY), shift viewport up
+        var shift = currentPriceWorldY - (maxVisibleWorldY - margin);
+        STATE.viewportOffsetY += shift;
+    } else if (currentPriceWorldY < minVisibleWorldY + margin) {
+        // Price went down (lower worldY), shift viewport down
+        var shift = (minVisibleWorldY + margin) - currentPriceWorldY;
+        STATE.viewportOffsetY -= shift;
+    }
+}
+
+/**
+ * LEGACY: Update dynamic Y-axis range based on recent price history
+ * NOW: Just updates priceMin/priceMax for chart line rendering only
+ * Hex grid uses fixed ladder, NOT these values
+ * @param {number} nowMs - Current time in milliseconds (getClockMs())
+ */
+function updateDynamicRangeFromHistory(nowMs) {
+    // Update viewport offset to keep current price in view
+    updateViewportOffset(nowMs);
+    
+    // If offline or stale, do NOT recompute range - keep it frozen
+    if (!isDriftOnline(nowMs)) {
+        return;
+    }
+    
+    var cutoffTime = nowMs - CONFIG.ZOOM_WINDOW_SECS * 1000;
+    var windowPrices = [];
+    
+    // Collect prices from the zoom window (use full float precision)
+    for (var i = 0; i < STATE.priceHistory.length; i++) {
+        if (STATE.priceHistory[i].time >= cutoffTime) {
+            windowPrices.push(STATE.priceHistory[i].price);
+        }
+    }
+    
+    // Also include current price to ensure we always have the latest
+    windowPrices.push(STATE.currentPrice);
+    
+    var windowLow, windowHigh;
+    
+    // Fallback if fewer than ~10 points
+    if (windowPrices.length < 10) {
+        var minSpanFallback = STATE.currentPrice * CONFIG.ZOOM_MIN_SPAN_PCT;
+        windowLow = STATE.currentPrice - minSpanFallback / 2;
+        windowHigh = STATE.currentPrice + minSpanFallback / 2;
+    } else {
+        // Optional outlier trimming
+        if (CONFIG.ZOOM_OUTLIER_TRIM > 0) {
+            windowPrices.sort(function(a, b) { return a - b; });
+            var trimCount = Math.floor(windowPrices.length * CONFIG.ZOOM_OUTLIER_TRIM);
+            if (trimCount > 0 && windowPrices.length > trimCount * 2 + 2) {
+                windowPrices = windowPrices.slice(trimCount, windowPrices.length - trimCount);
+            }
+        }
+        
+        // Find window low/high from full precision values
+        windowLow = windowPrices[0];
+        windowHigh = windowPrices[0];
+        for (var j = 1; j < windowPrices.length; j++) {
+            if (windowPrices[j] < windowLow) windowLow = windowPrices[j];
+            if (windowPrices[j] > windowHigh) windowHigh = windowPrices[j];
+        }
+    }
+    
+    // Compute span with minimum
+    var span = windowHigh - windowLow;
+    var minSpanValue = STATE.currentPrice * CONFIG.ZOOM_MIN_SPAN_PCT;
+    var absoluteMinSpan = 0.01; // Never go below $0.01 span
+    var effectiveMinSpan = Math.max(minSpanValue, absoluteMinSpan);
+    
+    if (span < effectiveMinSpan) {
+        var center = (windowLow + windowHigh) / 2;
+        windowLow = center - effectiveMinSpan / 2;
+        windowHigh = center + effectiveMinSpan / 2;
+        span = effectiveMinSpan;
+    }
+    
+    // Compute padding
+    var pad = Math.max(span * CONFIG.ZOOM_PAD_FRAC, STATE.currentPrice * CONFIG.ZOOM_PAD_MIN_PCT);
+    
+    // Compute target range (full precision, no rounding)
+    var wantMin = windowLow - pad;
+    var wantMax = windowHigh + pad;
+    
+    // Ease toward target range (smooth animation)
+    STATE.priceMin += (wantMin - STATE.priceMin) * CONFIG.ZOOM_EASE_ALPHA;
+    STATE.priceMax += (wantMax - STATE.priceMax) * CONFIG.ZOOM_EASE_ALPHA;
+    
+    // Ensure priceMax > priceMin and enforce minimum absolute span
+    var currentSpanCheck = STATE.priceMax - STATE.priceMin;
+    var minAbsoluteSpan = Math.max(STATE.currentPrice * CONFIG.ZOOM_MIN_SPAN_PCT, 0.01);
+    
+    if (STATE.priceMax <= STATE.priceMin || currentSpanCheck < minAbsoluteSpan) {
+        var midPoint = (STATE.priceMin + STATE.priceMax) / 2;
+        if (!isFinite(midPoint)) midPoint = STATE.currentPrice;
+        STATE.priceMin = midPoint - minAbsoluteSpan / 2;
+        STATE.priceMax = midPoint + minAbsoluteSpan / 2;
+    }
+    
+    // Optional: clamp if range becomes absurdly wide (more than 50% of current price)
+    var maxAllowedSpan = STATE.currentPrice * 0.5;
+    var currentSpan = STATE.priceMax - STATE.priceMin;
+    if (currentSpan > maxAllowedSpan) {
+        var midPointClamp = (STATE.priceMin + STATE.priceMax) / 2;
+        STATE.priceMin = midPointClamp - maxAllowedSpan / 2;
+        STATE.priceMax = midPointClamp + maxAllowedSpan / 2;
+    }
+}
+
+/**
+ * Convert price to Y position
+ * @param {number} price 
+ * @param {number} chartTop 
+ * @param {number} chartHeight 
+ * @returns {number}
+ */
+function priceToY(price, chartTop, chartHeight) {
+    var normalized = (price - STATE.priceMin) / (STATE.priceMax - STATE.priceMin);
+    return chartTop + chartHeight - (normalized * chartHeight);
+}
+
+/**
+ * Convert Y position to price
+ * @param {number} y 
+ * @param {number} chartTop 
+ * @param {number} chartHeight 
+ * @returns {number}
+ */
+function yToPrice(y, chartTop, chartHeight) {
+    var normalized = (chartTop + chartHeight - y) / chartHeight;
+    return STATE.priceMin + normalized * (STATE.priceMax - STATE.priceMin);
+}
+
+// ============================================================================
+// SECTION 6C: MARKET REGISTRY AND SWITCHING
+// ============================================================================
+
+/**
+ * Look up a market in the registry
+ * @param {string} symbol - Market symbol, e.g. "SOL-PERP"
+ * @returns {Object|null} - Entry from CONFIG.MARKETS or null if unknown
+ */
+function getMarketConfig(symbol) {
+    for (var i = 0; i < CONFIG.MARKETS.length; i++) {
+        if (CONFIG.MARKETS[i].symbol === symbol) {
+            return CONFIG.MARKETS[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * Look up a market by its Drift market index
+ * @param {string} marketType - "perp"
+ * @param {number} marketIndex
+ * @returns {Object|null} - Entry from CONFIG.MARKETS or null if unknown
+ */
+function getMarketByIndex(marketType, marketIndex) {
+    for (var i = 0; i < CONFIG.MARKETS.length; i++) {
+        if (CONFIG.MARKETS[i].marketType === marketType && CONFIG.MARKETS[i].marketIndex === marketIndex) {
+            return CONFIG.MARKETS[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the registry entry of the market currently shown
+ * @returns {Object} - Entry from CONFIG.MARKETS
+ */
+function getActiveMarket() {
+    var market = getMarketConfig(STATE.activeMarketSymbol);
+    assert(market !== null, "Unknown active market: " + STATE.activeMarketSymbol);
+    return market;
+}
+
+/**
+ * Check a mid price against the active market's sane price band
+ * @param {number} price
+ * @returns {boolean}
+ */
+function isPriceInMarketBand(price) {
+    var market = getActiveMarket();
+    return price >= market.minPrice && price <= market.maxPrice;
+}
+
+/**
+ * Create an empty per-market session (no ladder, bets or history yet)
+ * @returns {Object}
+ */
+function createMarketSession() {
+    return {
+        ladder: null,
+        viewportOffsetY: 0,
+        currentPrice: CONFIG.DEFAULT_PRICE,
+        pinkHexagons: new Set(),
+        yellowHexagons: new Map(),
+        activeBets: new Map(),
+        hitHexagonsPlayed: new Set(),
+        trailHistory: [],
+        trailArchive: [],
+        scrolledSinceLastTrailPointPx: 0,
+        lastTrailScrollX: 0,
+        candleSeries: createCandleSeries()
+    };
+}
+
+/**
+ * Snapshot the active market's ladder, bets and history out of STATE
+ * Hex IDs and frozen worldY values only make sense against their own ladder,
+ * so the ladder geometry travels with the bets
+ * @returns {Object}
+ */
+function captureMarketSession() {
+    return {
+        ladder: STATE.ladderInitialized ? {
+            TICK_SIZE: STATE.TICK_SIZE,
+            ANCHOR_PRICE: STATE.ANCHOR_PRICE,
+            ANCHOR_WORLD_Y: STATE.ANCHOR_WORLD_Y,
+            PX_PER_TICK: STATE.PX_PER_TICK,
+            WORLD_COL_SPACING: STATE.WORLD_COL_SPACING,
+            WORLD_HEX_SIZE: STATE.WORLD_HEX_SIZE
+        } : null,
+        viewportOffsetY: STATE.viewportOffsetY,
+        currentPrice: STATE.currentPrice,
+        pinkHexagons: STATE.pinkHexagons,
+        yellowHexagons: STATE.yellowHexagons,
+        activeBets: STATE.activeBets,
+        hitHexagonsPlayed: STATE.hitHexagonsPlayed,
+        trailHistory: STATE.trailHistory,
+        trailArchive: STATE.trailArchive,
+        scrolledSinceLastTrailPointPx: STATE.scrolledSinceLastTrailPointPx,
+        lastTrailScrollX: STATE.lastTrailScrollX,
+        candleSeries: STATE.candleSeries
+    };
+}
+
+/**
+ * Load a market session into STATE and reset the feed so the next tick
+ * goes through initializeWithRealPrice() -> initializeLadder() again
+ * @param {Object} session - From captureMarketSession() or createMarketSession()
+ */
+function applyMarketSession(session) {
+    if (session.ladder) {
+        // Returning to a market - restore its frozen ladder so old bets keep their prices
+        STATE.TICK_SIZE = session.ladder.TICK_SIZE;
+        STATE.ANCHOR_PRICE = session.ladder.ANCHOR_PRICE;
+        STATE.ANCHOR_WORLD_Y = session.ladder.ANCHOR_WORLD_Y;
+        STATE.PX_PER_TICK = session.ladder.PX_PER_TICK;
+        STATE.WORLD_COL_SPACING = session.ladder.WORLD_COL_SPACING;
+        STATE.WORLD_HEX_SIZE = session.ladder.WORLD_HEX_SIZE;
+        STATE.ladderInitialized = true;
+    } else {
+        // First visit - initializeLadder() builds it from the first tick
+        STATE.ladderInitialized = false;
+    }
+    STATE.viewportOffsetY = session.viewportOffsetY;
+    STATE.currentPrice = session.currentPrice;
+    STATE.targetPrice = session.currentPrice;
+    
+    STATE.pinkHexagons = session.pinkHexagons;
+    STATE.yellowHexagons = session.yellowHexagons;
+    STATE.activeBets = session.activeBets;
+    STATE.hitHexagonsPlayed = session.hitHexagonsPlayed;
+    STATE.trailHistory = session.trailHistory;
+    STATE.trailArchive = session.trailArchive;
+    STATE.scrolledSinceLastTrailPointPx = session.scrolledSinceLastTrailPointPx;
+    STATE.lastTrailScrollX = session.lastTrailScrollX;
+    STATE.candleSeries = session.candleSeries;
+    
+    // Feed state always starts fresh - wait for the new market's first tick
+    STATE.hasReceivedFirstPrice = false;
+    STATE.pendingFirstTick = null;
+    STATE.lastTick = null;
+    STATE.isOnline = false;
+    STATE.lastGoodPriceTs = 0;
+    STATE.bestBidStr = null;
+    STATE.bestAskStr = null;
+    updateDepthLadder(null);
+    resetFeedSequence();
+    STATE.lastTradePrice = null;
+    STATE.oracleBasisBps = null;
+    resetBackfillRegions();  // Scroll positions of another market's trail
+    STATE.tradeTape = [];
+    STATE.tradeFlashes = [];
+    STATE.pendingTradeVolume = 0;
+    STATE.pendingRawTradeVolume = 0;
+    resetIndicators();
+    clearTradeTapeUI();
+    STATE.hexagonData = [];
+    STATE.availableHexagonsForAI = [];
+}
+
+/**
+ * Switch the live feed and board to another market
+ * Unsubscribes the old market and subscribes the new one on the existing socket
+ * @param {string} symbol - Market symbol from CONFIG.MARKETS
+ */
+function switchMarket(symbol) {
+    var market = getMarketConfig(symbol);
+    if (market === null || symbol === STATE.activeMarketSymbol) {
+        return;
+    }
+    
+    var previous = getActiveMarket();
+    STATE.marketSessions.set(previous.symbol, captureMarketSession());
+    if (STATE.priceSource !== null) {
+        STATE.priceSource.unsubscribe(previous);
+    }
+    
+    STATE.activeMarketSymbol = market.symbol;
+    var saved = STATE.marketSessions.get(market.symbol);
+    STATE.marketSessions.delete(market.symbol);
+    applyMarketSession(saved || createMarketSession());
+    
+    recenterView();
+    setLoadingOverlayVisible(true);
+    
+    // If the source is not open yet, its onOpen hook subscribes the active market
+    if (STATE.priceSource !== null && STATE.priceSource.subscribe(market)) {
+        setConnectionState("subscribed", market.symbol);
+    }
+    resetMarketStats();
+    
+    logDebug("Market switch " + previous.symbol + " -> " + market.symbol);
+    updateMarketSwitcherUI();
+    updateTradingSidebarUI();
+}
+
+/**
+ * Highlight the active market button
+ */
+function updateMarketSwitcherUI() {
+    var buttons = document.querySelectorAll(".market-btn");
+    buttons.forEach(function(btn) {
+        btn.classList.toggle("active", btn.getAttribute("data-market") === STATE.activeMarketSymbol);
+    });
+}
+
+/**
+ * Build the market switcher buttons from CONFIG.MARKETS
+ */
+function initMarketSwitcher() {
+    var container = document.getElementById("market-buttons");
+    if (!container) return;
+    
+    CONFIG.MARKETS.forEach(function(market) {
+        var btn = document.createElement("button");
+        btn.className = "market-btn";
+        btn.setAttribute("data-market", market.symbol);
+        btn.textContent = market.symbol.split("-")[0];
+        btn.addEventListener("click", function() {
+            switchMarket(market.symbol);
+        });
+        container.appendChild(btn);
+    });
+    
+    updateMarketSwitcherUI();
+}
+
+/**
+ * Select the reference price mode and retarget the line from the latest tick
+ * @param {string} mode - id from CONFIG.REFERENCE_PRICE_MODES
+ */
+function setReferenceMode(mode) {
+    STATE.referenceMode = mode;
+    if (STATE.lastTick !== null) {
+        var reference = getReferencePrice(STATE.lastTick);
+        STATE.referenceModeInUse = reference.mode;
+        STATE.targetPrice = reference.price;
+    }
+    logDebug("Reference price: " + mode);
+    updateReferenceModeUI();
+}
+
+/**
+ * Show the selected reference mode on its sidebar button
+ */
+function updateReferenceModeUI() {
+    var btn = document.getElementById("reference-mode-btn");
+    if (!btn) return;
+    for (var i = 0; i < CONFIG.REFERENCE_PRICE_MODES.length; i++) {
+        if (CONFIG.REFERENCE_PRICE_MODES[i].id === STATE.referenceMode) {
+            btn.textContent = CONFIG.REFERENCE_PRICE_MODES[i].label;
+        }
+    }
+}
+
+/**
+ * Wire the reference price button - each tap selects the next mode
+ */
+function initReferenceModeControl() {
+    var btn = document.getElementById("reference-mode-btn");
+    if (!btn) return;
+    
+    btn.addEventListener("click", function() {
+        var modes = CONFIG.REFERENCE_PRICE_MODES;
+        var current = 0;
+        for (var i = 0; i < modes.length; i++) {
+            if (modes[i].id === STATE.referenceMode) {
+                current = i;
+            }
+        }
+        setReferenceMode(modes[(current + 1) % modes.length].id);
+    });
+    
+    updateReferenceModeUI();
+}
+
+// ============================================================================
+// SECTION 6D: SESSION RECORDER (INDEXEDDB RING BUFFER, NDJSON EXPORT)
+// ============================================================================
+
+/*
+ * When enabled, every raw DLOB frame is stored with its wall-clock receive time
+ * and the parsed tick as {seq, t, market, raw, mid, bid, ask}. Records are
+ * batched in STATE.recorder.pending and written once per RECORDER_FLUSH_INTERVAL_MS.
+ * Keys are monotonic, so trimming the ring buffer is a single key-range delete.
+ * The exported NDJSON plays back with ?source=replay (see createReplayFileAdapter).
+ */
+
+/**
+ * Open (or create) the recorder database and load nextSeq/count from it
+ * @returns {Promise<IDBDatabase>}
+ */
+function openRecorderDb() {
+    return new Promise(function(resolve, reject) {
+        if (!window.indexedDB) {
+            reject(new Error("IndexedDB not available"));
+            return;
+        }
+        var request = window.indexedDB.open(CONFIG.RECORDER_DB_NAME, 1);
+        request.onupgradeneeded = function() {
+            request.result.createObjectStore(CONFIG.RECORDER_STORE_NAME, { keyPath: "seq" });
+        };
+        request.onerror = function() {
+            reject(request.error || new Error("IndexedDB open failed"));
+        };
+        request.onsuccess = function() {
+            var db = request.result;
+            var tx = db.transaction(CONFIG.RECORDER_STORE_NAME, "readonly");
+            var store = tx.objectStore(CONFIG.RECORDER_STORE_NAME);
+            var countRequest = store.count();
+            var lastRequest = store.openCursor(null, "prev");
+            tx.oncomplete = function() {
+                var lastCursor = lastRequest.result;
+                STATE.recorder.count = countRequest.result;
+                STATE.recorder.nextSeq = Math.max(STATE.recorder.nextSeq, lastCursor ? lastCursor.key + 1 : 0);
+                resolve(db);
+            };
+            tx.onerror = function() {
+                reject(tx.error || new Error("IndexedDB read failed"));
+            };
+        };
+    });
+}
+
+/**
+ * Open the recorder database once; later calls are no-ops
+ */
+function ensureRecorderDb() {
+    var rec = STATE.recorder;
+    if (rec.db !== null || rec.opening) {
+        return;
+    }
+    rec.opening = true;
+    openRecorderDb().then(function(db) {
+        rec.db = db;
+        rec.opening = false;
+        // Records buffered before the DB opened were numbered from 0 - renumber them
+        rec.pending.forEach(function(record) {
+            record.seq = rec.nextSeq++;
+        });
+        logDebug("Recorder DB ready (" + rec.count + " stored frames)");
+        updateRecorderUI();
+    }).catch(function(err) {
+        rec.opening = false;
+        console.warn("Session recorder unavailable:", err.message);
+        logDebug("Recorder unavailable: " + err.message);
+        setRecorderEnabled(false);
+    });
+}
+
+/**
+ * Queue one raw DLOB frame for recording (no-op unless the recorder is on)
+ * Frames replayed by the replay source are not recorded again.
+ * @param {string} raw - Frame exactly as received
+ * @param {Object|null} tick - Parsed tick, or null for control/unparseable frames
+ */
+function recordFeedFrame(raw, tick) {
+    var rec = STATE.recorder;
+    if (!rec.enabled || typeof raw !== "string") {
+        return;
+    }
+    if (STATE.replay.active) {
+        return;
+    }
+    rec.pending.push({
+        seq: rec.nextSeq++,
+        t: Date.now(),
+        market: STATE.activeMarketSymbol,
+        raw: raw,
+        mid: tick ? tick.mid : null,
+        bid: tick ? tick.bid : null,
+        ask: tick ? tick.ask : null
+    });
+    // If the DB never opens, keep memory bounded the same way the store is
+    if (rec.pending.length > CONFIG.RECORDER_MAX_RECORDS) {
+        rec.pending.shift();
+    }
+}
+
+/**
+ * Write pending records in one transaction and trim the ring buffer
+ */
+function flushRecorder() {
+    var rec = STATE.recorder;
+    if (rec.db === null || rec.pending.length === 0) {
+        return;
+    }
+    var batch = rec.pending;
+    rec.pending = [];
+
+    var tx = rec.db.transaction(CONFIG.RECORDER_STORE_NAME, "readwrite");
+    var store = tx.objectStore(CONFIG.RECORDER_STORE_NAME);
+    batch.forEach(function(record) {
+        store.put(record);
+    });
+    // Keep only the newest RECORDER_MAX_RECORDS keys
+    var oldestKept = rec.nextSeq - CONFIG.RECORDER_MAX_RECORDS;
+    if (oldestKept > 0) {
+        store.delete(IDBKeyRange.upperBound(oldestKept, true));
+    }
+    tx.oncomplete = function() {
+        rec.count = Math.min(rec.count + batch.length, CONFIG.RECORDER_MAX_RECORDS);
+        updateRecorderUI();
+    };
+    tx.onerror = function() {
+        console.warn("Recorder write failed:", tx.error ? tx.error.message : "unknown");
+        logDebug("Recorder write failed (" + batch.length + " frames dropped)");
+    };
+}
+
+/**
+ * Turn recording on or off
+ * @param {boolean} enabled
+ */
+function setRecorderEnabled(enabled) {
+    var rec = STATE.recorder;
+    if (enabled) {
+        ensureRecorderDb();
+        if (rec.flushIntervalId === null) {
+            rec.flushIntervalId = setInterval(flushRecorder, CONFIG.RECORDER_FLUSH_INTERVAL_MS);
+        }
+    } else {
+        flushRecorder();
+        if (rec.flushIntervalId !== null) {
+            clearInterval(rec.flushIntervalId);
+            rec.flushIntervalId = null;
+        }
+    }
+    if (rec.enabled !== enabled) {
+        logDebug("Recorder " + (enabled ? "ON" : "OFF"));
+    }
+    rec.enabled = enabled;
+    if (STATE.priceSource !== null && STATE.priceSource.setRawFrames) {
+        STATE.priceSource.setRawFrames(enabled);
+    }
+    updateRecorderUI();
+}
+
+/**
+ * Read every stored record (oldest first) and download it as an NDJSON file
+ */
+function exportRecording() {
+    var rec = STATE.recorder;
+    if (rec.db === null) {
+        logDebug("Recorder: nothing to export (turn REC on first)");
+        return;
+    }
+    flushRecorder();
+
+    var tx = rec.db.transaction(CONFIG.RECORDER_STORE_NAME, "readonly");
+    var request = tx.objectStore(CONFIG.RECORDER_STORE_NAME).getAll();
+    tx.oncomplete = function() {
+        var records = request.result || [];
+        if (records.length === 0) {
+            logDebug("Recorder: nothing to export");
+            return;
+        }
+        var lines = records.map(function(record) {
+            return JSON.stringify({
+                t: record.t,
+                market: record.market,
+                raw: record.raw,
+                mid: record.mid,
+                bid: record.bid,
+                ask: record.ask
+            });
+        });
+        var blob = new Blob([lines.join("\n") + "\n"], { type: "application/x-ndjson" });
+        var stamp = new Date(records[0].t).toISOString().replace(/[:.]/g, "-");
+        downloadBlob(blob, "instinctfi-session-" + stamp + ".ndjson");
+        logDebug("Recorder: exported " + records.length + " frames");
+    };
+    tx.onerror = function() {
+        logDebug("Recorder export failed: " + (tx.error ? tx.error.message : "unknown"));
+    };
+}
+
+/**
+ * Delete every stored record
+ */
+function clearRecording() {
+    var rec = STATE.recorder;
+    rec.pending = [];
+    if (rec.db === null) {
+        return;
+    }
+    var tx = rec.db.transaction(CONFIG.RECORDER_STORE_NAME, "readwrite");
+    tx.objectStore(CONFIG.RECORDER_STORE_NAME).clear();
+    tx.oncomplete = function() {
+        rec.count = 0;
+        logDebug("Recorder: cleared");
+        updateRecorderUI();
+    };
+}
+
+/**
+ * Save a Blob through a temporary download link
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+function downloadBlob(blob, filename) {
+    var url = URL.createObjectURL(blob);
+    var link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.style.display = "none";
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(function() {
+        URL.revokeObjectURL(url);
+    }, 1000);
+}
+
+/**
+ * Reflect recorder state on the REC button
+ */
+function updateRecorderUI() {
+    var btn = STATE.recorder.recBtnEl;
+    if (!btn) return;
+    btn.textContent = STATE.recorder.enabled ? "REC ●" : "REC";
+    btn.style.color = STATE.recorder.enabled ? "#FF3366" : "#00FFCC";
+}
+
+/**
+ * Short recorder status for the debug overlay summary
+ * @returns {string}
+ */
+function getRecorderSummary() {
+    var rec = STATE.recorder;
+    if (!rec.enabled && rec.db === null) {
+        return "rec=off";
+    }
+    return "rec=" + (rec.enabled ? "on" : "off") + " stored=" + rec.count + "/" + CONFIG.RECORDER_MAX_RECORDS +
+        " pending=" + rec.pending.length;
+}
+
+/**
+ * Add REC / Export / Clear buttons (and Bets, the settlement log export) to the debug overlay header and honour ?record=1
+ * @param {HTMLElement} header - Debug overlay header row
+ * @param {string} buttonCss - Shared inline style for overlay buttons
+ */
+function initRecorderControls(header, buttonCss) {
+    function addButton(label, onClick) {
+        var btn = document.createElement("button");
+        btn.textContent = label;
+        btn.style.cssText = buttonCss;
+        btn.addEventListener("click", onClick);
+        header.appendChild(btn);
+        return btn;
+    }
+
+    STATE.recorder.recBtnEl = addButton("REC", function() {
+        setRecorderEnabled(!STATE.recorder.enabled);
+    });
+    addButton("Export", exportRecording);
+    addButton("Clear", clearRecording);
+    addButton("Bets", exportSettlementLog);
+
+    if (getUrlParam("record") === "1") {
+        setRecorderEnabled(true);
+    }
+    updateRecorderUI();
+}
+
+// ============================================================================
+// SECTION 6E: DETERMINISTIC REPLAY CLOCK AND CONTROLS
+// ============================================================================
+
+/*
+ * With ?source=replay nothing in the price engine or render loop reads
+ * performance.now(). The replay clock advances in fixed REPLAY_SOURCE.frameMs
+ * steps; each step first emits every record that is due (raw frames go through
+ * handleDlobMessage exactly like the live feed) and then runs advanceSimulation().
+ * Frame rate and playback speed only change how many steps run per rendered
+ * frame, never what a step does, so the same file on the same canvas size always
+ * produces the same ladder, trail, candles and bet settlements.
+ */
+
+/**
+ * Current time for the price engine, render loop and connection state machine
+ * @returns {number} - Replay clock while replaying, else performance.now()
+ *                     (in the render worker: the page clock of the frame being drawn)
+ */
+function getClockMs() {
+    if (STATE.renderWorker.inWorker) {
+        return STATE.renderWorker.clockMs;
+    }
+    return STATE.replay.active ? STATE.replay.clockMs : performance.now();
+}
+
+/**
+ * Market symbol a replay record belongs to
+ * @param {Object} record - NDJSON line
+ * @returns {string|null}
+ */
+function getReplayRecordMarket(record) {
+    if (typeof record.market === "string") {
+        return record.market;
+    }
+    if (typeof record.raw === "string") {
+        try {
+            var msg = JSON.parse(record.raw);
+            var data = typeof msg.data === "string" ? JSON.parse(msg.data) : msg;
+            if (data && typeof data.marketName === "string") {
+                return data.marketName;
+            }
+        } catch (err) {
+            // Control or malformed frame - no market
+        }
+    }
+    return null;
+}
+
+/**
+ * Reset the board and the replay clock for a freshly loaded file
+ * Every load starts from the same empty state so runs are comparable
+ * @param {Array<Object>} records - Parsed NDJSON lines
+ */
+function loadReplaySession(records) {
+    var replay = STATE.replay;
+    replay.records = records.filter(function(record) {
+        return isFinite(record.t);
+    });
+    replay.index = 0;
+    replay.startT = replay.records.length > 0 ? replay.records[0].t : 0;
+    replay.clockMs = 0;
+    replay.stepCount = 0;
+    replay.accumulatorMs = 0;
+    replay.playing = true;
+    
+    // Start on the recording's market with a clean board
+    for (var i = 0; i < replay.records.length; i++) {
+        var symbol = getReplayRecordMarket(replay.records[i]);
+        if (symbol !== null) {
+            if (getMarketConfig(symbol) !== null) {
+                STATE.activeMarketSymbol = symbol;
+            }
+            break;
+        }
+    }
+    STATE.marketSessions.clear();
+    applyMarketSession(createMarketSession());
+    STATE.hexScrollPosition = 0;
+    STATE.lastPriceUpdate = 0;
+    initPriceHistory();
+    recenterView();
+    setLoadingOverlayVisible(true);
+    
+    updateMarketSwitcherUI();
+    updateReplayControlsUI();
+}
+
+/**
+ * Feed one record to the subscribed replay adapter's hooks
+ * @param {Object} record
+ * @param {Object} hooks
+ */
+function emitReplayRecord(record, hooks) {
+    if (typeof record.raw === "string") {
+        handleDlobMessage({ data: record.raw }, hooks);
+    } else if (isFinite(record.bid) && isFinite(record.ask)) {
+        hooks.onTick(createNormalizedTick({
+            market: record.market,
+            bid: Number(record.bid),
+            ask: Number(record.ask),
+            sourceTs: record.sourceTs || record.t,
+            sourceSeq: record.seq,
+            receivedAt: STATE.replay.clockMs
+        }));
+    }
+}
+
+/**
+ * Emit every record whose time has come on the replay clock
+ * Playback pauses itself after the last record
+ */
+function emitDueReplayRecords() {
+    var replay = STATE.replay;
+    if (replay.hooks === null) {
+        return;
+    }
+    while (replay.index < replay.records.length &&
+           replay.records[replay.index].t - replay.startT <= replay.clockMs) {
+        emitReplayRecord(replay.records[replay.index], replay.hooks);
+        replay.index++;
+    }
+    if (replay.index >= replay.records.length && replay.playing) {
+        replay.playing = false;
+        replay.hooks.onInfo("Replay finished (" + replay.records.length + " records)");
+        updateReplayControlsUI();
+    }
+}
+
+/**
+ * Advance the replay clock by exactly one fixed step
+ */
+function stepReplay() {
+    var replay = STATE.replay;
+    var frameMs = CONFIG.REPLAY_SOURCE.frameMs;
+    replay.stepCount++;
+    replay.clockMs = replay.stepCount * frameMs;
+    emitDueReplayRecords();
+    advanceSimulation(replay.clockMs, frameMs);
+}
+
+/**
+ * Turn a frame's wall-clock delta into whole replay steps at the current speed
+ * @param {number} wallDeltaMs - Wall time since the previous frame
+ */
+function runReplaySteps(wallDeltaMs) {
+    var replay = STATE.replay;
+    var cfg = CONFIG.REPLAY_SOURCE;
+    
+    if (replay.playing) {
+        replay.accumulatorMs += Math.max(0, wallDeltaMs) * replay.speed;
+        var steps = 0;
+        while (replay.playing && replay.accumulatorMs >= cfg.frameMs && steps < cfg.maxStepsPerFrame) {
+            stepReplay();
+            replay.accumulatorMs -= cfg.frameMs;
+            steps++;
+        }
+        if (steps >= cfg.maxStepsPerFrame) {
+            replay.accumulatorMs = 0; // Drop the backlog rather than stall the page
+        }
+    } else {
+        replay.accumulatorMs = 0;
+    }
+    updateReplayClockUI();
+}
+
+/**
+ * Play/pause; playing a finished replay starts it again from the top
+ */
+function toggleReplayPlaying() {
+    var replay = STATE.replay;
+    if (!replay.playing && replay.records.length > 0 && replay.index >= replay.records.length) {
+        retryConnectionNow();
+        return;
+    }
+    replay.playing = !replay.playing && replay.hooks !== null;
+    updateReplayControlsUI();
+}
+
+/**
+ * Pause and advance a single step
+ */
+function stepReplayFrame() {
+    var replay = STATE.replay;
+    replay.playing = false;
+    if (replay.hooks !== null && replay.index < replay.records.length) {
+        stepReplay();
+    }
+    updateReplayControlsUI();
+}
+
+/**
+ * Replay a file picked from the controls instead of CONFIG.REPLAY_SOURCE.url
+ * @param {File} file
+ */
+function openReplayFile(file) {
+    file.text().then(function(text) {
+        STATE.replay.fileText = text;
+        STATE.replay.fileName = file.name;
+        retryConnectionNow();
+    }).catch(function(err) {
+        logDebug("Replay file read failed: " + err.message);
+    });
+}
+
+/**
+ * Sync the play button and clock with the replay state
+ */
+function updateReplayControlsUI() {
+    if (STATE.replay.playBtnEl) {
+        STATE.replay.playBtnEl.textContent = STATE.replay.playing ? "❚❚" : "▶";
+    }
+    updateReplayClockUI();
+}
+
+/**
+ * Show replay clock, total duration and record progress
+ */
+function updateReplayClockUI() {
+    var replay = STATE.replay;
+    if (!replay.clockEl) return;
+    var records = replay.records;
+    var durationMs = records.length > 0 ? records[records.length - 1].t - replay.startT : 0;
+    var text = (replay.clockMs / 1000).toFixed(2) + "s / " + (durationMs / 1000).toFixed(1) + "s  " +
+        replay.index + "/" + records.length;
+    if (replay.clockEl.textContent !== text) {
+        replay.clockEl.textContent = text;
+    }
+}
+
+/**
+ * Show and wire the replay controls when the price source is "replay"
+ * Must run before startPriceFeed() so the clock is in place from the first tick
+ */
+function initReplayControls() {
+    var replay = STATE.replay;
+    replay.active = getPriceSourceName() === "replay";
+    if (!replay.active) {
+        return;
+    }
+    
+    replay.controlsEl = document.getElementById("replay-controls");
+    replay.playBtnEl = document.getElementById("replay-play-btn");
+    replay.clockEl = document.getElementById("replay-clock");
+    var stepBtn = document.getElementById("replay-step-btn");
+    var speedSelect = document.getElementById("replay-speed-select");
+    var openBtn = document.getElementById("replay-open-btn");
+    var fileInput = document.getElementById("replay-file-input");
+    
+    if (replay.controlsEl) {
+        replay.controlsEl.style.display = "flex";
+    }
+    if (replay.playBtnEl) {
+        replay.playBtnEl.addEventListener("click", toggleReplayPlaying);
+    }
+    if (stepBtn) {
+        stepBtn.addEventListener("click", stepReplayFrame);
+    }
+    if (speedSelect) {
+        CONFIG.REPLAY_SOURCE.speeds.forEach(function(speed) {
+            var option = document.createElement("option");
+            option.value = String(speed);
+            option.textContent = speed + "x";
+            option.selected = speed === replay.speed;
+            speedSelect.appendChild(option);
+        });
+        speedSelect.addEventListener("change", function() {
+            replay.speed = Number(speedSelect.value);
+        });
+    }
+    if (openBtn && fileInput) {
+        openBtn.addEventListener("click", function() {
+            fileInput.click();
+        });
+        fileInput.addEventListener("change", function() {
+            if (fileInput.files && fileInput.files.length > 0) {
+                openReplayFile(fileInput.files[0]);
+            }
+            fileInput.value = "";
+        });
+    }
+    
+    updateReplayControlsUI();
+}
+
+// ============================================================================
+// SECTION 6F: FEED WORKER (DLOB SOCKET AND PARSING OFF THE MAIN THREAD)
+// ============================================================================
+
+/*
+ * The worker runs this same file (isFeedWorkerScope() is true there), so it shares
+ * createDriftDlobAdapter(), handleDlobMessage() and the parsers with the page.
+ * Page -> worker: {type: "connect", url, rawFrames, depth}, {type: "subscribe"|"unsubscribe", symbol},
+ *                 {type: "stats", symbol}, {type: "history", symbol, from, to},
+ *                 {type: "rawFrames", enabled}
+ * Worker -> page: {type: "open"}, {type: "frame", tick, depth, raw}, {type: "trade", trade},
+ *                 {type: "stats", stats}, {type: "history", history}, {type: "info", text},
+ *                 {type: "close", reason}
+ * "frame" carries the normalized tick (null for non-price frames) and the raw text only
+ * while the recorder wants it. The tick travels without its depth levels: those go as
+ * transferred [price, size, ...] Float64Arrays (packDepthLevels), and only while the page
+ * draws the depth heatmap. The page stamps receivedAt on arrival since the two
+ * threads' performance.now() clocks do not share an origin (same for trades and stats).
+ */
+
+/**
+ * Whether the Drift source should run in the feed worker
+ * Needs Worker support and a page served over http(s) - file:// pages cannot start one
+ * @returns {boolean}
+ */
+function canUseFeedWorker() {
+    return CONFIG.DRIFT_USE_FEED_WORKER &&
+        getUrlParam("worker") !== "0" &&
+        !STATE.feedWorker.failed &&
+        typeof Worker !== "undefined" &&
+        window.location.protocol !== "file:";
+}
+
+/**
+ * Page side of the feed worker - same interface as createDriftDlobAdapter()
+ * @param {Object} hooks
+ * @param {string} url - From getDriftDlobUrl()
+ * @returns {Object} - Price source
+ */
+function createDriftWorkerAdapter(hooks, url) {
+    var worker = null;
+    var socketState = "NONE";
+
+    function post(message) {
+        if (worker === null || socketState !== "OPEN") {
+            return false;
+        }
+        worker.postMessage(message);
+        return true;
+    }
+
+    function handleWorkerMessage(event) {
+        var msg = event.data;
+        if (msg.type === "open") {
+            socketState = "OPEN";
+            hooks.onOpen();
+        } else if (msg.type === "frame") {
+            if (msg.tick !== null) {
+                msg.tick.receivedAt = getClockMs();
+                if (msg.depth !== null) {
+                    msg.tick.depth = {
+                        bids: unpackDepthLevels(msg.depth.bids),
+                        asks: unpackDepthLevels(msg.depth.asks)
+                    };
+                }
+            }
+            if (msg.raw !== null) {
+                hooks.onFrame(msg.raw, msg.tick);
+            }
+            if (msg.tick !== null) {
+                hooks.onTick(msg.tick);
+            }
+        } else if (msg.type === "trade") {
+            msg.trade.receivedAt = getClockMs();
+            hooks.onTrade(msg.trade);
+        } else if (msg.type === "stats") {
+            msg.stats.receivedAt = getClockMs();
+            hooks.onStats(msg.stats);
+        } else if (msg.type === "history") {
+            hooks.onHistory(msg.history);
+        } else if (msg.type === "info") {
+            hooks.onInfo(msg.text);
+        } else if (msg.type === "close") {
+            socketState = "CLOSED";
+            hooks.onClose(msg.reason);
+        }
+    }
+
+    return {
+        name: "drift",
+        connect: function() {
+            logDebug("Worker WS connect -> " + url);
+            try {
+                worker = new Worker(STATE.feedWorker.scriptUrl);
+            } catch (err) {
+                STATE.feedWorker.failed = true;
+                throw err;
+            }
+            socketState = "CONNECTING";
+            worker.onmessage = handleWorkerMessage;
+            worker.onerror = function(event) {
+                if (event.preventDefault) event.preventDefault();
+                if (socketState === "CONNECTING") {
+                    // Never got going (blocked or failed to load) - stay on the main thread from now on
+                    STATE.feedWorker.failed = true;
+                }
+                socketState = "CLOSED";
+                hooks.onClose("feed worker error: " + (event.message || "failed to start"));
+            };
+            worker.postMessage({ type: "connect", url: url, rawFrames: STATE.recorder.enabled, depth: CONFIG.DEPTH_HEATMAP_ENABLED });
+        },
+        subscribe: function(market) {
+            return post({ type: "subscribe", symbol: market.symbol });
+        },
+        unsubscribe: function(market) {
+            return post({ type: "unsubscribe", symbol: market.symbol });
+        },
+        requestStats: function(market) {
+            return post({ type: "stats", symbol: market.symbol });
+        },
+        requestHistory: function(market, fromTs, toTs) {
+            return post({ type: "history", symbol: market.symbol, from: fromTs, to: toTs });
+        },
+        disconnect: function() {
+            if (worker !== null) {
+                worker.onmessage = null;
+                worker.onerror = null;
+                worker.terminate();
+                worker = null;
+            }
+            socketState = "NONE";
+        },
+        getStateLabel: function() {
+            return socketState + " (worker)";
+        },
+        setRawFrames: function(enabled) {
+            if (worker !== null) {
+                worker.postMessage({ type: "rawFrames", enabled: enabled });
+            }
+        }
+    };
+}
+
+/**
+ * Flatten depth levels into a transferable [price, size, price, size, ...] array
+ * @param {Array<Object>} levels - {price, size}
+ * @returns {Float64Array}
+ */
+function packDepthLevels(levels) {
+    var packed = new Float64Array(levels.length * 2);
+    for (var i = 0; i < levels.length; i++) {
+        packed[2 * i] = levels[i].price;
+        packed[2 * i + 1] = levels[i].size;
+    }
+    return packed;
+}
+
+/**
+ * Inverse of packDepthLevels()
+ * @param {Float64Array} packed
+ * @returns {Array<Object>} - {price, size}
+ */
+function unpackDepthLevels(packed) {
+    var levels = [];
+    for (var i = 0; i + 1 < packed.length; i += 2) {
+        levels.push({ price: packed[i], size: packed[i + 1] });
+    }
+    return levels;
+}
+
+/**
+ * Worker side - runs the plain Drift adapter and posts what it produces to the page
+ * The worker's own STATE only tracks the subscribed market (for frames without marketName)
+ */
+function initFeedWorkerScope() {
+    var adapter = null;
+    var rawFrames = false;
+    var wantsDepth = false;
+    var hooks = {
+        onOpen: function() {
+            self.postMessage({ type: "open" });
+        },
+        onTick: function() {
+            // Ticks travel with their frame (onFrame) - one message per frame
+        },
+        onTrade: function(trade) {
+            self.postMessage({ type: "trade", trade: trade });
+        },
+        onStats: function(stats) {
+            self.postMessage({ type: "stats", stats: stats });
+        },
+        onHistory: function(history) {
+            self.postMessage({ type: "history", history: history });
+        },
+        onFrame: function(raw, tick) {
+            if (tick === null && !rawFrames) {
+                return;
+            }
+            var depth = null;
+            var transfer = [];
+            if (tick !== null && tick.depth !== null) {
+                if (wantsDepth) {
+                    depth = { bids: packDepthLevels(tick.depth.bids), asks: packDepthLevels(tick.depth.asks) };
+                    transfer.push(depth.bids.buffer, depth.asks.buffer);
+                }
+                // The worker is done with the tick (onTick is a no-op here) - don't clone the levels
+                tick.depth = null;
+            }
+            self.postMessage({ type: "frame", tick: tick, depth: depth, raw: rawFrames ? raw : null }, transfer);
+        },
+        onInfo: function(text) {
+            self.postMessage({ type: "info", text: text });
+        },
+        onClose: function(reason) {
+            self.postMessage({ type: "close", reason: reason });
+        }
+    };
+
+    self.onmessage = function(event) {
+        var msg = event.data;
+        if (msg.type === "connect") {
+            rawFrames = msg.rawFrames;
+            wantsDepth = msg.depth;
+            adapter = createDriftDlobAdapter(hooks, msg.url);
+            try {
+                adapter.connect();
+            } catch (err) {
+                hooks.onClose("connect failed: " + err.message);
+            }
+        } else if (msg.type === "subscribe" && adapter !== null) {
+            STATE.activeMarketSymbol = msg.symbol;
+            if (!adapter.subscribe(getMarketConfig(msg.symbol))) {
+                hooks.onInfo("Worker: subscribe " + msg.symbol + " not sent");
+            }
+        } else if (msg.type === "unsubscribe" && adapter !== null) {
+            adapter.unsubscribe(getMarketConfig(msg.symbol));
+        } else if (msg.type === "stats" && adapter !== null) {
+            adapter.requestStats(getMarketConfig(msg.symbol));
+        } else if (msg.type === "history" && adapter !== null) {
+            adapter.requestHistory(getMarketConfig(msg.symbol), msg.from, msg.to);
+        } else if (msg.type === "rawFrames") {
+            rawFrames = msg.enabled;
+        }
+    };
+}
+
+// ============================================================================
+// SECTION 6G: 24H MARKET STATS
+// ============================================================================
+
+/*
+ * High, low, open, volume, funding and open interest for the active market, refreshed
+ * every MARKET_STATS_REFRESH_MS. With MARKET_STATS_URL (or ?stats=) set they are fetched
+ * from that endpoint as GET <url>?market=SOL-PERP; otherwise the price source is asked
+ * (requestStats) and answers through hooks.onStats - the DLOB proxy with a
+ * {type: "market_stats", data} message. Either way the body (data) is
+ *   {market, high24h, low24h, open24h, volume24h, quoteVolume24h, fundingRate, openInterest}
+ * as plain decimal numbers or strings: volume and open interest in base units,
+ * quote volume in USD and fundingRate as the hourly rate (0.0001 = 0.01%/h).
+ */
+
+/**
+ * Stats endpoint from ?stats= or CONFIG.MARKET_STATS_URL
+ * @returns {string|null}
+ */
+function getMarketStatsUrl() {
+    return getUrlParam("stats") || CONFIG.MARKET_STATS_URL;
+}
+
+/**
+ * Normalize a stats body into the shape the strip draws; missing fields become null
+ * @param {Object} data - See the section comment
+ * @param {number} receivedAt - getClockMs() on arrival
+ * @returns {Object|null} - {market, high, low, open, volume, quoteVolume, fundingRate,
+ *   openInterest, receivedAt}, or null without a known market
+ */
+function normalizeMarketStats(data, receivedAt) {
+    var market = data ? getMarketConfig(data.market || data.marketName) : null;
+    if (market === null) {
+        return null;
+    }
+    function num(value) {
+        var n = Number(value);
+        return value !== null && value !== undefined && value !== "" && isFinite(n) ? n : null;
+    }
+    return {
+        market: market.symbol,
+        high: num(data.high24h),
+        low: num(data.low24h),
+        open: num(data.open24h),
+        volume: num(data.volume24h),
+        quoteVolume: num(data.quoteVolume24h),
+        fundingRate: num(data.fundingRate),
+        openInterest: num(data.openInterest),
+        receivedAt: receivedAt
+    };
+}
+
+/**
+ * Apply stats for the active market (stats for another market are late replies - dropped)
+ * @param {Object|null} stats - From normalizeMarketStats()
+ */
+function handleMarketStats(stats) {
+    if (stats === null || stats.market !== STATE.activeMarketSymbol) {
+        return;
+    }
+    STATE.marketStats = stats;
+    if (stats.low !== null && stats.high !== null) {
+        STATE.driftLow24h = stats.low;
+        STATE.driftHigh24h = stats.high;
+    }
+}
+
+/**
+ * Ask for fresh stats for the active market from the endpoint or the price source
+ */
+function refreshMarketStats() {
+    var market = getActiveMarket();
+    var url = getMarketStatsUrl();
+    if (url) {
+        fetch(url + (url.indexOf("?") === -1 ? "?" : "&") + "market=" + encodeURIComponent(market.symbol))
+            .then(function(response) {
+                if (!response.ok) {
+                    throw new Error("HTTP " + response.status);
+                }
+                return response.json();
+            })
+            .then(function(data) {
+                handleMarketStats(normalizeMarketStats(data, getClockMs()));
+            })
+            .catch(function(err) {
+                logDebug("Stats fetch failed: " + err.message);
+            });
+        return;
+    }
+    if (STATE.priceSource !== null && typeof STATE.priceSource.requestStats === "function") {
+        STATE.priceSource.requestStats(market);
     }
-    var worldY = getWorldYForHex(worldCol, worldRow);
-    // Use the frozen worldYToPrice which depends only on ANCHOR values
-    return worldYToPrice(worldY);
 }
 
 /**
- * Get the ladder index (tick offset from ANCHOR_PRICE) for a hex
- * 
- * @param {number} worldCol - Absolute column index
- * @param {number} worldRow - Absolute row index
- * @returns {number} - Ladder index (integer offset from anchor)
+ * Forget the previous market's stats and ask for the active one's (market switch)
  */
-function getLadderIndexForHex(worldCol, worldRow) {
-    if (!STATE.ladderInitialized) {
-        return 0;
+function resetMarketStats() {
+    STATE.marketStats = null;
+    STATE.driftLow24h = CONFIG.MIN_PRICE;
+    STATE.driftHigh24h = CONFIG.MAX_PRICE;
+    refreshMarketStats();
+}
+
+/**
+ * Start the stats refresh timer (the first request goes out when the source opens)
+ */
+function startMarketStatsTimer() {
+    if (STATE.marketStatsTimerId !== null) {
+        clearInterval(STATE.marketStatsTimerId);
+    }
+    STATE.marketStatsTimerId = setInterval(refreshMarketStats, CONFIG.MARKET_STATS_REFRESH_MS);
+    if (getMarketStatsUrl()) {
+        refreshMarketStats();
     }
-    var worldY = getWorldYForHex(worldCol, worldRow);
-    return Math.round((worldY - STATE.ANCHOR_WORLD_Y) / STATE.PX_PER_TICK);
 }
 
 /**
- * Convert world coordinates to screen coordinates
- * Applies the camera/viewport offset
- * @param {number} worldX - World X position
- * @param {number} worldY - World Y position
- * @param {number} chartTop - Top of chart area
- * @param {number} chartHeight - Height of chart area
- * @returns {{screenX: number, screenY: number}}
+ * Format a large quantity compactly (1234 -> "1.23K", 5600000 -> "5.60M")
+ * @param {number} value
+ * @returns {string}
  */
-function worldToScreen(worldX, worldY, chartTop, chartHeight) {
-    // X: world X is offset by horizontal scroll
-    // hexScrollPosition moves hexes leftward, so screenX = worldX - scrollOffset
-    // But we compute worldX relative to visible columns, so this is handled in drawHexagons
-    
-    // Y: chart center is at viewport center
-    var chartCenterY = chartTop + chartHeight / 2;
-    // World Y = 0 (ANCHOR_WORLD_Y) is at viewportOffsetY
-    // Higher worldY (higher price) should be at smaller screenY (top of screen)
-    var screenY = chartCenterY - (worldY - STATE.viewportOffsetY);
-    return { screenX: worldX, screenY: screenY };
+function formatCompact(value) {
+    var abs = Math.abs(value);
+    if (abs >= 1e9) return (value / 1e9).toFixed(2) + "B";
+    if (abs >= 1e6) return (value / 1e6).toFixed(2) + "M";
+    if (abs >= 1e3) return (value / 1e3).toFixed(2) + "K";
+    return value.toFixed(2);
 }
 
 /**
- * Update the viewport offset to keep current price visible
- * Shifts the camera (viewportOffsetY in world pixels), NOT the board
- * @param {number} nowMs - Current time in milliseconds (performance.now())
+ * Fields for the stats strip, in display order
+ * @returns {Array<{label: string, text: string, color: string}>}
  */
-function updateViewportOffset(nowMs) {
-    // If ladder not initialized or offline, don't update
-    if (!STATE.ladderInitialized || !isDriftOnline(nowMs)) {
-        return;
+function getMarketStatsFields() {
+    var stats = STATE.marketStats;
+    var market = getActiveMarket();
+    var fields = [];
+    function add(label, value, text, color) {
+        fields.push({ label: label, text: value === null ? "--" : text, color: color || "#C8C8D8" });
     }
+    add("H", stats.high, stats.high !== null ? formatPrice(stats.high, market.displayDecimals) : "");
+    add("L", stats.low, stats.low !== null ? formatPrice(stats.low, market.displayDecimals) : "");
     
-    // Calculate visible range in world Y coordinates
-    var height = STATE.canvas.height;
-    var padding = CONFIG.PADDING;
-    var chartHeight = height - padding.top - padding.bottom;
-    
-    // Half the visible height in world pixels
-    var halfVisibleWorld = chartHeight / 2;
-    
-    // Current price world Y
-    var currentPriceWorldY = priceToWorldY(STATE.currentPrice);
+    // Change against the live price so it moves with the line between refreshes
+    var change = stats.open !== null && stats.open > 0 && STATE.hasReceivedFirstPrice ?
+        (STATE.currentPrice - stats.open) / stats.open * 100 : null;
+    add("CHG", change, change !== null ? formatPercent(change, 2) + "%" : "",
+        change !== null ? (change >= 0 ? "#00FF88" : "#FF5555") : null);
     
-    // Visible world Y range (remember: higher price = higher worldY, but higher worldY = lower screenY)
-    var minVisibleWorldY = STATE.viewportOffsetY - halfVisibleWorld;
-    var maxVisibleWorldY = STATE.viewportOffsetY + halfVisibleWorld;
+    if (stats.quoteVolume !== null) {
+        add("VOL", stats.quoteVolume, "$" + formatCompact(stats.quoteVolume));
+    } else {
+        add("VOL", stats.volume, stats.volume !== null ? formatCompact(stats.volume) : "");
+    }
+    add("FUND", stats.fundingRate, stats.fundingRate !== null ? formatPercent(stats.fundingRate * 100, 4) + "%/H" : "",
+        stats.fundingRate !== null ? (stats.fundingRate >= 0 ? "#00FF88" : "#FF5555") : null);
+    add("OI", stats.openInterest, stats.openInterest !== null ? formatCompact(stats.openInterest) : "");
+    return fields;
+}
+
+// ============================================================================
+// SECTION 6H: GAP BACKFILL AFTER RECONNECT
+// ============================================================================
+
+/*
+ * While offline the trail and candles freeze (updateTrailHistory/updatePrice skip). When
+ * ticks return, openBackfillGap() restarts the trail at the current scroll position and
+ * records the outage as a region of scroll positions and wall-clock times. The missed
+ * prices are asked for from BACKFILL.url (or ?history=) as
+ * GET <url>?market=SOL-PERP&from=<ms>&to=<ms>, or else from the price source
+ * (requestHistory), which answers through hooks.onHistory - the DLOB proxy with a
+ * {type: "history", data} message. Either way the body (data) is
+ *   {market, from, to, points: [{ts, price}, ...]}
+ * with from/to echoing the request (epoch ms) and decimal prices. The points are
+ * resampled onto trail points and 1-second candles at the scroll positions their
+ * times map to, marked reconstructed, and the region is shaded (drawBackfillRegions).
+ */
+
+/**
+ * History endpoint from ?history= or CONFIG.BACKFILL.url
+ * @returns {string|null}
+ */
+function getBackfillUrl() {
+    return getUrlParam("history") || CONFIG.BACKFILL.url;
+}
+
+/**
+ * Restart the trail after an outage and request the prices that were missed
+ * @param {number} nowMs - getClockMs() of the first tick after the outage
+ */
+function openBackfillGap(nowMs) {
+    var nowEpoch = Date.now();
+    var region = {
+        market: STATE.activeMarketSymbol,
+        fromScrollX: STATE.lastTrailScrollX,
+        toScrollX: STATE.hexScrollPosition,
+        fromTs: nowEpoch - (nowMs - STATE.lastGoodPriceTs),
+        toTs: nowEpoch,
+        status: "pending",
+        timeoutId: null         // requestBackfill()'s timeout while the request is out
+    };
     
-    // Margin in world pixels (20% of visible range)
-    var margin = halfVisibleWorld * 0.4;
+    // New points continue from "now", not from where the trail froze
+    STATE.lastTrailScrollX = STATE.hexScrollPosition;
+    STATE.scrolledSinceLastTrailPointPx = 0;
+    // Candles that were open when the feed went away close where the gap starts
+    forEachCandleSeries(function(series) {
+        if (series.current !== null) {
+            finalizeCurrentCandle(series, region.fromScrollX);
+        }
+    });
     
-    if (currentPriceWorldY > maxVisibleWorldY - margin) {
-        // Price went up (higher worldY), shift viewport up
-        var shift = currentPriceWorldY - (maxVisibleWorldY - margin);
-        STATE.viewportOffsetY += shift;
-    } else if (currentPriceWorldY < minVisibleWorldY + margin) {
-        // Price went down (lower worldY), shift viewport down
-        var shift = (minVisibleWorldY + margin) - currentPriceWorldY;
-        STATE.viewportOffsetY -= shift;
+    var gapMs = region.toTs - region.fromTs;
+    logDebug("Feed back after " + (gapMs / 1000).toFixed(1) + "s outage");
+    if (!CONFIG.BACKFILL.enabled || gapMs < CONFIG.BACKFILL.minGapMs || region.toScrollX <= region.fromScrollX) {
+        return;
     }
+    if (gapMs > CONFIG.BACKFILL.maxGapMs) {
+        // Keep only the most recent maxGapMs; scroll is linear in time so scale the start with it
+        region.fromScrollX = region.toScrollX - (region.toScrollX - region.fromScrollX) * CONFIG.BACKFILL.maxGapMs / gapMs;
+        region.fromTs = region.toTs - CONFIG.BACKFILL.maxGapMs;
+    }
+    STATE.backfill.regions.push(region);
+    requestBackfill(region);
 }
 
 /**
- * LEGACY: Update dynamic Y-axis range based on recent price history
- * NOW: Just updates priceMin/priceMax for chart line rendering only
- * Hex grid uses fixed ladder, NOT these values
- * @param {number} nowMs - Current time in milliseconds (performance.now())
+ * Ask the endpoint or the price source for a region's missed prices
+ * @param {Object} region - From openBackfillGap()
  */
-function updateDynamicRangeFromHistory(nowMs) {
-    // Update viewport offset to keep current price in view
-    updateViewportOffset(nowMs);
-    
-    // If offline or stale, do NOT recompute range - keep it frozen
-    if (!isDriftOnline(nowMs)) {
+function requestBackfill(region) {
+    var market = getMarketConfig(region.market);
+    var url = getBackfillUrl();
+    
+    region.timeoutId = setTimeout(function() {
+        region.timeoutId = null;
+        if (region.status === "pending") {
+            region.status = "failed";
+            logDebug("Backfill timed out for " + region.market);
+        }
+    }, CONFIG.BACKFILL.timeoutMs);
+    
+    if (url) {
+        fetch(url + (url.indexOf("?") === -1 ? "?" : "&") + "market=" + encodeURIComponent(market.symbol) +
+            "&from=" + Math.floor(region.fromTs) + "&to=" + Math.floor(region.toTs))
+            .then(function(response) {
+                if (!response.ok) {
+                    throw new Error("HTTP " + response.status);
+                }
+                return response.json();
+            })
+            .then(function(data) {
+                var history = normalizeBackfill(data);
+                applyBackfill(region, history !== null ? history.points : []);
+            })
+            .catch(function(err) {
+                region.status = "failed";
+                logDebug("Backfill fetch failed: " + err.message);
+            });
         return;
     }
-    
-    var cutoffTime = nowMs - CONFIG.ZOOM_WINDOW_SECS * 1000;
-    var windowPrices = [];
-    
-    // Collect prices from the zoom window (use full float precision)
-    for (var i = 0; i < STATE.priceHistory.length; i++) {
-        if (STATE.priceHistory[i].time >= cutoffTime) {
-            windowPrices.push(STATE.priceHistory[i].price);
+    var sent = STATE.priceSource !== null && typeof STATE.priceSource.requestHistory === "function" &&
+        STATE.priceSource.requestHistory(market, Math.floor(region.fromTs), Math.floor(region.toTs));
+    if (!sent) {
+        region.status = "failed";
+        logDebug("Backfill: " + (STATE.priceSource !== null ? STATE.priceSource.name : "no") + " source has no history");
+    }
+}
+
+/**
+ * Normalize a history body; points are sorted by time, unusable ones dropped
+ * @param {Object} data - See the section comment
+ * @returns {Object|null} - {market, from, to, points: [{ts, price}]}, or null without a known market
+ */
+function normalizeBackfill(data) {
+    var market = data ? getMarketConfig(data.market || data.marketName) : null;
+    if (market === null) {
+        return null;
+    }
+    var points = [];
+    var raw = Array.isArray(data.points) ? data.points : [];
+    for (var i = 0; i < raw.length; i++) {
+        var ts = Number(raw[i].ts);
+        var price = Number(raw[i].price);
+        if (isFinite(ts) && isFinite(price) && price > 0) {
+            points.push({ ts: ts, price: price });
         }
     }
-    
-    // Also include current price to ensure we always have the latest
-    windowPrices.push(STATE.currentPrice);
-    
-    var windowLow, windowHigh;
-    
-    // Fallback if fewer than ~10 points
-    if (windowPrices.length < 10) {
-        var minSpanFallback = STATE.currentPrice * CONFIG.ZOOM_MIN_SPAN_PCT;
-        windowLow = STATE.currentPrice - minSpanFallback / 2;
-        windowHigh = STATE.currentPrice + minSpanFallback / 2;
-    } else {
-        // Optional outlier trimming
-        if (CONFIG.ZOOM_OUTLIER_TRIM > 0) {
-            windowPrices.sort(function(a, b) { return a - b; });
-            var trimCount = Math.floor(windowPrices.length * CONFIG.ZOOM_OUTLIER_TRIM);
-            if (trimCount > 0 && windowPrices.length > trimCount * 2 + 2) {
-                windowPrices = windowPrices.slice(trimCount, windowPrices.length - trimCount);
-            }
+    points.sort(function(a, b) { return a.ts - b.ts; });
+    return { market: market.symbol, from: Number(data.from), to: Number(data.to), points: points };
+}
+
+/**
+ * Match a history reply from the price source to the region that asked for it
+ * @param {Object|null} history - From normalizeBackfill()
+ */
+function handleBackfillHistory(history) {
+    if (history === null) {
+        return;
+    }
+    for (var i = 0; i < STATE.backfill.regions.length; i++) {
+        var region = STATE.backfill.regions[i];
+        if (region.status === "pending" && region.market === history.market &&
+            Math.floor(region.fromTs) === history.from) {
+            applyBackfill(region, history.points);
+            return;
         }
-        
-        // Find window low/high from full precision values
-        windowLow = windowPrices[0];
-        windowHigh = windowPrices[0];
-        for (var j = 1; j < windowPrices.length; j++) {
-            if (windowPrices[j] < windowLow) windowLow = windowPrices[j];
-            if (windowPrices[j] > windowHigh) windowHigh = windowPrices[j];
+    }
+    // Late reply (timed out, scrolled away or another market by now)
+}
+
+/**
+ * Price at a time, interpolated between sorted history points (clamped at the ends)
+ * @param {Array<{ts: number, price: number}>} points
+ * @param {number} ts
+ * @returns {number}
+ */
+function getBackfillPriceAt(points, ts) {
+    if (ts <= points[0].ts) {
+        return points[0].price;
+    }
+    for (var i = 1; i < points.length; i++) {
+        if (points[i].ts >= ts) {
+            var prev = points[i - 1];
+            var t = (ts - prev.ts) / (points[i].ts - prev.ts);
+            return prev.price + (points[i].price - prev.price) * t;
         }
     }
-    
-    // Compute span with minimum
-    var span = windowHigh - windowLow;
-    var minSpanValue = STATE.currentPrice * CONFIG.ZOOM_MIN_SPAN_PCT;
-    var absoluteMinSpan = 0.01; // Never go below $0.01 span
-    var effectiveMinSpan = Math.max(minSpanValue, absoluteMinSpan);
-    
-    if (span < effectiveMinSpan) {
-        var center = (windowLow + windowHigh) / 2;
-        windowLow = center - effectiveMinSpan / 2;
-        windowHigh = center + effectiveMinSpan / 2;
-        span = effectiveMinSpan;
+    return points[points.length - 1].price;
+}
+
+/**
+ * Cancel a region's request timeout, if it is still armed
+ * @param {Object} region - From openBackfillGap()
+ */
+function clearBackfillTimeout(region) {
+    if (region.timeoutId !== null) {
+        clearTimeout(region.timeoutId);
+        region.timeoutId = null;
+    }
+}
+
+/**
+ * Drop every backfill region along with its pending timeout
+ */
+function resetBackfillRegions() {
+    STATE.backfill.regions.forEach(clearBackfillTimeout);
+    STATE.backfill.regions = [];
+}
+
+/**
+ * Splice reconstructed trail points and candles into a region of the trail
+ * @param {Object} region - From openBackfillGap()
+ * @param {Array<{ts: number, price: number}>} points - Sorted by time
+ */
+function applyBackfill(region, points) {
+    clearBackfillTimeout(region);
+    if (region.status !== "pending" || region.market !== STATE.activeMarketSymbol ||
+        STATE.backfill.regions.indexOf(region) === -1) {
+        return;
+    }
+    var inRange = points.filter(function(p) {
+        return p.ts >= region.fromTs && p.ts <= region.toTs && isPriceInMarketBand(p.price);
+    });
+    if (inRange.length === 0) {
+        region.status = "failed";
+        logDebug("Backfill: no history for " + region.market);
+        return;
     }
     
-    // Compute padding
-    var pad = Math.max(span * CONFIG.ZOOM_PAD_FRAC, STATE.currentPrice * CONFIG.ZOOM_PAD_MIN_PCT);
+    // Scroll advances at a constant speed, so times map linearly onto the region
+    var pxPerMs = (region.toScrollX - region.fromScrollX) / (region.toTs - region.fromTs);
+    var spacing = CONFIG.TRAIL_POINT_SPACING_PX;
     
-    // Compute target range (full precision, no rounding)
-    var wantMin = windowLow - pad;
-    var wantMax = windowHigh + pad;
+    var trailPoints = [];
+    for (var x = region.fromScrollX + spacing; x < region.toScrollX; x += spacing) {
+        var price = getBackfillPriceAt(inRange, region.fromTs + (x - region.fromScrollX) / pxPerMs);
+        trailPoints.push({ scrollX: x, price: price, worldY: priceToWorldY(price), oracleWorldY: null, reconstructed: true });
+    }
+    STATE.trailHistory = STATE.trailHistory.filter(function(p) { return p.scrollX <= region.fromScrollX; })
+        .concat(trailPoints, STATE.trailHistory.filter(function(p) { return p.scrollX >= region.toScrollX; }));
+    
+    // History points are mids either way, so the eased and raw candles get the same reconstruction
+    var candleCounts = [];
+    forEachCandleSeries(function(series, timeframe, sourceId) {
+        var reconstructed = buildBackfillCandles(inRange, timeframe.durationMs, region, pxPerMs);
+        series.history = series.history.filter(function(c) { return c.scrollX <= region.fromScrollX; })
+            .concat(reconstructed, series.history.filter(function(c) { return c.scrollX > region.toScrollX; }));
+        trimCandleHistory(series);
+        if (sourceId === STATE.candleSource) {
+            candleCounts.push(reconstructed.length + "x" + timeframe.id);
+        }
+    });
     
-    // Ease toward target range (smooth animation)
-    STATE.priceMin += (wantMin - STATE.priceMin) * CONFIG.ZOOM_EASE_ALPHA;
-    STATE.priceMax += (wantMax - STATE.priceMax) * CONFIG.ZOOM_EASE_ALPHA;
+    region.status = "filled";
+    logDebug("Backfilled " + ((region.toTs - region.fromTs) / 1000).toFixed(1) + "s: " +
+        trailPoints.length + " trail points, candles " + candleCounts.join(" "));
+}
+
+/**
+ * Aggregate history points into reconstructed candles of one timeframe, placed on the region's scroll range
+ * Buckets cut by the region edges become partial candles clipped to the region
+ * @param {Array<{ts: number, price: number}>} points - Sorted, inside the region
+ * @param {number} durationMs - Timeframe length
+ * @param {Object} region - From openBackfillGap()
+ * @param {number} pxPerMs - Scroll distance per ms over the region
+ * @returns {Array<Object>} - Finalized candles (see STATE.candleSeries)
+ */
+function buildBackfillCandles(points, durationMs, region, pxPerMs) {
+    var buckets = [];
+    var bucket = null;
+    for (var i = 0; i < points.length; i++) {
+        var point = points[i];
+        var index = Math.floor(point.ts / durationMs);
+        if (bucket === null || index !== bucket.index) {
+            bucket = { index: index, open: point.price, high: point.price, low: point.price, close: point.price };
+            buckets.push(bucket);
+        }
+        bucket.high = Math.max(bucket.high, point.price);
+        bucket.low = Math.min(bucket.low, point.price);
+        bucket.close = point.price;
+    }
+    return buckets.map(function(b) {
+        var openTs = Math.max(b.index * durationMs, region.fromTs);
+        var closeTs = Math.min((b.index + 1) * durationMs, region.toTs);
+        return {
+            open: b.open,
+            high: b.high,
+            low: b.low,
+            close: b.close,
+            volume: 0,
+            openWorldY: priceToWorldY(b.open),
+            highWorldY: priceToWorldY(b.high),
+            lowWorldY: priceToWorldY(b.low),
+            closeWorldY: priceToWorldY(b.close),
+            startScrollX: region.fromScrollX + (openTs - region.fromTs) * pxPerMs,
+            scrollX: region.fromScrollX + (closeTs - region.fromTs) * pxPerMs,
+            reconstructed: true
+        };
+    });
+}
+
+// ============================================================================
+// SECTION 6I: TECHNICAL INDICATORS
+// ============================================================================
+
+/*
+ * Every accepted tick (its reference price, source time and the trades since the
+ * previous tick) becomes a sample. Each indicator in CONFIG.INDICATORS steps a small
+ * calculator state per sample and stores its output as frozen worldY values at the
+ * sample's scroll position, like trail points, so the overlay sits on the hex ladder
+ * in both orientations. All indicators are computed whether shown or not; changing a
+ * param recomputes that one from STATE.indicators.samples.
+ *   ema       - exponential moving average over `period` ticks
+ *   vwap      - session volume-weighted trade price (nothing until a trade is seen)
+ *   bollinger - `period`-tick mean +/- `stdDevs` standard deviations
+ *   rvol      - realized volatility: sqrt of summed squared log returns over `windowSec`,
+ *               drawn as the +/- 1 sigma move around the price
+ * Toggles and params are saved to localStorage under CONFIG.INDICATOR_STORAGE_KEY.
+ */
+
+/**
+ * Look up an indicator definition by id
+ * @param {string} id
+ * @returns {Object|null} - CONFIG.INDICATORS entry
+ */
+function getIndicatorDef(id) {
+    for (var i = 0; i < CONFIG.INDICATORS.length; i++) {
+        if (CONFIG.INDICATORS[i].id === id) {
+            return CONFIG.INDICATORS[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * Clamp a param value to its range and step
+ * @param {Object} range - {min, max, step} from paramRanges
+ * @param {*} value
+ * @param {number} fallback - Used when value is not a number
+ * @returns {number}
+ */
+function clampIndicatorParam(range, value, fallback) {
+    var number = Number(value);
+    if (!isFinite(number)) {
+        return fallback;
+    }
+    number = Math.round(number / range.step) * range.step;
+    return Math.min(range.max, Math.max(range.min, number));
+}
+
+/**
+ * Build STATE.indicators.settings from the CONFIG defaults and whatever was saved
+ * Unknown ids and out-of-range params in the saved copy are ignored
+ */
+function loadIndicatorSettings() {
+    var saved = {};
+    try {
+        saved = JSON.parse(window.localStorage.getItem(CONFIG.INDICATOR_STORAGE_KEY)) || {};
+    } catch (err) {
+        logDebug("Indicators: saved settings unreadable (" + err.message + ")");
+    }
     
-    // Ensure priceMax > priceMin and enforce minimum absolute span
-    var currentSpanCheck = STATE.priceMax - STATE.priceMin;
-    var minAbsoluteSpan = Math.max(STATE.currentPrice * CONFIG.ZOOM_MIN_SPAN_PCT, 0.01);
+    CONFIG.INDICATORS.forEach(function(def) {
+        var stored = saved[def.id] || {};
+        var params = {};
+        Object.keys(def.params).forEach(function(name) {
+            var fallback = def.params[name];
+            params[name] = stored.params ? clampIndicatorParam(def.paramRanges[name], stored.params[name], fallback) : fallback;
+        });
+        STATE.indicators.settings[def.id] = {
+            enabled: typeof stored.enabled === "boolean" ? stored.enabled : def.enabled,
+            params: params
+        };
+    });
+}
+
+/**
+ * Save toggles and params (private browsing can refuse - the session keeps working)
+ */
+function saveIndicatorSettings() {
+    try {
+        window.localStorage.setItem(CONFIG.INDICATOR_STORAGE_KEY, JSON.stringify(STATE.indicators.settings));
+    } catch (err) {
+        logDebug("Indicators: settings not saved (" + err.message + ")");
+    }
+}
+
+/**
+ * Forget samples and outputs - on a market switch they belong to another ladder
+ */
+function resetIndicators() {
+    STATE.indicators.samples = [];
+    STATE.indicators.calc = {};
+    STATE.indicators.points = {};
+    STATE.indicators.pendingVolume = 0;
+    STATE.indicators.pendingNotional = 0;
+}
+
+/**
+ * Turn an indicator's overlay on or off
+ * @param {string} id
+ * @param {boolean} enabled
+ */
+function setIndicatorEnabled(id, enabled) {
+    STATE.indicators.settings[id].enabled = enabled;
+    saveIndicatorSettings();
+    logDebug("Indicator " + id + (enabled ? " on" : " off"));
+    updateIndicatorControlsUI();
+}
+
+/**
+ * Change one param and recompute the indicator from the kept samples
+ * @param {string} id
+ * @param {string} name - Param name
+ * @param {*} value - Clamped to the param's range
+ */
+function setIndicatorParam(id, name, value) {
+    var settings = STATE.indicators.settings[id];
+    settings.params[name] = clampIndicatorParam(getIndicatorDef(id).paramRanges[name], value, settings.params[name]);
+    saveIndicatorSettings();
+    recomputeIndicator(id);
+    logDebug("Indicator " + id + " " + name + "=" + settings.params[name]);
+    updateIndicatorControlsUI();
+}
+
+/**
+ * Add one accepted tick to the samples and step every indicator with it
+ * @param {number} price - The tick's reference price
+ * @param {number} sourceTs - The tick's source time (epoch ms)
+ */
+function recordIndicatorSample(price, sourceTs) {
+    var indicators = STATE.indicators;
+    var sample = {
+        scrollX: STATE.hexScrollPosition,
+        ts: sourceTs,
+        price: price,
+        volume: indicators.pendingVolume,
+        notional: indicators.pendingNotional
+    };
+    indicators.pendingVolume = 0;
+    indicators.pendingNotional = 0;
     
-    if (STATE.priceMax <= STATE.priceMin || currentSpanCheck < minAbsoluteSpan) {
-        var midPoint = (STATE.priceMin + STATE.priceMax) / 2;
-        if (!isFinite(midPoint)) midPoint = STATE.currentPrice;
-        STATE.priceMin = midPoint - minAbsoluteSpan / 2;
-        STATE.priceMax = midPoint + minAbsoluteSpan / 2;
+    indicators.samples.push(sample);
+    if (indicators.samples.length > CONFIG.INDICATOR_SAMPLES_MAX) {
+        indicators.samples.shift();
     }
     
-    // Optional: clamp if range becomes absurdly wide (more than 50% of current price)
-    var maxAllowedSpan = STATE.currentPrice * 0.5;
-    var currentSpan = STATE.priceMax - STATE.priceMin;
-    if (currentSpan > maxAllowedSpan) {
-        var midPointClamp = (STATE.priceMin + STATE.priceMax) / 2;
-        STATE.priceMin = midPointClamp - maxAllowedSpan / 2;
-        STATE.priceMax = midPointClamp + maxAllowedSpan / 2;
+    var horizonScrollX = getSessionHistoryStartScrollX();
+    CONFIG.INDICATORS.forEach(function(def) {
+        var points = indicators.points[def.id] || (indicators.points[def.id] = []);
+        addIndicatorPoint(def.id, points, sample);
+        while (points.length > 0 && points[0].scrollX < horizonScrollX) {
+            points.shift();
+        }
+        // Over budget, older points thin out 2:1 like the trail archive
+        if (points.length > CONFIG.SESSION_HISTORY.indicatorPointsMax) {
+            indicators.points[def.id] = downsampleOldestHalf(points, function(older, newer) {
+                return newer;
+            });
+        }
+    });
+}
+
+/**
+ * Rebuild one indicator's calculator and points from all kept samples
+ * @param {string} id
+ */
+function recomputeIndicator(id) {
+    var indicators = STATE.indicators;
+    var points = [];
+    indicators.calc[id] = {};
+    for (var i = 0; i < indicators.samples.length; i++) {
+        addIndicatorPoint(id, points, indicators.samples[i]);
     }
+    var horizonScrollX = getSessionHistoryStartScrollX();
+    indicators.points[id] = points.filter(function(point) { return point.scrollX >= horizonScrollX; });
 }
 
 /**
- * Convert price to Y position
- * @param {number} price 
- * @param {number} chartTop 
- * @param {number} chartHeight 
- * @returns {number}
+ * Step an indicator with a sample and append its output (if any) as frozen worldYs
+ * @param {string} id
+ * @param {Array<Object>} points - Output list to append to
+ * @param {Object} sample - From recordIndicatorSample()
  */
-function priceToY(price, chartTop, chartHeight) {
-    var normalized = (price - STATE.priceMin) / (STATE.priceMax - STATE.priceMin);
-    return chartTop + chartHeight - (normalized * chartHeight);
+function addIndicatorPoint(id, points, sample) {
+    var calc = STATE.indicators.calc[id] || (STATE.indicators.calc[id] = {});
+    var prices = stepIndicator(id, calc, sample, STATE.indicators.settings[id].params);
+    if (prices !== null) {
+        points.push({ scrollX: sample.scrollX, worldYs: prices.map(priceToWorldY) });
+    }
 }
 
 /**
- * Convert Y position to price
- * @param {number} y 
- * @param {number} chartTop 
- * @param {number} chartHeight 
- * @returns {number}
+ * Advance one indicator's calculator state by a sample
+ * @param {string} id - CONFIG.INDICATORS id
+ * @param {Object} calc - Calculator state, {} on the first sample
+ * @param {Object} sample - {scrollX, ts, price, volume, notional}
+ * @param {Object} params - The indicator's current params
+ * @returns {Array<number>|null} - Prices of each output line, or null while warming up
  */
-function yToPrice(y, chartTop, chartHeight) {
-    var normalized = (chartTop + chartHeight - y) / chartHeight;
-    return STATE.priceMin + normalized * (STATE.priceMax - STATE.priceMin);
+function stepIndicator(id, calc, sample, params) {
+    switch (id) {
+        case "ema":
+            var alpha = 2 / (params.period + 1);
+            calc.value = calc.value === undefined ? sample.price : calc.value + alpha * (sample.price - calc.value);
+            return [calc.value];
+        case "vwap":
+            calc.volume = (calc.volume || 0) + sample.volume;
+            calc.notional = (calc.notional || 0) + sample.notional;
+            return calc.volume > 0 ? [calc.notional / calc.volume] : null;
+        case "bollinger":
+            calc.window = calc.window || [];
+            calc.window.push(sample.price);
+            while (calc.window.length > params.period) {
+                calc.window.shift();
+            }
+            if (calc.window.length < params.period) {
+                return null;
+            }
+            var mean = calc.window.reduce(function(sum, price) { return sum + price; }, 0) / calc.window.length;
+            var variance = calc.window.reduce(function(sum, price) { return sum + (price - mean) * (price - mean); }, 0) / calc.window.length;
+            var band = params.stdDevs * Math.sqrt(variance);
+            return [mean - band, mean, mean + band];
+        case "rvol":
+            calc.returns = calc.returns || [];
+            if (calc.lastPrice !== undefined) {
+                var logReturn = Math.log(sample.price / calc.lastPrice);
+                calc.returns.push({ ts: sample.ts, squared: logReturn * logReturn });
+            }
+            calc.lastPrice = sample.price;
+            while (calc.returns.length > 0 && calc.returns[0].ts < sample.ts - params.windowSec * 1000) {
+                calc.returns.shift();
+            }
+            if (calc.returns.length < 2) {
+                calc.sigma = null;
+                return null;
+            }
+            calc.sigma = Math.sqrt(calc.returns.reduce(function(sum, r) { return sum + r.squared; }, 0));
+            return [sample.price * Math.exp(-calc.sigma), sample.price * Math.exp(calc.sigma)];
+    }
+    return null;
+}
+
+/**
+ * Short label drawn at the head of an indicator's overlay
+ * @param {Object} def - CONFIG.INDICATORS entry
+ * @returns {string}
+ */
+function getIndicatorLabel(def) {
+    // The calculators run on the page only - the worker draws the labels it was sent
+    if (STATE.renderWorker.inWorker) {
+        return STATE.renderWorker.indicatorLabels[def.id] || def.label;
+    }
+    var params = STATE.indicators.settings[def.id].params;
+    switch (def.id) {
+        case "ema":
+        case "bollinger":
+            return def.label + params.period;
+        case "rvol":
+            var calc = STATE.indicators.calc.rvol;
+            return def.label + " " + (calc && calc.sigma ? (calc.sigma * 10000).toFixed(1) + "BP" : "--");
+    }
+    return def.label;
+}
+
+/**
+ * Highlight enabled indicators and show current params in the inputs
+ */
+function updateIndicatorControlsUI() {
+    CONFIG.INDICATORS.forEach(function(def) {
+        var settings = STATE.indicators.settings[def.id];
+        var btn = document.getElementById("indicator-btn-" + def.id);
+        if (btn) {
+            btn.classList.toggle("active", settings.enabled);
+        }
+        Object.keys(def.params).forEach(function(name) {
+            var input = document.getElementById("indicator-param-" + def.id + "-" + name);
+            if (input) {
+                input.value = settings.params[name];
+            }
+        });
+    });
+}
+
+/**
+ * Load saved settings and build one toggle (plus param inputs) per indicator
+ */
+function initIndicatorControls() {
+    loadIndicatorSettings();
+    
+    var container = document.getElementById("indicator-controls");
+    if (!container) return;
+    
+    CONFIG.INDICATORS.forEach(function(def) {
+        var row = document.createElement("div");
+        row.className = "indicator-row";
+        
+        var btn = document.createElement("button");
+        btn.id = "indicator-btn-" + def.id;
+        btn.className = "indicator-btn";
+        btn.textContent = def.label;
+        btn.style.color = def.color;
+        btn.addEventListener("click", function() {
+            setIndicatorEnabled(def.id, !STATE.indicators.settings[def.id].enabled);
+        });
+        row.appendChild(btn);
+        
+        Object.keys(def.params).forEach(function(name) {
+            var range = def.paramRanges[name];
+            var input = document.createElement("input");
+            input.id = "indicator-param-" + def.id + "-" + name;
+            input.className = "indicator-param";
+            input.type = "number";
+            input.min = range.min;
+            input.max = range.max;
+            input.step = range.step;
+            input.title = name;
+            input.addEventListener("change", function() {
+                setIndicatorParam(def.id, name, input.value);
+            });
+            row.appendChild(input);
+        });
+        container.appendChild(row);
+    });
+    
+    updateIndicatorControlsUI();
 }
 
 // ============================================================================
@@ -2004,11 +5847,14 @@ function yToPrice(y, chartTop, chartHeight) {
 // ============================================================================
 
 /**
- * Draw flat-top hexagon
+ * Trace a flat-top hexagon outline as the current path (no fill or stroke)
+ * @param {number} x - Center X
+ * @param {number} y - Center Y
+ * @param {number} size - Center-to-corner radius
+ * @param {CanvasRenderingContext2D} [targetCtx] - Defaults to the main canvas
  */
-function drawHexagonFlatTop(x, y, size, price, isHighlighted, isPassed, isPink, isHitByLine, isYellow) {
-    var ctx = STATE.ctx;
-    
+function traceHexagonFlatTopPath(x, y, size, targetCtx) {
+    var ctx = targetCtx || STATE.ctx;
     ctx.beginPath();
     for (var i = 0; i < 6; i++) {
         var angle = (Math.PI / 3) * i;
@@ -2021,74 +5867,172 @@ function drawHexagonFlatTop(x, y, size, price, isHighlighted, isPassed, isPink,
         }
     }
     ctx.closePath();
-    
-    // Determine fill color - cyber theme
-    if (isHitByLine) {
-        ctx.fillStyle = "rgba(255, 215, 0, 1.0)";   // Bright gold for hit - very distinct!
-    } else if (isYellow) {
-        ctx.fillStyle = "rgba(255, 215, 0, 0.85)";  // Gold for AI bets
-    } else if (isPink) {
-        ctx.fillStyle = "rgba(139, 92, 246, 0.85)"; // Purple for user selection
-    } else if (isPassed) {
-        ctx.fillStyle = "rgba(30, 30, 40, 0.6)";    // Dark passed
-    } else if (isHighlighted) {
-        ctx.fillStyle = "rgba(0, 255, 204, 0.85)";  // Cyan highlight
-    } else {
-        ctx.fillStyle = "rgba(15, 15, 25, 0.5)";    // Dark glass default
+}
+
+/**
+ * Depth heatmap: tint a hex by the resting size on its ladder row
+ * Drawn over the hex body (its 0.5-alpha fill would wash out a tint beneath it)
+ * but under its trade flash and price label.
+ * Odd-column hexes sit half a tick off the ladder and straddle two rows -
+ * they show the larger of the two.
+ * @param {number} x - Center X
+ * @param {number} y - Center Y
+ * @param {number} size - Screen hex size
+ * @param {number} price - Frozen hex price (getPriceForHex)
+ * @returns {boolean} - True if a tint was drawn
+ */
+function drawDepthTint(x, y, size, price) {
+    var tint = getDepthTint(price);
+    if (tint === null) {
+        return false;
     }
+    var ctx = STATE.ctx;
+    traceHexagonFlatTopPath(x, y, size);
+    ctx.fillStyle = "rgba(" + tint.rgb + ", " + tint.alpha.toFixed(3) + ")";
     ctx.fill();
+    return true;
+}
+
+/**
+ * Depth heatmap color for a hex price (see drawDepthTint)
+ * @param {number} price - Frozen hex price (getPriceForHex)
+ * @returns {{rgb: string, alpha: number}|null} - null when the row has no resting size
+ */
+function getDepthTint(price) {
+    var depth = STATE.depthLadder;
+    if (!CONFIG.DEPTH_HEATMAP_ENABLED || depth.maxSize <= 0) {
+        return null;
+    }
+    var indexFloat = priceToLadderIndexFloat(price);
+    var lowIndex = Math.floor(indexFloat + 1e-6);
+    var highIndex = Math.ceil(indexFloat - 1e-6);
+    var bidSize = Math.max(depth.bids.get(lowIndex) || 0, depth.bids.get(highIndex) || 0);
+    var askSize = Math.max(depth.asks.get(lowIndex) || 0, depth.asks.get(highIndex) || 0);
+    if (bidSize <= 0 && askSize <= 0) {
+        return null;
+    }
     
-    // Determine stroke colors - cyber theme
-    var strokeColor, glowColor;
+    var isBid = bidSize >= askSize;
+    // sqrt keeps small levels visible next to a wall
+    return {
+        rgb: isBid ? CONFIG.DEPTH_BID_RGB : CONFIG.DEPTH_ASK_RGB,
+        alpha: CONFIG.DEPTH_HEATMAP_MAX_ALPHA * Math.sqrt(Math.max(bidSize, askSize) / depth.maxSize)
+    };
+}
+
+/**
+ * Flash a hex whose ladder row just printed a big trade (STATE.tradeFlashes)
+ * Fades out over TRADE_FLASH_MS; green for taker buys, red for taker sells.
+ * Drawn over the hex body but under its price label.
+ * @param {number} x - Center x
+ * @param {number} y - Center y
+ * @param {number} size - Hexagon radius
+ * @param {number} price - Hex price (its ladder row)
+ * @returns {boolean} - True if a flash was drawn
+ */
+function drawTradeFlash(x, y, size, price) {
+    var flash = getTradeFlashTint(price);
+    if (flash === null) {
+        return false;
+    }
+    var ctx = STATE.ctx;
+    traceHexagonFlatTopPath(x, y, size);
+    ctx.fillStyle = "rgba(" + flash.rgb + ", " + flash.alpha.toFixed(3) + ")";
+    ctx.fill();
+    return true;
+}
+
+/**
+ * Trade flash color for a hex price (see drawTradeFlash)
+ * @param {number} price - Hex price (its ladder row)
+ * @returns {{rgb: string, alpha: number}|null} - null when no flash is fading on that row
+ */
+function getTradeFlashTint(price) {
+    if (STATE.tradeFlashes.length === 0) {
+        return null;
+    }
+    var nowMs = getClockMs();
+    var indexFloat = priceToLadderIndexFloat(price);
+    var lowIndex = Math.floor(indexFloat + 1e-6);
+    var highIndex = Math.ceil(indexFloat - 1e-6);
+    for (var i = STATE.tradeFlashes.length - 1; i >= 0; i--) {
+        var flash = STATE.tradeFlashes[i];
+        var fade = 1 - (nowMs - flash.startedAt) / CONFIG.TRADE_FLASH_MS;
+        if (fade <= 0 || (flash.ladderIndex !== lowIndex && flash.ladderIndex !== highIndex)) {
+            continue;
+        }
+        // Newest flash wins
+        return {
+            rgb: flash.side === "buy" ? CONFIG.DEPTH_BID_RGB : CONFIG.DEPTH_ASK_RGB,
+            alpha: CONFIG.TRADE_FLASH_MAX_ALPHA * fade
+        };
+    }
+    return null;
+}
+
+/**
+ * Pick the CONFIG.HEX_STYLES entry for a hex
+ * Priority: hit > other-user bet > user bet > passed > highlighted > normal
+ * @returns {string} - Key into CONFIG.HEX_STYLES
+ */
+function getHexVisualState(isHighlighted, isPassed, isPink, isHitByLine, isYellow) {
     if (isHitByLine) {
-        strokeColor = "#FFFFFF";    // White border for hit - very distinct
-        glowColor = "#FFD700";      // Gold glow
+        return "hit";
     } else if (isYellow) {
-        strokeColor = "#FFD700";
-        glowColor = "#FFD700";
+        return "yellow";
     } else if (isPink) {
-        strokeColor = "#A78BFA";
-        glowColor = "#8B5CF6";
+        return "pink";
     } else if (isPassed) {
-        strokeColor = "#333344";
-        glowColor = "#222233";
+        return "passed";
     } else if (isHighlighted) {
-        strokeColor = "#00FFCC";
-        glowColor = "#00FFCC";
-    } else {
-        strokeColor = "#8B5CF6";
-        glowColor = "#8B5CF6";
+        return "highlighted";
     }
+    return "normal";
+}
+
+/**
+ * Fill and glow-stroke a flat-top hexagon in a visual state (no label)
+ * @param {CanvasRenderingContext2D} ctx - Main canvas, or a cache canvas in SECTION 7B
+ * @param {number} x - Center X
+ * @param {number} y - Center Y
+ * @param {number} size - Center-to-corner radius
+ * @param {string} state - Key into CONFIG.HEX_STYLES
+ */
+function drawHexagonBody(ctx, x, y, size, state) {
+    var style = CONFIG.HEX_STYLES[state];
+    
+    traceHexagonFlatTopPath(x, y, size, ctx);
+    ctx.fillStyle = style.fill;
+    ctx.fill();
     
-    ctx.strokeStyle = strokeColor;
-    // Hit hexagons get extra thick borders (5px) for visibility
-    ctx.lineWidth = isHitByLine ? 5 : ((isHighlighted || isPink || isYellow) ? 3 : 1);
-    ctx.shadowColor = glowColor;
-    // Hit hexagons get extra strong glow (30) for visibility
-    ctx.shadowBlur = isHitByLine ? 30 : ((isHighlighted || isPink || isYellow) ? 20 : (isPassed ? 0 : 5));
+    ctx.strokeStyle = style.stroke;
+    ctx.lineWidth = style.lineWidth;
+    ctx.shadowColor = style.glow;
+    ctx.shadowBlur = style.blur;
     ctx.stroke();
     ctx.shadowBlur = 0;
-    
-    // Price text - cyber theme
-    // Hit hexagons get dark text on bright gold background
-    if (isHitByLine) {
-        ctx.fillStyle = "#000000";
-    } else if (isYellow || isPink || isHighlighted) {
-        ctx.fillStyle = "#000000";
-    } else if (isPassed) {
-        ctx.fillStyle = "#555566";
-    } else {
-        ctx.fillStyle = "#00FFCC";
-    }
+}
+
+/**
+ * Draw a hex's price label: "$" and integer part small, decimals full size
+ * @param {CanvasRenderingContext2D} ctx - Main canvas, or a cache canvas in SECTION 7B
+ * @param {number} x - Center X
+ * @param {number} y - Center Y
+ * @param {number} size - Center-to-corner radius
+ * @param {number} price - Frozen hex price
+ * @param {string} state - Key into CONFIG.HEX_STYLES
+ */
+function drawHexagonLabel(ctx, x, y, size, price, state) {
+    ctx.fillStyle = CONFIG.HEX_STYLES[state].text;
     
     // Hit hexagons get larger, bolder text for emphasis
-    var fontSize = isHitByLine ? Math.max(12, size * 0.35) : Math.max(10, size * 0.28);
+    var fontSize = state === "hit" ? Math.max(12, size * 0.35) : Math.max(10, size * 0.28);
     var smallFontSize = fontSize * 0.7; // Smaller size for $ and integer part
     
     ctx.textBaseline = "middle";
     
-    // Fixed 4 decimals for hex tile labels - ensures uniqueness and readability
-    var formattedPrice = formatPrice(price, 4);
+    // Fixed per-market decimals for hex tile labels - ensures uniqueness and readability
+    var formattedPrice = formatPrice(price, getActiveMarket().displayDecimals);
     var dotIndex = formattedPrice.indexOf(".");
     var integerPart = "$" + formattedPrice.substring(0, dotIndex);
     var decimalPart = formattedPrice.substring(dotIndex); // includes the dot and decimals
@@ -2113,6 +6057,20 @@ function drawHexagonFlatTop(x, y, size, price, isHighlighted, isPassed, isPink,
     ctx.fillText(decimalPart, startX + intWidth, y);
 }
 
+/**
+ * Draw flat-top hexagon
+ * Future hexes without a bet get the depth tint over their body.
+ */
+function drawHexagonFlatTop(x, y, size, price, isHighlighted, isPassed, isPink, isHitByLine, isYellow) {
+    var state = getHexVisualState(isHighlighted, isPassed, isPink, isHitByLine, isYellow);
+    drawHexagonBody(STATE.ctx, x, y, size, state);
+    if (!isPassed && !isPink && !isYellow) {
+        drawDepthTint(x, y, size, price);
+    }
+    drawTradeFlash(x, y, size, price);
+    drawHexagonLabel(STATE.ctx, x, y, size, price, state);
+}
+
 /**
  * Draw pointy-top hexagon (portrait mode)
  */
@@ -2122,7 +6080,7 @@ function drawHexagonFlatTop(x, y, size, price, isHighlighted, isPassed, isPink,
  */
 function drawDialogBubble(x, y, hexSize, name, timestamp, leverage) {
     var ctx = STATE.ctx;
-    var currentTime = performance.now();
+    var currentTime = getClockMs();
     var age = currentTime - timestamp;
     
     // Do not draw if older than duration + fade
@@ -2346,8 +6304,8 @@ function screenXToWorldX(screenX, lineHeadX, currentScrollX) {
  */
 function drawHexagons(chartTop, chartHeight, lineHeadX) {
     var ctx = STATE.ctx;
-    var width = STATE.canvas.width;
-    var height = STATE.canvas.height;
+    var width = STATE.canvasWidth;
+    var height = STATE.canvasHeight;
     
     // ========================================================================
     // WORLD SPACE CONSTANTS (frozen, never change with zoom)
@@ -2413,6 +6371,16 @@ function drawHexagons(chartTop, chartHeight, lineHeadX) {
     var minRow = Math.floor(minWorldY / worldRowSpacing) - 2;
     var maxRow = Math.ceil(maxWorldY / worldRowSpacing) + 2;
     
+    // WebGL draws the whole field after the loop (SECTION 7C); in 2D, plain columns
+    // come from the render cache (SECTION 7B) unless ?hexcache=0
+    var useWebGL = STATE.hexRenderer === "webgl";
+    var useHexCache = !useWebGL && STATE.hexCache.enabled;
+    var fieldCells = [];
+    if (useHexCache) {
+        ensureHexCache(minRow, maxRow);
+        var stripBottomY = worldYToScreenY(getHexStripBottomWorldY(), chartTop, chartHeight);
+    }
+    
     // ========================================================================
     // RENDER HEXES
     // ========================================================================
@@ -2429,6 +6397,7 @@ function drawHexagons(chartTop, chartHeight, lineHeadX) {
         }
         
         var isOddCol = Math.abs(worldCol) % 2 === 1;
+        var columnCells = [];
         
         for (var rowIdx = minRow; rowIdx <= maxRow; rowIdx++) {
             // ================================================================
@@ -2469,15 +6438,17 @@ function drawHexagons(chartTop, chartHeight, lineHeadX) {
             
             // Check if line passes through this hexagon using GEOMETRIC proximity
             // Uses distance-based trail history that matches hex scroll speed
-            var isHitByLine = false;
-            if (isPink && isPassed) {
+            // Hexes hit earlier stay marked, so panning back shows settled bets
+            var isHitByLine = isPink && STATE.hitHexagonsPlayed.has(hexId);
+            if (isPink && isPassed && !isHitByLine) {
                 var lineTailX = CONFIG.PADDING.left;
                 var trailWidthPx = lineHeadX - lineTailX;
                 var currentScrollX = STATE.hexScrollPosition;
                 var tailScrollX = currentScrollX - trailWidthPx;
                 
                 var t = (screenX - lineTailX) / trailWidthPx;
-                if (t >= 0 && t <= 1) {
+                // Only the live trail settles bets - the downsampled archive is for looking back
+                if (t >= 0 && t <= 1 && isLiveTrailScrollX(tailScrollX + t * trailWidthPx)) {
                     // Map screen X to scroll position
                     var sampleScrollX = tailScrollX + t * trailWidthPx;
                     var priceAtX = getPriceAtScrollX(sampleScrollX);
@@ -2490,20 +6461,8 @@ function drawHexagons(chartTop, chartHeight, lineHeadX) {
                     // Use screen hex size for hit detection
                     if (dy < screenHexSize * 0.65) {
                         isHitByLine = true;
-                        // Play ka-ching sound if this is a new hit
-                        if (!STATE.hitHexagonsPlayed.has(hexId)) {
-                            STATE.hitHexagonsPlayed.add(hexId);
-                            playKaChingSound();
-                            
-                            // TRADING: Settle bet if this hex has an active bet
-                            if (STATE.activeBets.has(hexId)) {
-                                var bet = STATE.activeBets.get(hexId);
-                                var payout = bet.amount * bet.leverage;
-                                STATE.tradingBalance += payout;
-                                STATE.activeBets.delete(hexId);
-                                updateTradingSidebarUI();
-                            }
-                        }
+                        // Ka-ching and settle the bet (once per hex)
+                        registerLineHit(hexId);
                     }
                 }
             }
@@ -2535,20 +6494,625 @@ function drawHexagons(chartTop, chartHeight, lineHeadX) {
                     worldY: hexWorldY
                 });
             }
-            
-            drawHexagonFlatTop(screenX, screenY, screenHexSize, hexPrice, false, isPassed, isPink, isHitByLine, isYellow);
+            
+            if (useWebGL || useHexCache) {
+                (useWebGL ? fieldCells : columnCells).push({
+                    x: screenX,
+                    y: screenY,
+                    size: screenHexSize,
+                    row: rowIdx,
+                    price: hexPrice,
+                    state: getHexVisualState(false, isPassed, isPink, isHitByLine, isYellow),
+                    tint: !isPassed && !isPink && !isYellow
+                });
+            } else {
+                drawHexagonFlatTop(screenX, screenY, screenHexSize, hexPrice, false, isPassed, isPink, isHitByLine, isYellow);
+            }
+        }
+        
+        if (columnCells.length > 0) {
+            drawCachedHexColumn(columnCells, isOddCol, screenX, stripBottomY);
+        }
+    }
+    
+    if (useWebGL) {
+        drawHexFieldWebGL(fieldCells);
+    }
+    
+    // Draw dialog bubbles for yellow hexagons
+    for (var j = 0; j < STATE.hexagonData.length; j++) {
+        var hex = STATE.hexagonData[j];
+        if (hex.isYellow) {
+            var bet = STATE.yellowHexagons.get(hex.hexId);
+            if (bet) {
+                drawDialogBubble(hex.x, hex.y, hex.size, bet.name, bet.timestamp, bet.leverage);
+            }
+        }
+    }
+}
+
+// ============================================================================
+// SECTION 7B: HEX RENDER CACHE (SPRITE ATLAS AND COLUMN STRIPS)
+// ============================================================================
+//
+// Stroking every hex with shadowBlur each frame is the bulk of the frame time.
+// Instead:
+// - atlas: every CONFIG.HEX_STYLES state pre-rendered once (body and glow, no label),
+//   used for the few hexes that carry a bet or a hit
+// - strips: one whole column of plain hexes with labels, for each column parity
+//   (odd columns sit half a row up) and for the normal and passed looks.
+//   Plain columns are a single drawImage each.
+// Both are rasterized at the current screen hex size and devicePixelRatio and only
+// redrawn when the ladder, zoom, DPR, orientation or market decimals change, or
+// when the visible rows leave the range the strips cover.
+
+/**
+ * Everything the cached pixels depend on, except the row range
+ * @param {number} screenHexSize
+ * @returns {string}
+ */
+function getHexCacheKey(screenHexSize) {
+    return [
+        screenHexSize, STATE.PX_PER_TICK, STATE.zoom, STATE.devicePixelRatio,
+        STATE.ANCHOR_PRICE, STATE.TICK_SIZE, getActiveMarket().displayDecimals, isPortraitMode()
+    ].join("|");
+}
+
+/**
+ * Room to leave around a hex so its border and glow are not cut off
+ * @param {string} state - Key into CONFIG.HEX_STYLES
+ * @returns {number} - CSS px
+ */
+function getHexGlowPad(state) {
+    var style = CONFIG.HEX_STYLES[state];
+    return style.blur * 1.5 + style.lineWidth;
+}
+
+/**
+ * Canvas that is never shown: an element on the page, an OffscreenCanvas in the render worker
+ * @param {number} width - Backing store size in device pixels
+ * @param {number} height
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+function createScratchCanvas(width, height) {
+    if (typeof document === "undefined") {
+        return new OffscreenCanvas(width, height);
+    }
+    var canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * Offscreen canvas sized in CSS px, with a backing store at the current DPR
+ * @param {number} cssWidth
+ * @param {number} cssHeight
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+function createHexCacheCanvas(cssWidth, cssHeight) {
+    var dpr = STATE.devicePixelRatio;
+    var canvas = createScratchCanvas(Math.ceil(cssWidth * dpr), Math.ceil(cssHeight * dpr));
+    canvas.getContext("2d").setTransform(dpr, 0, 0, dpr, 0, 0);
+    return canvas;
+}
+
+/**
+ * World Y of the lowest row the strips cover (their price-axis origin)
+ * @returns {number}
+ */
+function getHexStripBottomWorldY() {
+    return STATE.PX_PER_TICK * STATE.hexCache.minRow;
+}
+
+/**
+ * Make sure the atlas and strips match the current geometry and cover the given rows
+ * @param {number} minRow - Lowest ladder row drawn this frame
+ * @param {number} maxRow - Highest ladder row drawn this frame
+ */
+function ensureHexCache(minRow, maxRow) {
+    var cache = STATE.hexCache;
+    var screenHexSize = STATE.WORLD_HEX_SIZE * STATE.zoom;
+    var key = getHexCacheKey(screenHexSize);
+    if (key !== cache.key) {
+        cache.key = key;
+        cache.dpr = STATE.devicePixelRatio;
+        cache.minRow = Infinity;
+        cache.maxRow = -Infinity;
+        renderHexSpriteAtlas(screenHexSize);
+        logDebug("Hex cache rasterized for size=" + screenHexSize.toFixed(1) + " dpr=" + cache.dpr);
+    }
+    if (minRow < cache.minRow || maxRow > cache.maxRow) {
+        cache.minRow = minRow - CONFIG.HEX_CACHE.rowMargin;
+        cache.maxRow = maxRow + CONFIG.HEX_CACHE.rowMargin;
+        renderHexStrips(screenHexSize);
+        cache.rebuilds++;
+    }
+}
+
+/**
+ * Draw every hex style into one atlas canvas, one square cell per state
+ * @param {number} size - Screen hex size
+ */
+function renderHexSpriteAtlas(size) {
+    var cache = STATE.hexCache;
+    var states = Object.keys(CONFIG.HEX_STYLES);
+    var pad = 0;
+    for (var i = 0; i < states.length; i++) {
+        pad = Math.max(pad, getHexGlowPad(states[i]));
+    }
+    var cell = Math.ceil(2 * (size + pad));
+    var atlas = createHexCacheCanvas(cell * states.length, cell);
+    var atlasCtx = atlas.getContext("2d");
+    
+    cache.atlasIndex = {};
+    for (var j = 0; j < states.length; j++) {
+        drawHexagonBody(atlasCtx, cell * j + cell / 2, cell / 2, size, states[j]);
+        cache.atlasIndex[states[j]] = j;
+    }
+    cache.atlas = atlas;
+    cache.atlasCell = cell;
+}
+
+/**
+ * Draw one column of plain labeled hexes per column parity and per "normal"/"passed"
+ * look, covering rows STATE.hexCache.minRow..maxRow along the price axis
+ * (vertical strip in landscape, horizontal in portrait; higher prices up / right)
+ * @param {number} size - Screen hex size
+ */
+function renderHexStrips(size) {
+    var cache = STATE.hexCache;
+    var portrait = isPortraitMode();
+    var rowSpacing = STATE.PX_PER_TICK;
+    var bottomWorldY = getHexStripBottomWorldY();
+    var topWorldY = rowSpacing * (cache.maxRow + 0.5);
+    var states = ["normal", "passed"];
+    
+    cache.strips = {};
+    for (var parity = 0; parity < 2; parity++) {
+        for (var i = 0; i < states.length; i++) {
+            var margin = size + getHexGlowPad(states[i]);
+            var length = (topWorldY - bottomWorldY) * STATE.zoom + 2 * margin;
+            var strip = portrait ? createHexCacheCanvas(length, 2 * margin) : createHexCacheCanvas(2 * margin, length);
+            var stripCtx = strip.getContext("2d");
+            
+            for (var row = cache.minRow; row <= cache.maxRow; row++) {
+                var worldY = rowSpacing * (row + parity * 0.5);
+                // Distance along the price axis from the strip's low-price end
+                var u = (worldY - bottomWorldY) * STATE.zoom + margin;
+                var x = portrait ? u : margin;
+                var y = portrait ? margin : length - u;
+                drawHexagonBody(stripCtx, x, y, size, states[i]);
+                drawHexagonLabel(stripCtx, x, y, size, worldYToPrice(worldY), states[i]);
+            }
+            cache.strips[(parity ? "odd_" : "even_") + states[i]] = { canvas: strip, margin: margin, length: length };
+        }
+    }
+}
+
+/**
+ * Blit a hex sprite from the atlas, centered on (x, y)
+ * @param {number} x
+ * @param {number} y
+ * @param {string} state - Key into CONFIG.HEX_STYLES
+ */
+function drawHexSprite(x, y, state) {
+    var cache = STATE.hexCache;
+    var cell = cache.atlasCell;
+    var dpr = cache.dpr;
+    STATE.ctx.drawImage(cache.atlas, cache.atlasIndex[state] * cell * dpr, 0, cell * dpr, cell * dpr,
+        x - cell / 2, y - cell / 2, cell, cell);
+}
+
+/**
+ * Blit the part of a cached strip covering rows firstRow..lastRow
+ * @param {boolean} isOddCol
+ * @param {string} state - "normal" or "passed"
+ * @param {number} timeAt - Column position on the time axis (screen X landscape, screen Y portrait)
+ * @param {number} bottomAt - Screen position of getHexStripBottomWorldY() on the price axis
+ * @param {number} firstRow - Lowest visible row in this column
+ * @param {number} lastRow - Highest visible row in this column
+ */
+function drawHexStripRows(isOddCol, state, timeAt, bottomAt, firstRow, lastRow) {
+    var cache = STATE.hexCache;
+    var strip = cache.strips[(isOddCol ? "odd_" : "even_") + state];
+    var margin = strip.margin;
+    var stagger = isOddCol ? 0.5 : 0;
+    var bottomWorldY = getHexStripBottomWorldY();
+    var dpr = cache.dpr;
+    
+    // Price-axis span of the visible rows (hex plus glow), clamped to the strip
+    var u0 = Math.max(0, (STATE.PX_PER_TICK * (firstRow + stagger) - bottomWorldY) * STATE.zoom);
+    var u1 = Math.min(strip.length, (STATE.PX_PER_TICK * (lastRow + stagger) - bottomWorldY) * STATE.zoom + 2 * margin);
+    var span = u1 - u0;
+    if (span <= 0) {
+        return;
+    }
+    
+    if (isPortraitMode()) {
+        // Higher prices to the right: strip x = u, bottomAt is the screen X of u = margin
+        STATE.ctx.drawImage(strip.canvas, u0 * dpr, 0, span * dpr, 2 * margin * dpr,
+            bottomAt - margin + u0, timeAt - margin, span, 2 * margin);
+    } else {
+        // Higher prices up: strip y = length - u, bottomAt is the screen Y of u = margin
+        STATE.ctx.drawImage(strip.canvas, 0, (strip.length - u1) * dpr, 2 * margin * dpr, span * dpr,
+            timeAt - margin, bottomAt + margin - u1, 2 * margin, span);
+    }
+}
+
+/**
+ * Draw one column of hexes from the cache
+ * Columns of plain hexes (all "normal" or all "passed") are one strip blit;
+ * a column holding a bet or hit draws each hex from the atlas with a live label.
+ * Depth tints and trade flashes go between the hex and its label, as in the direct
+ * path - a tinted or flashed hex in a strip gets its baked label drawn again over them.
+ * @param {Array<Object>} cells - {x, y, size, row, price, state, tint} for the visible hexes, low row first
+ * @param {boolean} isOddCol
+ * @param {number} timeAt - Column position on the time axis (screen X landscape, screen Y portrait)
+ * @param {number} bottomAt - Screen position of getHexStripBottomWorldY() on the price axis
+ */
+function drawCachedHexColumn(cells, isOddCol, timeAt, bottomAt) {
+    var ctx = STATE.ctx;
+    var plainState = cells[0].state;
+    var i;
+    
+    ctx.shadowBlur = 0; // Glow is baked into the cached pixels
+    for (i = 0; i < cells.length; i++) {
+        if (cells[i].state !== plainState || (plainState !== "normal" && plainState !== "passed")) {
+            plainState = null;
+        }
+    }
+    
+    if (plainState !== null) {
+        drawHexStripRows(isOddCol, plainState, timeAt, bottomAt, cells[0].row, cells[cells.length - 1].row);
+        for (i = 0; i < cells.length; i++) {
+            var isTinted = cells[i].tint && drawDepthTint(cells[i].x, cells[i].y, cells[i].size, cells[i].price);
+            var isFlashed = drawTradeFlash(cells[i].x, cells[i].y, cells[i].size, cells[i].price);
+            if (isTinted || isFlashed) {
+                drawHexagonLabel(ctx, cells[i].x, cells[i].y, cells[i].size, cells[i].price, cells[i].state);
+            }
+        }
+    } else {
+        for (i = 0; i < cells.length; i++) {
+            drawHexSprite(cells[i].x, cells[i].y, cells[i].state);
+            if (cells[i].tint) {
+                drawDepthTint(cells[i].x, cells[i].y, cells[i].size, cells[i].price);
+            }
+            drawTradeFlash(cells[i].x, cells[i].y, cells[i].size, cells[i].price);
+            drawHexagonLabel(ctx, cells[i].x, cells[i].y, cells[i].size, cells[i].price, cells[i].state);
+        }
+    }
+}
+
+// ============================================================================
+// SECTION 7C: WEBGL HEX RENDERER
+// ============================================================================
+//
+// Alternative backend for the hex board: drawHexagons()/drawHexagonsPortrait() still
+// decide which hexes exist and what state they are in, then hand the whole field to
+// drawHexFieldWebGL(). That draws it with one instanced call on an offscreen WebGL
+// canvas - a unit quad per hex, with the hex shape, border and glow computed in the
+// fragment shader from a signed distance - and blits the result into STATE.ctx, so
+// everything else still layers exactly as in 2D. Price labels stay 2D text.
+// Per-instance attributes: center, CONFIG.HEX_STYLES state index, depth tint and trade flash.
+
+/**
+ * Parse "#RRGGBB", "rgb(r, g, b)" or "rgba(r, g, b, a)" into [r, g, b, a] in 0..1
+ * @param {string} color
+ * @returns {Array<number>}
+ */
+function parseCssColor(color) {
+    if (color.charAt(0) === "#") {
+        var value = parseInt(color.substring(1), 16);
+        return [(value >> 16 & 255) / 255, (value >> 8 & 255) / 255, (value & 255) / 255, 1];
+    }
+    var parts = color.substring(color.indexOf("(") + 1, color.indexOf(")")).split(",");
+    return [
+        parseFloat(parts[0]) / 255,
+        parseFloat(parts[1]) / 255,
+        parseFloat(parts[2]) / 255,
+        parts.length > 3 ? parseFloat(parts[3]) : 1
+    ];
+}
+
+/**
+ * Vertex shader: places each instance's quad and looks up its style
+ * (uniform arrays may only be indexed dynamically in the vertex stage in GLSL ES 1.00)
+ * @param {number} styleCount - Number of CONFIG.HEX_STYLES entries
+ * @returns {string}
+ */
+function getHexGLVertexSource(styleCount) {
+    return [
+        "#define STYLE_COUNT " + styleCount,
+        "attribute vec2 a_corner;",         // Unit quad corner, -1..1
+        "attribute vec2 a_center;",         // Hex center in CSS px
+        "attribute float a_state;",         // Index into the style arrays
+        "attribute vec4 a_tint;",           // Depth heatmap color over the hex body
+        "attribute vec4 a_flash;",          // Trade flash color over the hex
+        "uniform vec2 u_resolution;",       // Canvas size in CSS px
+        "uniform float u_size;",            // Screen hex size (center to corner)
+        "uniform vec4 u_fill[STYLE_COUNT];",
+        "uniform vec4 u_stroke[STYLE_COUNT];",
+        "uniform vec4 u_glow[STYLE_COUNT];",
+        "uniform vec2 u_line[STYLE_COUNT];", // (lineWidth, blur)
+        "varying vec2 v_local;",
+        "varying vec4 v_fill;",
+        "varying vec4 v_stroke;",
+        "varying vec4 v_glow;",
+        "varying vec3 v_line;",             // (lineWidth, blur, hex size) - the size rides along so
+        "varying vec4 v_tint;",             // no uniform is shared across stages at different precisions
+        "varying vec4 v_flash;",
+        "void main() {",
+        "    int s = int(a_state + 0.5);",
+        "    v_fill = u_fill[s];",
+        "    v_stroke = u_stroke[s];",
+        "    v_glow = u_glow[s];",
+        "    v_line = vec3(u_line[s], u_size);",
+        "    v_tint = a_tint;",
+        "    v_flash = a_flash;",
+        // Same room for the glow as the 2D cache (getHexGlowPad)
+        "    float extent = u_size + v_line.y * 1.5 + v_line.x;",
+        "    v_local = a_corner * extent;",
+        "    vec2 clip = (a_center + v_local) / u_resolution * 2.0 - 1.0;",
+        "    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);",
+        "}"
+    ].join("\n");
+}
+
+/**
+ * Fragment shader: flat-top hexagon from a signed distance, composited in
+ * premultiplied alpha like the 2D path draws it - fill, glow, border, tint, flash.
+ * The glow is the border line convolved with a Gaussian of sigma = blur / 2
+ * (what canvas shadowBlur approximates), so no blur pass is needed.
+ * @returns {string}
+ */
+function getHexGLFragmentSource() {
+    return [
+        "precision mediump float;",
+        "uniform float u_pixel;",           // One device pixel in CSS px (antialiasing width)
+        "varying vec2 v_local;",
+        "varying vec4 v_fill;",
+        "varying vec4 v_stroke;",
+        "varying vec4 v_glow;",
+        "varying vec3 v_line;",
+        "varying vec4 v_tint;",
+        "varying vec4 v_flash;",
+        // Exact distance to a flat-top hexagon with apothem r (negative inside)
+        "float hexDistance(vec2 p, float r) {",
+        "    const vec3 k = vec3(-0.866025404, 0.5, 0.577350269);",
+        "    p = abs(p);",
+        "    p -= 2.0 * min(dot(k.xy, p), 0.0) * k.xy;",
+        "    p -= vec2(clamp(p.x, -k.z * r, k.z * r), r);",
+        "    return length(p) * sign(p.y);",
+        "}",
+        "vec4 premul(vec4 c) { return vec4(c.rgb * c.a, c.a); }",
+        "vec4 over(vec4 src, vec4 dst) { return src + dst * (1.0 - src.a); }",
+        "void main() {",
+        "    float d = hexDistance(v_local, v_line.z * 0.866025404);",
+        "    float inside = 1.0 - smoothstep(-0.5 * u_pixel, 0.5 * u_pixel, d);",
+        "    vec4 color = premul(v_fill) * inside;",
+        "    float edge = abs(d);",
+        "    if (v_line.y > 0.0) {",
+        "        float sigma = v_line.y * 0.5;",
+        "        float glow = min(1.0, v_line.x / (sigma * 2.5066)) * exp(-(edge * edge) / (2.0 * sigma * sigma));",
+        "        color = over(premul(vec4(v_glow.rgb, v_glow.a * glow)), color);",
+        "    }",
+        "    float halfLine = v_line.x * 0.5;",
+        "    float stroke = 1.0 - smoothstep(halfLine - 0.5 * u_pixel, halfLine + 0.5 * u_pixel, edge);",
+        "    color = over(premul(v_stroke) * stroke, color);",
+        "    color = over(premul(v_tint) * inside, color);",
+        "    color = over(premul(v_flash) * inside, color);",
+        "    gl_FragColor = color;",
+        "}"
+    ].join("\n");
+}
+
+/**
+ * Compile one shader stage
+ * @param {WebGLRenderingContext} gl
+ * @param {number} type - gl.VERTEX_SHADER or gl.FRAGMENT_SHADER
+ * @param {string} source
+ * @returns {WebGLShader}
+ */
+function compileHexGLShader(gl, type, source) {
+    var shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error("Hex shader compile failed: " + gl.getShaderInfoLog(shader));
+    }
+    return shader;
+}
+
+/**
+ * Set up the WebGL backend: offscreen canvas, program, buffers and style uniforms
+ * Uses WebGL2, or WebGL1 with ANGLE_instanced_arrays.
+ * @returns {boolean} - False if WebGL or instancing is unavailable (caller falls back to 2D)
+ */
+function initHexWebGL() {
+    var hexGL = STATE.hexGL;
+    var canvas = createScratchCanvas(STATE.canvas.width, STATE.canvas.height);
+    var options = { alpha: true, premultipliedAlpha: true, antialias: false };
+    var gl = null;
+    try {
+        gl = canvas.getContext("webgl2", options) || canvas.getContext("webgl", options);
+    } catch (err) {
+        gl = null;
+    }
+    if (!gl) {
+        return false;
+    }
+    
+    if (typeof gl.drawArraysInstanced === "function") {
+        hexGL.drawInstanced = gl.drawArraysInstanced.bind(gl);
+        hexGL.attribDivisor = gl.vertexAttribDivisor.bind(gl);
+    } else {
+        var ext = gl.getExtension("ANGLE_instanced_arrays");
+        if (!ext) {
+            return false;
         }
+        hexGL.drawInstanced = ext.drawArraysInstancedANGLE.bind(ext);
+        hexGL.attribDivisor = ext.vertexAttribDivisorANGLE.bind(ext);
     }
     
-    // Draw dialog bubbles for yellow hexagons
-    for (var j = 0; j < STATE.hexagonData.length; j++) {
-        var hex = STATE.hexagonData[j];
-        if (hex.isYellow) {
-            var bet = STATE.yellowHexagons.get(hex.hexId);
-            if (bet) {
-                drawDialogBubble(hex.x, hex.y, hex.size, bet.name, bet.timestamp, bet.leverage);
-            }
+    var states = Object.keys(CONFIG.HEX_STYLES);
+    var program;
+    try {
+        program = gl.createProgram();
+        gl.attachShader(program, compileHexGLShader(gl, gl.VERTEX_SHADER, getHexGLVertexSource(states.length)));
+        gl.attachShader(program, compileHexGLShader(gl, gl.FRAGMENT_SHADER, getHexGLFragmentSource()));
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error("Hex shader link failed: " + gl.getProgramInfoLog(program));
+        }
+    } catch (err) {
+        logDebug(err.message);
+        return false;
+    }
+    gl.useProgram(program);
+    
+    ["a_corner", "a_center", "a_state", "a_tint", "a_flash"].forEach(function(name) {
+        hexGL.attribs[name] = gl.getAttribLocation(program, name);
+    });
+    ["u_resolution", "u_size", "u_pixel", "u_fill", "u_stroke", "u_glow", "u_line"].forEach(function(name) {
+        hexGL.uniforms[name] = gl.getUniformLocation(program, name);
+    });
+    
+    // Styles never change at runtime, so they are uploaded once, in Object.keys order
+    var fills = [];
+    var strokes = [];
+    var glows = [];
+    var lines = [];
+    hexGL.styleIndex = {};
+    for (var i = 0; i < states.length; i++) {
+        var style = CONFIG.HEX_STYLES[states[i]];
+        hexGL.styleIndex[states[i]] = i;
+        fills = fills.concat(parseCssColor(style.fill));
+        strokes = strokes.concat(parseCssColor(style.stroke));
+        glows = glows.concat(parseCssColor(style.glow));
+        lines.push(style.lineWidth, style.blur);
+    }
+    gl.uniform4fv(hexGL.uniforms.u_fill, new Float32Array(fills));
+    gl.uniform4fv(hexGL.uniforms.u_stroke, new Float32Array(strokes));
+    gl.uniform4fv(hexGL.uniforms.u_glow, new Float32Array(glows));
+    gl.uniform2fv(hexGL.uniforms.u_line, new Float32Array(lines));
+    
+    hexGL.cornerBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, hexGL.cornerBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]), gl.STATIC_DRAW);
+    gl.enableVertexAttribArray(hexGL.attribs.a_corner);
+    gl.vertexAttribPointer(hexGL.attribs.a_corner, 2, gl.FLOAT, false, 0, 0);
+    
+    // Instance layout: center (2), state (1), tint (4), flash (4)
+    hexGL.instanceBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, hexGL.instanceBuffer);
+    var stride = 11 * 4;
+    var layout = [["a_center", 2, 0], ["a_state", 1, 2], ["a_tint", 4, 3], ["a_flash", 4, 7]];
+    for (var j = 0; j < layout.length; j++) {
+        var location = hexGL.attribs[layout[j][0]];
+        gl.enableVertexAttribArray(location);
+        gl.vertexAttribPointer(location, layout[j][1], gl.FLOAT, false, stride, layout[j][2] * 4);
+        hexGL.attribDivisor(location, 1);
+    }
+    hexGL.instanceData = new Float32Array(11 * 256);
+    
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    
+    canvas.addEventListener("webglcontextlost", handleHexGLContextLost);
+    hexGL.canvas = canvas;
+    hexGL.gl = gl;
+    hexGL.program = program;
+    return true;
+}
+
+/**
+ * WebGL context lost (GPU reset, too many contexts): continue on the 2D path
+ */
+function handleHexGLContextLost() {
+    STATE.hexRenderer = "2d";
+    logDebug("Hex WebGL context lost, using the 2D renderer");
+}
+
+/**
+ * Choose the hex board backend from CONFIG.HEX_RENDERER / ?renderer=
+ * @param {string} [wanted] - Backend to try instead (the render worker gets the page's choice)
+ */
+function initHexRenderer(wanted) {
+    wanted = wanted || getUrlParam("renderer") || CONFIG.HEX_RENDERER;
+    STATE.hexRenderer = wanted === "webgl" && initHexWebGL() ? "webgl" : "2d";
+    logDebug("Hex renderer: " + STATE.hexRenderer + (wanted !== STATE.hexRenderer ? " (" + wanted + " unavailable)" : ""));
+}
+
+/**
+ * Parsed color for a depth tint or trade flash - only a few distinct ones exist, so each is parsed once
+ * @param {string} rgb - "r, g, b" (CONFIG.DEPTH_BID_RGB / DEPTH_ASK_RGB)
+ * @returns {Array<number>} - [r, g, b, a] in 0..1
+ */
+function getHexGLColor(rgb) {
+    var colors = STATE.hexGL.colors;
+    if (!(rgb in colors)) {
+        colors[rgb] = parseCssColor("rgb(" + rgb + ")");
+    }
+    return colors[rgb];
+}
+
+/**
+ * Draw the hex field with WebGL and blit it into the 2D canvas, then the labels on top
+ * @param {Array<Object>} cells - {x, y, size, price, state, tint} in draw order
+ */
+function drawHexFieldWebGL(cells) {
+    var hexGL = STATE.hexGL;
+    var gl = hexGL.gl;
+    var width = STATE.canvas.width;
+    var height = STATE.canvas.height;
+    if (cells.length === 0) {
+        return;
+    }
+    
+    if (hexGL.canvas.width !== width || hexGL.canvas.height !== height) {
+        hexGL.canvas.width = width;
+        hexGL.canvas.height = height;
+    }
+    
+    var stride = 11;
+    if (hexGL.instanceData.length < cells.length * stride) {
+        hexGL.instanceData = new Float32Array(cells.length * stride * 2);
+    }
+    var data = hexGL.instanceData;
+    for (var i = 0; i < cells.length; i++) {
+        var cell = cells[i];
+        var offset = i * stride;
+        var tint = cell.tint ? getDepthTint(cell.price) : null;
+        var flash = getTradeFlashTint(cell.price);
+        var tintColor = tint !== null ? getHexGLColor(tint.rgb) : null;
+        var flashColor = flash !== null ? getHexGLColor(flash.rgb) : null;
+        data[offset] = cell.x;
+        data[offset + 1] = cell.y;
+        data[offset + 2] = hexGL.styleIndex[cell.state];
+        for (var c = 0; c < 3; c++) {
+            data[offset + 3 + c] = tintColor !== null ? tintColor[c] : 0;
+            data[offset + 7 + c] = flashColor !== null ? flashColor[c] : 0;
         }
+        data[offset + 6] = tint !== null ? tint.alpha : 0;
+        data[offset + 10] = flash !== null ? flash.alpha : 0;
+    }
+    
+    gl.viewport(0, 0, width, height);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.uniform2f(hexGL.uniforms.u_resolution, STATE.canvasWidth, STATE.canvasHeight);
+    gl.uniform1f(hexGL.uniforms.u_size, cells[0].size);
+    gl.uniform1f(hexGL.uniforms.u_pixel, 1 / STATE.devicePixelRatio);
+    gl.bindBuffer(gl.ARRAY_BUFFER, hexGL.instanceBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, data.subarray(0, cells.length * stride), gl.DYNAMIC_DRAW);
+    hexGL.drawInstanced(gl.TRIANGLES, 0, 6, cells.length);
+    
+    var ctx = STATE.ctx;
+    ctx.shadowBlur = 0;
+    ctx.drawImage(hexGL.canvas, 0, 0, STATE.canvasWidth, STATE.canvasHeight);
+    for (var j = 0; j < cells.length; j++) {
+        drawHexagonLabel(ctx, cells[j].x, cells[j].y, cells[j].size, cells[j].price, cells[j].state);
     }
 }
 
@@ -2563,13 +7127,29 @@ function drawHexagons(chartTop, chartHeight, lineHeadX) {
  * stored in screen coordinates in STATE.hexagonData
  */
 function handleCanvasClick(e) {
-    var rect = STATE.canvas.getBoundingClientRect();
-    // Scale click coordinates from CSS visual space to canvas internal space
-    // This accounts for the sidebar causing a mismatch between CSS width and canvas.width
-    var scaleX = STATE.canvas.width / rect.width;
-    var scaleY = STATE.canvas.height / rect.height;
-    var clickX = (e.clientX - rect.left) * scaleX;
-    var clickY = (e.clientY - rect.top) * scaleY;
+    var point = clientToCanvasPoint(e.clientX, e.clientY);
+    
+    if (STATE.renderWorker.active) {
+        // The board is laid out in the render worker - the hit test comes back as a "hit" message
+        postRenderWorkerClick(point.x, point.y);
+        return;
+    }
+    applyCanvasHit(getCanvasHitTarget(point.x, point.y));
+}
+
+/**
+ * What a tap at a canvas point lands on
+ * @param {number} clickX - Canvas pixels
+ * @param {number} clickY
+ * @returns {Object|null} - {kind: "stats"}, {kind: "hex", hexId, hexPrice, isYellow} or null
+ */
+function getCanvasHitTarget(clickX, clickY) {
+    // The 24h stats strip sits over the top of the chart - a tap there is not a bet
+    var statsRect = STATE.marketStatsTapRect;
+    if (statsRect !== null && clickX >= statsRect.x && clickX <= statsRect.x + statsRect.width &&
+        clickY >= statsRect.y && clickY <= statsRect.y + statsRect.height) {
+        return { kind: "stats" };
+    }
     
     var closestHex = null;
     var closestDistance = Infinity;
@@ -2592,37 +7172,210 @@ function handleCanvasClick(e) {
         }
     }
     
-    if (closestHex && closestDistance < closestHex.size * 0.95) {
-        // Store with hexId which now includes absolute ladder index
-        // This ensures bets are valid regardless of zoom or drift
-        if (STATE.yellowHexagons.has(closestHex.hexId)) {
-            STATE.yellowHexagons.delete(closestHex.hexId);
-            STATE.pinkHexagons.add(closestHex.hexId);
-        } else if (STATE.pinkHexagons.has(closestHex.hexId)) {
-            STATE.pinkHexagons.delete(closestHex.hexId);
-            // Also remove any active bet if user un-selects
-            STATE.activeBets.delete(closestHex.hexId);
+    if (closestHex === null) {
+        return null;
+    }
+    return {
+        kind: "hex",
+        hexId: closestHex.hexId,
+        hexPrice: closestHex.hexPrice,
+        isYellow: STATE.yellowHexagons.has(closestHex.hexId)
+    };
+}
+
+/**
+ * Act on a tap from getCanvasHitTarget(): toggle the stats strip, or take over
+ * another user's hex, remove a bet or place one
+ * @param {Object|null} target
+ */
+function applyCanvasHit(target) {
+    if (target === null) {
+        return;
+    }
+    if (target.kind === "stats") {
+        STATE.marketStatsExpanded = !STATE.marketStatsExpanded;
+        if (STATE.marketStatsExpanded) {
+            refreshMarketStats();
+        }
+        return;
+    }
+    
+    // Store with hexId which now includes absolute ladder index
+    // This ensures bets are valid regardless of zoom or drift
+    if (target.isYellow) {
+        STATE.yellowHexagons.delete(target.hexId);
+        STATE.pinkHexagons.add(target.hexId);
+        markRenderSyncMutated("pinkHexagons");
+    } else if (STATE.pinkHexagons.has(target.hexId)) {
+        STATE.pinkHexagons.delete(target.hexId);
+        markRenderSyncMutated("pinkHexagons");
+        // Also remove any active bet if user un-selects
+        STATE.activeBets.delete(target.hexId);
+        updateTradingSidebarUI();
+    } else {
+        // NEW: Place a bet when clicking a hex
+        if (STATE.tradingBalance >= STATE.tradingBetAmount) {
+            // Deduct bet amount from balance
+            STATE.tradingBalance -= STATE.tradingBetAmount;
+            // Record active bet with current leverage
+            // Reference mode is kept on the bet so its settlement can be audited
+            STATE.activeBets.set(target.hexId, {
+                amount: STATE.tradingBetAmount,
+                leverage: STATE.tradingLeverage,
+                hexPrice: target.hexPrice,
+                referenceMode: STATE.referenceMode,
+                referenceModeInUse: STATE.referenceModeInUse,
+                placedAt: Date.now()
+            });
+            STATE.pinkHexagons.add(target.hexId);
+            markRenderSyncMutated("pinkHexagons");
             updateTradingSidebarUI();
         } else {
-            // NEW: Place a bet when clicking a hex
-            if (STATE.tradingBalance >= STATE.tradingBetAmount) {
-                // Deduct bet amount from balance
-                STATE.tradingBalance -= STATE.tradingBetAmount;
-                // Record active bet with current leverage
-                STATE.activeBets.set(closestHex.hexId, {
-                    amount: STATE.tradingBetAmount,
-                    leverage: STATE.tradingLeverage
-                });
-                STATE.pinkHexagons.add(closestHex.hexId);
-                updateTradingSidebarUI();
-            } else {
-                // Show insufficient balance message
-                showInsufficientBalance();
-            }
+            // Show insufficient balance message
+            showInsufficientBalance();
         }
     }
 }
 
+/**
+ * The price line reached a pink hex: ka-ching and settle its bet, once per hex
+ * The render worker only marks it and posts a "hexHit" - the page holds the bets and audio
+ * @param {string} hexId
+ */
+function registerLineHit(hexId) {
+    if (STATE.hitHexagonsPlayed.has(hexId)) {
+        return;
+    }
+    STATE.hitHexagonsPlayed.add(hexId);
+    markRenderSyncMutated("hitHexagonsPlayed");
+    if (STATE.renderWorker.inWorker) {
+        self.postMessage({ type: "hexHit", hexId: hexId });
+        return;
+    }
+    playKaChingSound();
+    
+    // TRADING: Settle bet if this hex has an active bet
+    settleBetForHex(hexId);
+}
+
+/**
+ * Pay out the active bet on a hex the price line just hit, if any,
+ * and append it to STATE.settlementLog
+ * @param {string} hexId
+ */
+function settleBetForHex(hexId) {
+    var bet = STATE.activeBets.get(hexId);
+    if (!bet) {
+        return;
+    }
+    var payout = bet.amount * bet.leverage;
+    STATE.tradingBalance += payout;
+    STATE.activeBets.delete(hexId);
+    
+    STATE.settlementLog.push({
+        market: STATE.activeMarketSymbol,
+        hexId: hexId,
+        hexPrice: bet.hexPrice,
+        amount: bet.amount,
+        leverage: bet.leverage,
+        payout: payout,
+        placedAt: bet.placedAt,
+        settledAt: Date.now(),
+        referenceMode: bet.referenceMode,                  // Mode selected when the bet was placed
+        placedReferenceModeInUse: bet.referenceModeInUse,  // Mode driving the line at placement (after fallback)
+        settledReferenceModeInUse: STATE.referenceModeInUse,
+        oracleBasisBps: STATE.oracleBasisBps,               // Mark/oracle basis at settlement (null without an oracle)
+        oracleDiverged: isOracleDiverged()
+    });
+    if (STATE.settlementLog.length > CONFIG.SETTLEMENT_LOG_MAX) {
+        STATE.settlementLog.shift();
+    }
+    saveSettlementLog();
+    logDebug("Settled " + hexId + " +$" + payout.toFixed(2) + " ref=" + bet.referenceMode + "/" + STATE.referenceModeInUse +
+        (isOracleDiverged() ? " DIVERGED basis=" + STATE.oracleBasisBps.toFixed(1) + "bp" : ""));
+    updateTradingSidebarUI();
+}
+
+/**
+ * Restore the settlement log saved by an earlier session (newest SETTLEMENT_LOG_MAX entries)
+ */
+function loadSettlementLog() {
+    var saved = [];
+    try {
+        saved = JSON.parse(window.localStorage.getItem(CONFIG.SETTLEMENT_LOG_STORAGE_KEY)) || [];
+    } catch (err) {
+        logDebug("Settlement log: saved copy unreadable (" + err.message + ")");
+    }
+    if (Array.isArray(saved)) {
+        STATE.settlementLog = saved.slice(-CONFIG.SETTLEMENT_LOG_MAX);
+    }
+}
+
+/**
+ * Save the settlement log (private browsing can refuse - the in-memory log keeps working)
+ */
+function saveSettlementLog() {
+    try {
+        window.localStorage.setItem(CONFIG.SETTLEMENT_LOG_STORAGE_KEY, JSON.stringify(STATE.settlementLog));
+    } catch (err) {
+        logDebug("Settlement log: not saved (" + err.message + ")");
+    }
+}
+
+/**
+ * Download the settlement log as NDJSON, one settled bet per line (oldest first)
+ */
+function exportSettlementLog() {
+    var log = STATE.settlementLog;
+    if (log.length === 0) {
+        logDebug("Settlement log: nothing to export");
+        return;
+    }
+    var lines = log.map(function(entry) {
+        return JSON.stringify(entry);
+    });
+    var blob = new Blob([lines.join("\n") + "\n"], { type: "application/x-ndjson" });
+    var stamp = new Date(log[0].settledAt).toISOString().replace(/[:.]/g, "-");
+    downloadBlob(blob, "instinctfi-settlements-" + stamp + ".ndjson");
+    logDebug("Settlement log: exported " + log.length + " bets");
+}
+
+/**
+ * Prepend a trade to the sidebar tape, dropping rows past TRADE_TAPE_VISIBLE
+ * @param {Object} trade - Normalized trade
+ */
+function addTradeTapeRow(trade) {
+    var tape = STATE.tradeTapeEl;
+    if (!tape) return;
+    
+    var market = getActiveMarket();
+    var row = document.createElement("div");
+    row.className = "trade-row " + trade.side;
+    var priceEl = document.createElement("span");
+    priceEl.textContent = formatPrice(trade.price, market.displayDecimals);
+    var sizeEl = document.createElement("span");
+    sizeEl.textContent = trade.size >= 100 ? trade.size.toFixed(0) : trade.size.toFixed(2);
+    row.appendChild(priceEl);
+    row.appendChild(sizeEl);
+    if (trade.price * trade.size >= CONFIG.TRADE_BIG_PRINT_USD) {
+        row.className += " big";
+    }
+    
+    tape.insertBefore(row, tape.firstChild);
+    while (tape.children.length > CONFIG.TRADE_TAPE_VISIBLE) {
+        tape.removeChild(tape.lastChild);
+    }
+}
+
+/**
+ * Empty the sidebar tape (market switch)
+ */
+function clearTradeTapeUI() {
+    if (STATE.tradeTapeEl) {
+        STATE.tradeTapeEl.textContent = "";
+    }
+}
+
 /**
  * Update the trading sidebar UI elements
  */
@@ -2669,6 +7422,8 @@ function showInsufficientBalance() {
  * Initialize trading sidebar controls
  */
 function initTradingSidebar() {
+    loadSettlementLog();
+    
     var decreaseBtn = document.getElementById("bet-decrease");
     var increaseBtn = document.getElementById("bet-increase");
     var leverageBtns = document.querySelectorAll(".leverage-btn");
@@ -2712,6 +7467,7 @@ function initTradingSidebar() {
 
 /**
  * Handle two-finger touch start for viewport scrolling
+ * A single finger may instead be a long-press for the crosshair inspector
  */
 function handleTouchStart(e) {
     STATE.activeTouches = [];
@@ -2732,12 +7488,22 @@ function handleTouchStart(e) {
     } else {
         STATE.isTwoFingerDragging = false;
     }
+    
+    if (e.touches.length === 1) {
+        startCrosshairPress(e.touches[0]);
+    } else {
+        hideCrosshair();
+    }
 }
 
 /**
  * Handle two-finger touch move for viewport scrolling
  */
 function handleTouchMove(e) {
+    if (moveCrosshairPress(e)) {
+        return;
+    }
+    
     if (!STATE.isTwoFingerDragging || e.touches.length !== 2) {
         return;
     }
@@ -2761,6 +7527,8 @@ function handleTouchMove(e) {
  * Handle touch end for viewport scrolling
  */
 function handleTouchEnd(e) {
+    endCrosshairPress(e);
+    
     if (e.touches.length < 2) {
         STATE.isTwoFingerDragging = false;
     }
@@ -2966,27 +7734,239 @@ function initDpadControls() {
         })(dpadBtns[i]);
     }
     
-    // Add event listeners for zoom buttons
-    var zoomBtns = dpadContainer.querySelectorAll(".zoom-btn");
-    for (var j = 0; j < zoomBtns.length; j++) {
-        (function(btn) {
-            var zoom = btn.getAttribute("data-zoom");
-            var action = getActionForZoom(zoom);
-            
-            btn.addEventListener("mousedown", function(e) {
-                e.preventDefault();
-                startRepeat(action);
-            });
-            btn.addEventListener("touchstart", function(e) {
-                e.preventDefault();
-                startRepeat(action);
-            });
-            btn.addEventListener("mouseup", stopRepeat);
-            btn.addEventListener("mouseleave", stopRepeat);
-            btn.addEventListener("touchend", stopRepeat);
-            btn.addEventListener("touchcancel", stopRepeat);
-        })(zoomBtns[j]);
+    // Add event listeners for zoom buttons
+    var zoomBtns = dpadContainer.querySelectorAll(".zoom-btn");
+    for (var j = 0; j < zoomBtns.length; j++) {
+        (function(btn) {
+            var zoom = btn.getAttribute("data-zoom");
+            var action = getActionForZoom(zoom);
+            
+            btn.addEventListener("mousedown", function(e) {
+                e.preventDefault();
+                startRepeat(action);
+            });
+            btn.addEventListener("touchstart", function(e) {
+                e.preventDefault();
+                startRepeat(action);
+            });
+            btn.addEventListener("mouseup", stopRepeat);
+            btn.addEventListener("mouseleave", stopRepeat);
+            btn.addEventListener("touchend", stopRepeat);
+            btn.addEventListener("touchcancel", stopRepeat);
+        })(zoomBtns[j]);
+    }
+}
+
+// ============================================================================
+// SECTION 8C: CROSSHAIR INSPECTOR
+// ============================================================================
+
+/**
+ * Convert a pointer position from CSS client space to canvas pixels
+ * (same scaling as the bet click, so the crosshair snaps to the hex a tap would hit)
+ * @param {number} clientX
+ * @param {number} clientY
+ * @returns {{x: number, y: number}}
+ */
+function clientToCanvasPoint(clientX, clientY) {
+    var rect = STATE.canvas.getBoundingClientRect();
+    // Scale from CSS visual space to canvas internal space
+    // This accounts for the sidebar causing a mismatch between CSS width and canvasWidth
+    return {
+        x: (clientX - rect.left) * (STATE.canvasWidth / rect.width),
+        y: (clientY - rect.top) * (STATE.canvasHeight / rect.height)
+    };
+}
+
+/**
+ * Show the crosshair at a client position
+ * @param {number} clientX
+ * @param {number} clientY
+ * @param {string} source - "hover" or "press"
+ */
+function showCrosshair(clientX, clientY, source) {
+    var point = clientToCanvasPoint(clientX, clientY);
+    var crosshair = STATE.crosshair;
+    crosshair.active = true;
+    crosshair.source = source;
+    crosshair.x = point.x;
+    crosshair.y = point.y;
+}
+
+/**
+ * Hide the crosshair and drop any pending long-press
+ */
+function hideCrosshair() {
+    var crosshair = STATE.crosshair;
+    if (crosshair.pressTimerId !== null) {
+        clearTimeout(crosshair.pressTimerId);
+        crosshair.pressTimerId = null;
+    }
+    crosshair.active = false;
+    crosshair.source = null;
+}
+
+/**
+ * Mouse hover: the crosshair follows the pointer while it is over the canvas
+ * Touch and pen pointers are ignored here - they use the long-press instead
+ * @param {PointerEvent} e
+ */
+function handleCrosshairPointerMove(e) {
+    if (e.pointerType !== "mouse") {
+        return;
+    }
+    showCrosshair(e.clientX, e.clientY, "hover");
+}
+
+/**
+ * Mouse left the canvas: hide the hover crosshair
+ * @param {PointerEvent} e
+ */
+function handleCrosshairPointerLeave(e) {
+    if (STATE.crosshair.source === "hover") {
+        hideCrosshair();
+    }
+}
+
+/**
+ * One finger went down: open the crosshair if it stays put for CROSSHAIR_LONG_PRESS_MS
+ * @param {Touch} touch
+ */
+function startCrosshairPress(touch) {
+    hideCrosshair();
+    var crosshair = STATE.crosshair;
+    crosshair.pressClientX = touch.clientX;
+    crosshair.pressClientY = touch.clientY;
+    crosshair.pressTimerId = setTimeout(function() {
+        crosshair.pressTimerId = null;
+        showCrosshair(crosshair.pressClientX, crosshair.pressClientY, "press");
+    }, CONFIG.CROSSHAIR_LONG_PRESS_MS);
+}
+
+/**
+ * One finger moved: drag the open crosshair, or give up on the pending long-press
+ * if the finger drifted too far (it is a scroll or a swipe, not a hold)
+ * @param {TouchEvent} e
+ * @returns {boolean} - True if the move was consumed by the crosshair
+ */
+function moveCrosshairPress(e) {
+    var crosshair = STATE.crosshair;
+    if (e.touches.length !== 1) {
+        return false;
+    }
+    var touch = e.touches[0];
+    if (crosshair.active && crosshair.source === "press") {
+        e.preventDefault(); // Prevent default scroll while inspecting
+        showCrosshair(touch.clientX, touch.clientY, "press");
+        return true;
+    }
+    if (crosshair.pressTimerId !== null) {
+        var dx = touch.clientX - crosshair.pressClientX;
+        var dy = touch.clientY - crosshair.pressClientY;
+        if (Math.sqrt(dx * dx + dy * dy) > CONFIG.CROSSHAIR_MOVE_TOLERANCE_PX) {
+            hideCrosshair();
+        }
+    }
+    return false;
+}
+
+/**
+ * Finger lifted: close the crosshair; after a long-press, cancel the click the
+ * browser would synthesize so inspecting a hex never bets on it
+ * @param {TouchEvent} e
+ */
+function endCrosshairPress(e) {
+    if (STATE.crosshair.active && STATE.crosshair.source === "press") {
+        e.preventDefault();
+    }
+    if (STATE.crosshair.source !== "hover") {
+        hideCrosshair();
+    }
+}
+
+/**
+ * Find the candle of the drawn source/timeframe covering a scroll position
+ * Searches the archive, finalized history and the candle still being built
+ * @param {number} scrollX
+ * @returns {Object|null} - Candle with open/high/low/close, or null
+ */
+function findCandleAtScrollX(scrollX) {
+    var series = STATE.candleSeries[STATE.candleSource][STATE.candleTimeframe];
+    var candles = series.archive.concat(series.history);
+    for (var i = candles.length - 1; i >= 0; i--) {
+        if (candles[i].startScrollX <= scrollX && scrollX <= candles[i].scrollX) {
+            return candles[i];
+        }
+    }
+    if (series.current !== null && series.current.startScrollX <= scrollX && scrollX <= STATE.hexScrollPosition) {
+        return series.current;
+    }
+    return null;
+}
+
+/**
+ * Everything the crosshair shows, for the hex nearest the pointer
+ * Passed hexes are included - inspecting the past is half the point
+ * @returns {Object|null} - {hex, price, ticks, percent, secondsToNow, trailPrice, candle} or null
+ *   trailPrice and candle are null where there is no history at that column
+ */
+function getCrosshairInfo() {
+    var crosshair = STATE.crosshair;
+    if (!crosshair.active || !STATE.ladderInitialized) {
+        return null;
+    }
+    
+    var closestHex = null;
+    var closestDistance = Infinity;
+    for (var i = 0; i < STATE.hexagonData.length; i++) {
+        var hex = STATE.hexagonData[i];
+        var dx = crosshair.x - hex.x;
+        var dy = crosshair.y - hex.y;
+        var distance = dx * dx + dy * dy;
+        if (distance < closestDistance) {
+            closestHex = hex;
+            closestDistance = distance;
+        }
+    }
+    if (closestHex === null) {
+        return null;
+    }
+    
+    var price = getPriceForHex(closestHex.worldCol, closestHex.worldRow);
+    
+    // Hexes scroll HEX_SCROLL_SPEED world px/s; the now-line sits at hexScrollPosition - manualPan.x
+    var worldX = closestHex.worldCol * STATE.WORLD_COL_SPACING;
+    var secondsToNow = (worldX - (STATE.hexScrollPosition - STATE.manualPan.x)) / CONFIG.HEX_SCROLL_SPEED;
+    
+    // Trail and candles are drawn 1 scroll px per screen px from the now-line,
+    // so read them at the scroll position drawn under the hex (as bet settlement does)
+    var portrait = isPortraitMode();
+    var lineHead = (portrait ? STATE.canvasHeight : STATE.canvasWidth) / 2 + STATE.manualPan.x;
+    var columnScrollX = STATE.hexScrollPosition + ((portrait ? closestHex.y : closestHex.x) - lineHead);
+    
+    var trailPrice = null;
+    var oldest = STATE.trailArchive.length > 0 ? STATE.trailArchive[0] : STATE.trailHistory[0];
+    if (oldest && columnScrollX >= oldest.scrollX && columnScrollX <= STATE.hexScrollPosition) {
+        trailPrice = getPriceAtScrollX(columnScrollX);
     }
+    
+    return {
+        hex: closestHex,
+        price: price,
+        ticks: (price - STATE.currentPrice) / STATE.TICK_SIZE,
+        percent: STATE.currentPrice > 0 ? (price - STATE.currentPrice) / STATE.currentPrice * 100 : 0,
+        secondsToNow: secondsToNow,
+        trailPrice: trailPrice,
+        candle: findCandleAtScrollX(columnScrollX)
+    };
+}
+
+/**
+ * Wire hover on the canvas (touch long-press is wired through the canvas touch handlers)
+ */
+function initCrosshair() {
+    STATE.canvas.addEventListener("pointermove", handleCrosshairPointerMove);
+    STATE.canvas.addEventListener("pointerleave", handleCrosshairPointerLeave);
 }
 
 // ============================================================================
@@ -3059,8 +8039,8 @@ function getGridLabelDecimals() {
  */
 function drawGridLines(chartTop, chartHeight) {
     var ctx = STATE.ctx;
-    var width = STATE.canvas.width;
-    var height = STATE.canvas.height;
+    var width = STATE.canvasWidth;
+    var height = STATE.canvasHeight;
     var padding = CONFIG.PADDING;
     var portrait = isPortraitMode();
     
@@ -3129,24 +8109,43 @@ function drawGridLines(chartTop, chartHeight) {
  */
 function drawHeaderInfo() {
     var ctx = STATE.ctx;
-    var nowMs = performance.now();
+    var nowMs = getClockMs();
     
     ctx.fillStyle = "#8B5CF6";
     ctx.font = "bold 24px Orbitron";
     ctx.textAlign = "left";
     ctx.shadowColor = "#8B5CF6";
     ctx.shadowBlur = 15;
-    ctx.fillText("SOL-PERP", 20, 40);
-    
-    // Draw OFFLINE indicator using the authoritative check
-    if (!isOnline(nowMs)) {
-        ctx.font = "bold 12px Orbitron";
-        ctx.fillStyle = "#FF5555";
-        ctx.shadowColor = "#FF5555";
-        ctx.shadowBlur = 10;
-        ctx.fillText("OFFLINE", 160, 40);
-        ctx.shadowBlur = 15;
+    ctx.fillText(STATE.activeMarketSymbol, 20, 40);
+    
+    // Connection state line under the symbol (LIVE, STALE, RETRY IN Ns, ...)
+    var statusColor = isOnline(nowMs) ? getConnectionStatusColor() : "#FF5555";
+    ctx.font = "bold 11px Orbitron";
+    ctx.fillStyle = statusColor;
+    ctx.shadowColor = statusColor;
+    ctx.shadowBlur = 10;
+    ctx.fillText(getConnectionStatusText(nowMs), 20, 62);
+    
+    // Top of book, spread in ticks and the reference price in use under the price
+    if (STATE.lastTick !== null) {
+        var market = getActiveMarket();
+        var spreadTicks = (STATE.bestAsk - STATE.bestBid) / market.tickSize;
+        var referenceLabel = STATE.referenceMode.toUpperCase();
+        if (STATE.referenceModeInUse !== STATE.referenceMode) {
+            referenceLabel += ">" + STATE.referenceModeInUse.toUpperCase();  // Falling back to mid
+        }
+        ctx.fillStyle = "#8a8a9a";
+        ctx.shadowBlur = 0;
+        ctx.fillText(
+            "BID " + formatPrice(STATE.bestBid, market.displayDecimals) +
+            "  ASK " + formatPrice(STATE.bestAsk, market.displayDecimals) +
+            "  SPR " + spreadTicks.toFixed(1) + "T" +
+            "  REF " + referenceLabel +
+            (STATE.oracleBasisBps !== null ? "  BASIS " + formatPercent(STATE.oracleBasisBps, 1) + "BP" : ""),
+            250, 62
+        );
     }
+    ctx.shadowBlur = 15;
     
     ctx.font = "bold 32px Orbitron";
     ctx.fillStyle = "#00FFCC";
@@ -3165,9 +8164,178 @@ function drawHeaderInfo() {
     ctx.fillStyle = changeColor;
     ctx.shadowColor = changeColor;
     ctx.font = "18px Orbitron";
-    ctx.fillText(formatPercent(changePercent, 2) + "%", 480, 40);
+    var changeText = formatPercent(changePercent, 2) + "%";
+    ctx.fillText(changeText, 480, 40);
+    
+    // Mid and oracle disagree - hits settled on mid right now may be disputed
+    if (isOracleDiverged()) {
+        var badgeText = "DIVERGENCE " + Math.abs(STATE.oracleBasisBps).toFixed(0) + "BP";
+        var badgeX = 480 + ctx.measureText(changeText).width + 16;
+        ctx.font = "bold 11px Orbitron";
+        var badgeWidth = ctx.measureText(badgeText).width + 16;
+        ctx.shadowBlur = 0;
+        ctx.fillStyle = "rgba(255, 85, 85, 0.2)";
+        ctx.fillRect(badgeX, 24, badgeWidth, 20);
+        ctx.strokeStyle = "#FF5555";
+        ctx.lineWidth = 1;
+        ctx.strokeRect(badgeX, 24, badgeWidth, 20);
+        ctx.fillStyle = "#FF5555";
+        ctx.fillText(badgeText, badgeX + 8, 38);
+    }
+    
+    ctx.shadowBlur = 0;
+}
+
+/**
+ * Draw the 24h stats strip under the header: a "24H" tab, or every field while expanded
+ * Tapping it toggles (see handleCanvasClick); the tap area is kept in STATE.marketStatsTapRect.
+ */
+function drawMarketStatsStrip() {
+    var ctx = STATE.ctx;
+    var x = 20;
+    var y = 68;
+    var height = 18;
+    var textY = y + 13;
+    
+    ctx.shadowBlur = 0;
+    ctx.textAlign = "left";
+    ctx.font = "bold 10px Orbitron";
+    var tabText = STATE.marketStatsExpanded ? "24H -" : "24H +";
+    var width = ctx.measureText(tabText).width + 12;
+    
+    var fields = STATE.marketStatsExpanded && STATE.marketStats !== null ? getMarketStatsFields() : [];
+    var cursorX = x + width;
+    if (STATE.marketStatsExpanded) {
+        // Measure first so the backing bar fits the text
+        ctx.font = "10px Orbitron";
+        if (fields.length === 0) {
+            width += ctx.measureText("NO 24H STATS YET").width + 12;
+        }
+        for (var i = 0; i < fields.length; i++) {
+            width += ctx.measureText(fields[i].label + " " + fields[i].text).width + 14;
+        }
+    }
+    
+    ctx.fillStyle = "rgba(139, 92, 246, 0.15)";
+    ctx.fillRect(x, y, width, height);
+    ctx.strokeStyle = "rgba(139, 92, 246, 0.6)";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x, y, width, height);
+    
+    ctx.font = "bold 10px Orbitron";
+    ctx.fillStyle = "#8B5CF6";
+    ctx.fillText(tabText, x + 6, textY);
+    
+    ctx.font = "10px Orbitron";
+    if (STATE.marketStatsExpanded && fields.length === 0) {
+        ctx.fillStyle = "#8a8a9a";
+        ctx.fillText("NO 24H STATS YET", cursorX + 6, textY);
+    }
+    for (var j = 0; j < fields.length; j++) {
+        ctx.fillStyle = "#8a8a9a";
+        ctx.fillText(fields[j].label, cursorX + 6, textY);
+        var labelWidth = ctx.measureText(fields[j].label + " ").width;
+        ctx.fillStyle = fields[j].color;
+        ctx.fillText(fields[j].text, cursorX + 6 + labelWidth, textY);
+        cursorX += labelWidth + ctx.measureText(fields[j].text).width + 14;
+    }
+    
+    STATE.marketStatsTapRect = { x: x, y: y, width: width, height: height };
+}
+
+/**
+ * Draw the crosshair inspector (SECTION 8C) over everything else
+ * Dashed lines through the snapped hex, an outline on it, and an info box
+ * beside it that flips sides to stay on the canvas
+ */
+function drawCrosshair() {
+    var info = getCrosshairInfo();
+    if (info === null) {
+        return;
+    }
+    var ctx = STATE.ctx;
+    var width = STATE.canvasWidth;
+    var height = STATE.canvasHeight;
+    var padding = CONFIG.PADDING;
+    var hex = info.hex;
+    var decimals = getActiveMarket().displayDecimals;
     
     ctx.shadowBlur = 0;
+    ctx.strokeStyle = "rgba(139, 92, 246, 0.6)";
+    ctx.lineWidth = 1;
+    ctx.setLineDash(CONFIG.ORACLE_LINE_DASH);
+    ctx.beginPath();
+    ctx.moveTo(hex.x, padding.top);
+    ctx.lineTo(hex.x, height - padding.bottom);
+    ctx.moveTo(padding.left, hex.y);
+    ctx.lineTo(width - padding.right, hex.y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    
+    traceHexagonFlatTopPath(hex.x, hex.y, hex.size);
+    ctx.strokeStyle = "#8B5CF6";
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    
+    var timeText = info.secondsToNow >= 0 ?
+        "IN " + info.secondsToNow.toFixed(1) + "s" :
+        (-info.secondsToNow).toFixed(1) + "s AGO";
+    var distanceColor = info.ticks >= 0 ? "#00FF88" : "#FF5555";
+    var rows = [
+        { label: "HEX", text: "$" + formatPrice(info.price, decimals), color: "#FFFFFF" },
+        { label: "DIST", text: formatPercent(info.ticks, 1) + " TICKS " + formatPercent(info.percent, 3) + "%", color: distanceColor },
+        { label: "NOW LINE", text: timeText, color: "#FFFFFF" }
+    ];
+    if (info.trailPrice !== null) {
+        rows.push({ label: "TRAIL", text: "$" + formatPrice(info.trailPrice, decimals), color: "#FFFFFF" });
+    }
+    if (info.candle !== null) {
+        var candle = info.candle;
+        rows.push({
+            label: getCandleTimeframe(STATE.candleTimeframe).label + " " + STATE.candleSource.toUpperCase(),
+            text: "O " + formatPrice(candle.open, decimals) + " H " + formatPrice(candle.high, decimals) +
+                " L " + formatPrice(candle.low, decimals) + " C " + formatPrice(candle.close, decimals),
+            color: candle.close > candle.open ? "#00FFCC" : (candle.close < candle.open ? "#FF0044" : "#8a8a9a")
+        });
+    }
+    
+    // Measure first so the backing box fits the text
+    ctx.font = "10px Orbitron";
+    ctx.textAlign = "left";
+    var lineHeight = 14;
+    var boxWidth = 0;
+    for (var i = 0; i < rows.length; i++) {
+        rows[i].labelWidth = ctx.measureText(rows[i].label + " ").width;
+        boxWidth = Math.max(boxWidth, rows[i].labelWidth + ctx.measureText(rows[i].text).width);
+    }
+    boxWidth += 12;
+    var boxHeight = rows.length * lineHeight + 8;
+    
+    var offset = hex.size + 6;
+    var boxX = hex.x + offset;
+    if (boxX + boxWidth > width) {
+        boxX = hex.x - offset - boxWidth;
+    }
+    var boxY = hex.y - offset - boxHeight;
+    if (boxY < 0) {
+        boxY = hex.y + offset;
+    }
+    boxX = Math.max(0, boxX);
+    boxY = Math.min(Math.max(0, boxY), height - boxHeight);
+    
+    ctx.fillStyle = "rgba(0, 0, 0, 0.85)";
+    ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+    ctx.strokeStyle = "rgba(139, 92, 246, 0.6)";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(boxX, boxY, boxWidth, boxHeight);
+    
+    for (var j = 0; j < rows.length; j++) {
+        var textY = boxY + 4 + lineHeight * j + 10;
+        ctx.fillStyle = "#8a8a9a";
+        ctx.fillText(rows[j].label, boxX + 6, textY);
+        ctx.fillStyle = rows[j].color;
+        ctx.fillText(rows[j].text, boxX + 6 + rows[j].labelWidth, textY);
+    }
 }
 
 /**
@@ -3175,7 +8343,7 @@ function drawHeaderInfo() {
  */
 function drawOfflineOverlay(chartTop, chartHeight, lineTailX, lineHeadX) {
     var ctx = STATE.ctx;
-    var width = STATE.canvas.width;
+    var width = STATE.canvasWidth;
     
     // Semi-transparent dark overlay on chart area
     ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
@@ -3195,7 +8363,7 @@ function drawOfflineOverlay(chartTop, chartHeight, lineTailX, lineHeadX) {
     ctx.fillText("DATA OFFLINE", centerX, centerY - 15);
     ctx.font = "12px Orbitron";
     ctx.fillStyle = "#CC4444";
-    ctx.fillText("NO LIVE FEED", centerX, centerY + 15);
+    ctx.fillText(getConnectionStatusText(getClockMs()), centerX, centerY + 15);
     
     ctx.shadowBlur = 0;
     ctx.textBaseline = "alphabetic";
@@ -3294,9 +8462,167 @@ function drawPriceLine(chartTop, chartHeight, lineHeadX, lineTailX, nowMs) {
     ctx.fill();
 }
 
+/**
+ * Shade trail regions that were offline: reconstructed from history, waiting for it, or missing
+ * @param {number} chartTop
+ * @param {number} chartHeight
+ * @param {number} lineHeadX
+ * @param {number} lineTailX
+ */
+function drawBackfillRegions(chartTop, chartHeight, lineHeadX, lineTailX) {
+    var ctx = STATE.ctx;
+    var currentScrollX = STATE.hexScrollPosition;
+    
+    for (var i = 0; i < STATE.backfill.regions.length; i++) {
+        var region = STATE.backfill.regions[i];
+        var left = Math.max(lineTailX, lineHeadX - (currentScrollX - region.fromScrollX));
+        var right = Math.min(lineHeadX, lineHeadX - (currentScrollX - region.toScrollX));
+        if (right <= left) {
+            continue;
+        }
+        var style = getBackfillRegionStyle(region);
+        ctx.fillStyle = style.fill;
+        ctx.fillRect(left, chartTop, right - left, chartHeight);
+        
+        ctx.font = "9px Orbitron";
+        ctx.textAlign = "center";
+        if (ctx.measureText(style.label).width < right - left - 4) {
+            ctx.fillStyle = style.text;
+            ctx.fillText(style.label, (left + right) / 2, chartTop + 14);
+        }
+    }
+}
+
+/**
+ * Fill, text color and label for a backfill region
+ * @param {Object} region - From openBackfillGap()
+ * @returns {{fill: string, text: string, label: string}}
+ */
+function getBackfillRegionStyle(region) {
+    if (region.status === "filled") {
+        return { fill: "rgba(139, 92, 246, 0.10)", text: "#8B5CF6", label: "RECONSTRUCTED" };
+    }
+    if (region.status === "pending") {
+        return { fill: "rgba(138, 138, 154, 0.10)", text: "#8a8a9a", label: "BACKFILLING" };
+    }
+    return { fill: "rgba(255, 85, 85, 0.08)", text: "#CC4444", label: "NO DATA" };
+}
+
+/**
+ * Draw the oracle price as a dashed line over the price trail
+ * Each trail point froze the oracle's worldY when it was captured, so the line sits
+ * on the same ladder as the hexes; the head uses the latest oracle price.
+ * @param {number} chartTop
+ * @param {number} chartHeight
+ * @param {number} lineHeadX
+ * @param {number} lineTailX
+ * @param {number} nowMs
+ */
+function drawOracleLine(chartTop, chartHeight, lineHeadX, lineTailX, nowMs) {
+    var headWorldY = getOracleWorldY();
+    if (!isOnline(nowMs) || headWorldY === null) {
+        return;
+    }
+    
+    var ctx = STATE.ctx;
+    var currentScrollX = STATE.hexScrollPosition;
+    var penDown = false;
+    
+    ctx.strokeStyle = CONFIG.ORACLE_LINE_COLOR;
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash(CONFIG.ORACLE_LINE_DASH);
+    ctx.beginPath();
+    
+    for (var i = 0; i < STATE.trailHistory.length; i++) {
+        var point = STATE.trailHistory[i];
+        var x = lineHeadX - (currentScrollX - point.scrollX);
+        // Points from before the oracle was known (or older than the trail) break the line
+        if (typeof point.oracleWorldY !== "number" || x < lineTailX) {
+            penDown = false;
+            continue;
+        }
+        var y = worldYToScreenY(point.oracleWorldY, chartTop, chartHeight);
+        if (penDown) {
+            ctx.lineTo(x, y);
+        } else {
+            ctx.moveTo(x, y);
+            penDown = true;
+        }
+    }
+    
+    var headY = worldYToScreenY(headWorldY, chartTop, chartHeight);
+    if (penDown) {
+        ctx.lineTo(lineHeadX, headY);
+    } else {
+        ctx.moveTo(lineHeadX, headY);
+    }
+    ctx.stroke();
+    ctx.setLineDash([]);
+    
+    ctx.font = "10px Orbitron";
+    ctx.textAlign = "left";
+    ctx.fillStyle = CONFIG.ORACLE_LINE_COLOR;
+    ctx.fillText("ORACLE", lineHeadX + 12, headY + 4);
+}
+
+/**
+ * Draw the enabled indicator overlays (SECTION 6I) from their frozen worldY points
+ * Multi-line indicators (bands) draw their outer lines fainter than the middle one
+ * @param {number} chartTop
+ * @param {number} chartHeight
+ * @param {number} lineHeadX
+ * @param {number} lineTailX
+ */
+function drawIndicators(chartTop, chartHeight, lineHeadX, lineTailX) {
+    var ctx = STATE.ctx;
+    var currentScrollX = STATE.hexScrollPosition;
+    var baseAlpha = ctx.globalAlpha;
+    
+    CONFIG.INDICATORS.forEach(function(def) {
+        var points = STATE.indicators.points[def.id] || [];
+        if (!STATE.indicators.settings[def.id].enabled || points.length === 0) {
+            return;
+        }
+        var lineCount = points[points.length - 1].worldYs.length;
+        ctx.strokeStyle = def.color;
+        ctx.lineWidth = 1.2;
+        
+        for (var line = 0; line < lineCount; line++) {
+            var isBandEdge = lineCount > 1 && (line === 0 || line === lineCount - 1);
+            ctx.globalAlpha = isBandEdge ? baseAlpha * 0.6 : baseAlpha;
+            var penDown = false;
+            ctx.beginPath();
+            for (var i = 0; i < points.length; i++) {
+                var x = lineHeadX - (currentScrollX - points[i].scrollX);
+                if (x < lineTailX) {
+                    continue;
+                }
+                var y = worldYToScreenY(points[i].worldYs[line], chartTop, chartHeight);
+                if (penDown) {
+                    ctx.lineTo(x, y);
+                } else {
+                    ctx.moveTo(x, y);
+                    penDown = true;
+                }
+            }
+            ctx.stroke();
+        }
+        ctx.globalAlpha = baseAlpha;
+        
+        // Label beside the newest point, on the upper line for bands
+        var last = points[points.length - 1];
+        ctx.font = "9px Orbitron";
+        ctx.textAlign = "left";
+        ctx.fillStyle = def.color;
+        ctx.fillText(getIndicatorLabel(def), lineHeadX - (currentScrollX - last.scrollX) + 12,
+            worldYToScreenY(last.worldYs[lineCount - 1], chartTop, chartHeight) - 4);
+    });
+}
+
 /**
  * Draw candlestick strip to the left of the "now dot"
- * Candles scroll left at the same speed as the hex grid
+ * Candles scroll left at the same speed as the hex grid; each one spans the scroll
+ * distance of its own duration (startScrollX to scrollX), split body:gap by CANDLE_WIDTH_PX:CANDLE_GAP_PX
  * Uses the same price->Y mapping as the hex grid for alignment
  * @param {number} chartTop - Top of chart area
  * @param {number} chartHeight - Height of chart area
@@ -3305,13 +8631,10 @@ function drawPriceLine(chartTop, chartHeight, lineHeadX, lineTailX, nowMs) {
  */
 function drawCandlesticks(chartTop, chartHeight, lineHeadX, nowMs) {
     var ctx = STATE.ctx;
-    var candleWidth = CONFIG.CANDLE_WIDTH_PX;
-    var candleGap = CONFIG.CANDLE_GAP_PX;
-    var candleTotalWidth = candleWidth + candleGap;
+    var bodyFraction = CONFIG.CANDLE_WIDTH_PX / (CONFIG.CANDLE_WIDTH_PX + CONFIG.CANDLE_GAP_PX);
     var wickWidth = CONFIG.CANDLE_WICK_WIDTH;
+    var candles = getVisibleCandleArchive().concat(getVisibleCandleHistory());
     
-    // Get row spacing for ladder coordinate system (same as hex grid)
-    var rowSpacing = getHexRowSpacing();
     // The scroll position at lineHeadX is always hexScrollPosition ("now")
     // manualPan.x shifts the screen position of "now" but not its scroll position
     var currentScrollX = STATE.hexScrollPosition;
@@ -3326,18 +8649,25 @@ function drawCandlesticks(chartTop, chartHeight, lineHeadX, nowMs) {
     var bullishGlow = "rgba(0, 255, 204, 0.4)";
     var bearishGlow = "rgba(255, 0, 68, 0.5)";
     
+    // Volume bars along the bottom of the chart, scaled to the largest candle volume
+    var maxVolume = getMaxCandleVolume();
+    var volumeBaseY = chartTop + chartHeight;
+    var baseAlpha = ctx.globalAlpha;
+    
     // Draw each finalized candle from history
     // Candles are positioned based on their scrollX when they closed
     // As hexScrollPosition increases, candles move left relative to lineHeadX
     
-    for (var i = 0; i < STATE.candleHistory.length; i++) {
-        var candle = STATE.candleHistory[i];
+    for (var i = 0; i < candles.length; i++) {
+        var candle = candles[i];
         
         // Calculate screen X position based on scroll offset
         // When candle was created, its scrollX was recorded
         // Current offset from lineHeadX = (currentScrollX - candle.scrollX)
-        var scrollOffset = currentScrollX - candle.scrollX;
-        var screenX = lineHeadX - scrollOffset;
+        var closeX = lineHeadX - (currentScrollX - candle.scrollX);
+        var extent = candle.scrollX - candle.startScrollX;
+        var candleWidth = Math.max(1, extent * bodyFraction);
+        var screenX = closeX - (extent + candleWidth) / 2;
         
         // Skip if candle is off-screen to the left
         if (screenX < CONFIG.PADDING.left - candleWidth) {
@@ -3361,6 +8691,8 @@ function drawCandlesticks(chartTop, chartHeight, lineHeadX, nowMs) {
         var isBearish = candle.close < candle.open;
         var candleColor = isBullish ? bullishColor : (isBearish ? bearishColor : neutralColor);
         var glowColor = isBullish ? bullishGlow : bearishGlow;
+        // Backfilled after an outage (SECTION 6H) - not seen live, so faded
+        ctx.globalAlpha = candle.reconstructed ? baseAlpha * CONFIG.BACKFILL.candleAlpha : baseAlpha;
         
         // Body top and bottom (note: screen Y is inverted - higher price = lower Y)
         var bodyTop = Math.min(openY, closeY);
@@ -3386,7 +8718,27 @@ function drawCandlesticks(chartTop, chartHeight, lineHeadX, nowMs) {
         ctx.strokeStyle = candleColor;
         ctx.lineWidth = 0.5;
         ctx.strokeRect(screenX, bodyTop, candleWidth, bodyHeight);
+        
+        if (maxVolume > 0 && candle.volume > 0) {
+            var volumeHeight = Math.max(1, CONFIG.VOLUME_BAR_MAX_PX * candle.volume / maxVolume);
+            ctx.globalAlpha = baseAlpha * CONFIG.VOLUME_BAR_ALPHA;
+            ctx.fillRect(screenX, volumeBaseY - volumeHeight, candleWidth, volumeHeight);
+        }
     }
+    ctx.globalAlpha = baseAlpha;
+}
+
+/**
+ * Largest volume among finalized candles, for scaling the volume bars
+ * @returns {number} - 0 when no trades have been seen
+ */
+function getMaxCandleVolume() {
+    var candles = getVisibleCandleHistory();
+    var maxVolume = 0;
+    for (var i = 0; i < candles.length; i++) {
+        maxVolume = Math.max(maxVolume, candles[i].volume || 0);
+    }
+    return maxVolume;
 }
 
 // ============================================================================
@@ -3399,8 +8751,8 @@ function drawCandlesticks(chartTop, chartHeight, lineHeadX, nowMs) {
  */
 function drawHexagonsPortrait(chartTop, chartHeight, chartLeft, chartWidth, lineHeadY) {
     var ctx = STATE.ctx;
-    var width = STATE.canvas.width;
-    var height = STATE.canvas.height;
+    var width = STATE.canvasWidth;
+    var height = STATE.canvasHeight;
     
     var worldHexSize = STATE.WORLD_HEX_SIZE;
     var worldColSpacing = STATE.WORLD_COL_SPACING;
@@ -3437,6 +8789,16 @@ function drawHexagonsPortrait(chartTop, chartHeight, chartLeft, chartWidth, line
     var minRow = Math.floor(Math.min(worldYAtLeft, worldYAtRight) / worldRowSpacing) - 2;
     var maxRow = Math.ceil(Math.max(worldYAtLeft, worldYAtRight) / worldRowSpacing) + 2;
     
+    // WebGL draws the whole field after the loop (SECTION 7C); in 2D, plain columns
+    // (rows of hexes on screen here) come from the render cache (SECTION 7B)
+    var useWebGL = STATE.hexRenderer === "webgl";
+    var useHexCache = !useWebGL && STATE.hexCache.enabled;
+    var fieldCells = [];
+    if (useHexCache) {
+        ensureHexCache(minRow, maxRow);
+        var stripBottomX = worldYToScreenXPortrait(getHexStripBottomWorldY(), chartLeft, chartWidth);
+    }
+    
     for (var worldCol = minWorldCol; worldCol <= maxWorldCol; worldCol++) {
         var hexWorldX = worldCol * worldColSpacing;
         // In portrait: world X (time) -> screen Y
@@ -3447,6 +8809,7 @@ function drawHexagonsPortrait(chartTop, chartHeight, chartLeft, chartWidth, line
         }
         
         var isOddCol = Math.abs(worldCol) % 2 === 1;
+        var columnCells = [];
         
         for (var rowIdx = minRow; rowIdx <= maxRow; rowIdx++) {
             var hexWorldY = getWorldYForHex(worldCol, rowIdx);
@@ -3466,15 +8829,15 @@ function drawHexagonsPortrait(chartTop, chartHeight, chartLeft, chartWidth, line
             // In portrait: "passed" means screenY < lineHeadY (above the now-dot)
             var isPassed = screenY < lineHeadY - screenHexSize;
             
-            var isHitByLine = false;
-            if (isPink && isPassed) {
+            var isHitByLine = isPink && STATE.hitHexagonsPlayed.has(hexId);
+            if (isPink && isPassed && !isHitByLine) {
                 var lineTailY = CONFIG.PADDING.top;
                 var trailHeightPx = lineHeadY - lineTailY;
                 var currentScrollX = STATE.hexScrollPosition;
                 var tailScrollX = currentScrollX - trailHeightPx;
                 
                 var t = (screenY - lineTailY) / trailHeightPx;
-                if (t >= 0 && t <= 1) {
+                if (t >= 0 && t <= 1 && isLiveTrailScrollX(tailScrollX + t * trailHeightPx)) {
                     var sampleScrollX = tailScrollX + t * trailHeightPx;
                     var priceAtY = getPriceAtScrollX(sampleScrollX);
                     var lineWorldY = priceToWorldY(priceAtY);
@@ -3483,17 +8846,7 @@ function drawHexagonsPortrait(chartTop, chartHeight, chartLeft, chartWidth, line
                     var dx = Math.abs(lineScreenX - screenX);
                     if (dx < screenHexSize * 0.65) {
                         isHitByLine = true;
-                        if (!STATE.hitHexagonsPlayed.has(hexId)) {
-                            STATE.hitHexagonsPlayed.add(hexId);
-                            playKaChingSound();
-                            if (STATE.activeBets.has(hexId)) {
-                                var bet = STATE.activeBets.get(hexId);
-                                var payout = bet.amount * bet.leverage;
-                                STATE.tradingBalance += payout;
-                                STATE.activeBets.delete(hexId);
-                                updateTradingSidebarUI();
-                            }
-                        }
+                        registerLineHit(hexId);
                     }
                 }
             }
@@ -3526,10 +8879,30 @@ function drawHexagonsPortrait(chartTop, chartHeight, chartLeft, chartWidth, line
                 });
             }
             
-            drawHexagonFlatTop(screenX, screenY, screenHexSize, hexPrice, false, isPassed, isPink, isHitByLine, isYellow);
+            if (useWebGL || useHexCache) {
+                (useWebGL ? fieldCells : columnCells).push({
+                    x: screenX,
+                    y: screenY,
+                    size: screenHexSize,
+                    row: rowIdx,
+                    price: hexPrice,
+                    state: getHexVisualState(false, isPassed, isPink, isHitByLine, isYellow),
+                    tint: !isPassed && !isPink && !isYellow
+                });
+            } else {
+                drawHexagonFlatTop(screenX, screenY, screenHexSize, hexPrice, false, isPassed, isPink, isHitByLine, isYellow);
+            }
+        }
+        
+        if (columnCells.length > 0) {
+            drawCachedHexColumn(columnCells, isOddCol, screenY, stripBottomX);
         }
     }
     
+    if (useWebGL) {
+        drawHexFieldWebGL(fieldCells);
+    }
+    
     // Draw dialog bubbles
     for (var j = 0; j < STATE.hexagonData.length; j++) {
         var hex = STATE.hexagonData[j];
@@ -3593,26 +8966,168 @@ function drawPriceLinePortrait(chartTop, chartHeight, chartLeft, chartWidth, lin
     ctx.beginPath();
     ctx.moveTo(chartLeft, lineTailY);
     
-    for (var j = 0; j <= segments; j++) {
-        var t2 = j / segments;
-        var sampleWorldX2 = tailWorldX + t2 * (effectiveScrollX - tailWorldX);
-        var worldY2 = getWorldYAtScrollX(sampleWorldX2);
-        var screenY2 = worldXToScreenYPortrait(sampleWorldX2, lineHeadY, effectiveScrollX);
-        var screenX2 = worldYToScreenXPortrait(worldY2, chartLeft, chartWidth);
-        ctx.lineTo(screenX2, screenY2);
+    for (var j = 0; j <= segments; j++) {
+        var t2 = j / segments;
+        var sampleWorldX2 = tailWorldX + t2 * (effectiveScrollX - tailWorldX);
+        var worldY2 = getWorldYAtScrollX(sampleWorldX2);
+        var screenY2 = worldXToScreenYPortrait(sampleWorldX2, lineHeadY, effectiveScrollX);
+        var screenX2 = worldYToScreenXPortrait(worldY2, chartLeft, chartWidth);
+        ctx.lineTo(screenX2, screenY2);
+    }
+    
+    ctx.lineTo(chartLeft, lineHeadY);
+    ctx.closePath();
+    ctx.fill();
+    
+    // Glowing dot at line head
+    var headWorldY = STATE.ladderInitialized ? priceToWorldY(STATE.currentPrice) : 0;
+    var headX = worldYToScreenXPortrait(headWorldY, chartLeft, chartWidth);
+    ctx.beginPath();
+    ctx.arc(headX, lineHeadY, 8, 0, Math.PI * 2);
+    ctx.fillStyle = "#F5F5F0";
+    ctx.fill();
+}
+
+/**
+ * Shade offline trail regions in portrait mode (see drawBackfillRegions)
+ * @param {number} chartTop
+ * @param {number} chartLeft
+ * @param {number} chartWidth
+ * @param {number} lineHeadY
+ * @param {number} lineTailY
+ */
+function drawBackfillRegionsPortrait(chartTop, chartLeft, chartWidth, lineHeadY, lineTailY) {
+    var ctx = STATE.ctx;
+    var effectiveScrollX = STATE.hexScrollPosition - STATE.manualPan.x;
+    
+    for (var i = 0; i < STATE.backfill.regions.length; i++) {
+        var region = STATE.backfill.regions[i];
+        var top = Math.max(lineTailY, worldXToScreenYPortrait(region.fromScrollX, lineHeadY, effectiveScrollX));
+        var bottom = Math.min(lineHeadY, worldXToScreenYPortrait(region.toScrollX, lineHeadY, effectiveScrollX));
+        if (bottom <= top) {
+            continue;
+        }
+        var style = getBackfillRegionStyle(region);
+        ctx.fillStyle = style.fill;
+        ctx.fillRect(chartLeft, top, chartWidth, bottom - top);
+        
+        if (bottom - top > 12) {
+            ctx.font = "9px Orbitron";
+            ctx.textAlign = "left";
+            ctx.fillStyle = style.text;
+            ctx.fillText(style.label, chartLeft + 6, (top + bottom) / 2 + 3);
+        }
+    }
+}
+
+/**
+ * Draw the oracle price as a dashed line over the price trail (portrait mode)
+ * Same frozen oracle worldY as drawOracleLine(), with time running down the screen
+ * @param {number} chartTop
+ * @param {number} chartHeight
+ * @param {number} chartLeft
+ * @param {number} chartWidth
+ * @param {number} lineHeadY
+ * @param {number} lineTailY
+ * @param {number} nowMs
+ */
+function drawOracleLinePortrait(chartTop, chartHeight, chartLeft, chartWidth, lineHeadY, lineTailY, nowMs) {
+    var headWorldY = getOracleWorldY();
+    if (!isOnline(nowMs) || headWorldY === null) {
+        return;
+    }
+    
+    var ctx = STATE.ctx;
+    var effectiveScrollX = STATE.hexScrollPosition - STATE.manualPan.x;
+    var penDown = false;
+    
+    ctx.strokeStyle = CONFIG.ORACLE_LINE_COLOR;
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash(CONFIG.ORACLE_LINE_DASH);
+    ctx.beginPath();
+    
+    for (var i = 0; i < STATE.trailHistory.length; i++) {
+        var point = STATE.trailHistory[i];
+        var screenY = worldXToScreenYPortrait(point.scrollX, lineHeadY, effectiveScrollX);
+        if (typeof point.oracleWorldY !== "number" || screenY < lineTailY) {
+            penDown = false;
+            continue;
+        }
+        var screenX = worldYToScreenXPortrait(point.oracleWorldY, chartLeft, chartWidth);
+        if (penDown) {
+            ctx.lineTo(screenX, screenY);
+        } else {
+            ctx.moveTo(screenX, screenY);
+            penDown = true;
+        }
+    }
+    
+    var headX = worldYToScreenXPortrait(headWorldY, chartLeft, chartWidth);
+    if (penDown) {
+        ctx.lineTo(headX, lineHeadY);
+    } else {
+        ctx.moveTo(headX, lineHeadY);
     }
+    ctx.stroke();
+    ctx.setLineDash([]);
     
-    ctx.lineTo(chartLeft, lineHeadY);
-    ctx.closePath();
-    ctx.fill();
+    ctx.font = "10px Orbitron";
+    ctx.textAlign = "center";
+    ctx.fillStyle = CONFIG.ORACLE_LINE_COLOR;
+    ctx.fillText("ORACLE", headX, lineHeadY + 22);
+}
+
+/**
+ * Draw the enabled indicator overlays in portrait mode (see drawIndicators)
+ * @param {number} chartLeft
+ * @param {number} chartWidth
+ * @param {number} lineHeadY
+ * @param {number} lineTailY
+ */
+function drawIndicatorsPortrait(chartLeft, chartWidth, lineHeadY, lineTailY) {
+    var ctx = STATE.ctx;
+    var effectiveScrollX = STATE.hexScrollPosition - STATE.manualPan.x;
+    var baseAlpha = ctx.globalAlpha;
     
-    // Glowing dot at line head
-    var headWorldY = STATE.ladderInitialized ? priceToWorldY(STATE.currentPrice) : 0;
-    var headX = worldYToScreenXPortrait(headWorldY, chartLeft, chartWidth);
-    ctx.beginPath();
-    ctx.arc(headX, lineHeadY, 8, 0, Math.PI * 2);
-    ctx.fillStyle = "#F5F5F0";
-    ctx.fill();
+    CONFIG.INDICATORS.forEach(function(def) {
+        var points = STATE.indicators.points[def.id] || [];
+        if (!STATE.indicators.settings[def.id].enabled || points.length === 0) {
+            return;
+        }
+        var lineCount = points[points.length - 1].worldYs.length;
+        ctx.strokeStyle = def.color;
+        ctx.lineWidth = 1.2;
+        
+        for (var line = 0; line < lineCount; line++) {
+            var isBandEdge = lineCount > 1 && (line === 0 || line === lineCount - 1);
+            ctx.globalAlpha = isBandEdge ? baseAlpha * 0.6 : baseAlpha;
+            var penDown = false;
+            ctx.beginPath();
+            for (var i = 0; i < points.length; i++) {
+                var screenY = worldXToScreenYPortrait(points[i].scrollX, lineHeadY, effectiveScrollX);
+                if (screenY < lineTailY) {
+                    continue;
+                }
+                var screenX = worldYToScreenXPortrait(points[i].worldYs[line], chartLeft, chartWidth);
+                if (penDown) {
+                    ctx.lineTo(screenX, screenY);
+                } else {
+                    ctx.moveTo(screenX, screenY);
+                    penDown = true;
+                }
+            }
+            ctx.stroke();
+        }
+        ctx.globalAlpha = baseAlpha;
+        
+        // Label below the newest point, on the upper line for bands
+        var last = points[points.length - 1];
+        ctx.font = "9px Orbitron";
+        ctx.textAlign = "center";
+        ctx.fillStyle = def.color;
+        ctx.fillText(getIndicatorLabel(def), worldYToScreenXPortrait(last.worldYs[lineCount - 1], chartLeft, chartWidth),
+            worldXToScreenYPortrait(last.scrollX, lineHeadY, effectiveScrollX) + 14);
+    });
 }
 
 /**
@@ -3637,7 +9152,7 @@ function drawOfflineOverlayPortrait(chartTop, chartHeight, chartLeft, chartWidth
     ctx.fillText("DATA OFFLINE", centerX, centerY - 15);
     ctx.font = "12px Orbitron";
     ctx.fillStyle = "#CC4444";
-    ctx.fillText("NO LIVE FEED", centerX, centerY + 15);
+    ctx.fillText(getConnectionStatusText(getClockMs()), centerX, centerY + 15);
     
     ctx.shadowBlur = 0;
     ctx.textBaseline = "alphabetic";
@@ -3645,13 +9160,14 @@ function drawOfflineOverlayPortrait(chartTop, chartHeight, chartLeft, chartWidth
 
 /**
  * Draw candlesticks in portrait mode
- * Candles scroll UPWARD (past moves up), price is horizontal
+ * Candles scroll UPWARD (past moves up), price is horizontal; each one spans the
+ * scroll distance of its duration vertically (see drawCandlesticks)
  */
 function drawCandlesticksPortrait(chartTop, chartHeight, chartLeft, chartWidth, lineHeadY, nowMs) {
     var ctx = STATE.ctx;
-    var candleHeight = CONFIG.CANDLE_WIDTH_PX;  // In portrait, "width" becomes "height"
-    var candleGap = CONFIG.CANDLE_GAP_PX;
+    var bodyFraction = CONFIG.CANDLE_WIDTH_PX / (CONFIG.CANDLE_WIDTH_PX + CONFIG.CANDLE_GAP_PX);
     var wickWidth = CONFIG.CANDLE_WICK_WIDTH;
+    var candles = getVisibleCandleArchive().concat(getVisibleCandleHistory());
     
     var effectiveScrollX = STATE.hexScrollPosition - STATE.manualPan.x;
     
@@ -3659,11 +9175,17 @@ function drawCandlesticksPortrait(chartTop, chartHeight, chartLeft, chartWidth,
     var bearishColor = "#FF0044";
     var neutralColor = "#8a8a9a";
     
-    for (var i = 0; i < STATE.candleHistory.length; i++) {
-        var candle = STATE.candleHistory[i];
+    // Volume bars along the left (low price) edge, scaled to the largest candle volume
+    var maxVolume = getMaxCandleVolume();
+    var baseAlpha = ctx.globalAlpha;
+    
+    for (var i = 0; i < candles.length; i++) {
+        var candle = candles[i];
         
-        // In portrait: worldX (time) maps to screen Y
-        var screenY = worldXToScreenYPortrait(candle.scrollX, lineHeadY, effectiveScrollX);
+        // In portrait: worldX (time) maps to screen Y; the candle is centered in its extent
+        var extent = candle.scrollX - candle.startScrollX;
+        var candleHeight = Math.max(1, extent * bodyFraction);  // In portrait, "width" becomes "height"
+        var screenY = worldXToScreenYPortrait(candle.scrollX - extent / 2, lineHeadY, effectiveScrollX);
         
         if (screenY > lineHeadY - candleHeight) {
             continue;
@@ -3682,6 +9204,7 @@ function drawCandlesticksPortrait(chartTop, chartHeight, chartLeft, chartWidth,
         var isBullish = candle.close > candle.open;
         var isBearish = candle.close < candle.open;
         var candleColor = isBullish ? bullishColor : (isBearish ? bearishColor : neutralColor);
+        ctx.globalAlpha = candle.reconstructed ? baseAlpha * CONFIG.BACKFILL.candleAlpha : baseAlpha;
         
         // Body left and right
         var bodyLeft = Math.min(openX, closeX);
@@ -3704,7 +9227,14 @@ function drawCandlesticksPortrait(chartTop, chartHeight, chartLeft, chartWidth,
         ctx.strokeStyle = candleColor;
         ctx.lineWidth = 0.5;
         ctx.strokeRect(bodyLeft, screenY - candleHeight / 2, bodyWidth, candleHeight);
+        
+        if (maxVolume > 0 && candle.volume > 0) {
+            var volumeWidth = Math.max(1, CONFIG.VOLUME_BAR_MAX_PX * candle.volume / maxVolume);
+            ctx.globalAlpha = baseAlpha * CONFIG.VOLUME_BAR_ALPHA;
+            ctx.fillRect(chartLeft, screenY - candleHeight / 2, volumeWidth, candleHeight);
+        }
     }
+    ctx.globalAlpha = baseAlpha;
 }
 
 /**
@@ -3715,14 +9245,14 @@ function drawCandlesticksPortrait(chartTop, chartHeight, chartLeft, chartWidth,
  */
 function drawChart() {
     var ctx = STATE.ctx;
-    var width = STATE.canvas.width;
-    var height = STATE.canvas.height;
+    var width = STATE.canvasWidth;
+    var height = STATE.canvasHeight;
     var padding = CONFIG.PADDING;
     var portrait = isPortraitMode();
     
     var chartHeight = height - padding.top - padding.bottom;
     var chartTop = padding.top;
-    var nowMs = performance.now();
+    var nowMs = getClockMs();
     
     if (portrait) {
         // PORTRAIT MODE: Time axis is vertical (now-dot at lineHeadY, moves DOWN)
@@ -3736,8 +9266,13 @@ function drawChart() {
         drawGridLines(chartTop, chartHeight);
         drawHexagonsPortrait(chartTop, chartHeight, chartLeft, chartWidth, lineHeadY);
         drawHeaderInfo();
+        drawBackfillRegionsPortrait(chartTop, chartLeft, chartWidth, lineHeadY, lineTailY);
         drawPriceLinePortrait(chartTop, chartHeight, chartLeft, chartWidth, lineHeadY, lineTailY, nowMs);
+        drawOracleLinePortrait(chartTop, chartHeight, chartLeft, chartWidth, lineHeadY, lineTailY, nowMs);
+        drawIndicatorsPortrait(chartLeft, chartWidth, lineHeadY, lineTailY);
         drawCandlesticksPortrait(chartTop, chartHeight, chartLeft, chartWidth, lineHeadY, nowMs);
+        drawMarketStatsStrip();  // Over the chart's top edge
+        drawCrosshair();         // Inspector goes over everything
     } else {
         // LANDSCAPE MODE: Original behavior
         // Apply manual pan X offset to shift the "now" position left/right
@@ -3747,25 +9282,27 @@ function drawChart() {
         drawGridLines(chartTop, chartHeight);
         drawHexagons(chartTop, chartHeight, lineHeadX);
         drawHeaderInfo();
+        drawBackfillRegions(chartTop, chartHeight, lineHeadX, lineTailX);
         drawPriceLine(chartTop, chartHeight, lineHeadX, lineTailX, nowMs);
+        drawOracleLine(chartTop, chartHeight, lineHeadX, lineTailX, nowMs);
+        drawIndicators(chartTop, chartHeight, lineHeadX, lineTailX);
         drawCandlesticks(chartTop, chartHeight, lineHeadX, nowMs);
+        drawMarketStatsStrip();
+        drawCrosshair();
     }
 }
 
 /**
- * Animation loop
+ * Advance everything that moves with time: hex scroll, trail, price easing,
+ * connection health and the Y range. No drawing here.
+ * Live mode calls this once per frame with the frame delta; replay calls it in
+ * fixed CONFIG.REPLAY_SOURCE.frameMs steps of the replay clock.
+ * @param {number} nowMs - Current time in milliseconds (getClockMs())
+ * @param {number} deltaMs - Time since the previous call
  */
-function animate(timestamp) {
-    var width = STATE.canvas.width;
-    var height = STATE.canvas.height;
-    var ctx = STATE.ctx;
-    
-    // Calculate delta time for smooth scrolling
-    var deltaTime = timestamp - STATE.lastFrameTime;
-    STATE.lastFrameTime = timestamp;
-    
-    // Calculate scroll delta for this frame
-    var scrollDelta = CONFIG.HEX_SCROLL_SPEED * (deltaTime / 1000);
+function advanceSimulation(nowMs, deltaMs) {
+    // Calculate scroll delta for this step
+    var scrollDelta = CONFIG.HEX_SCROLL_SPEED * (deltaMs / 1000);
     
     // Update hex scroll position (continuous, never resets)
     STATE.hexScrollPosition += scrollDelta;
@@ -3773,35 +9310,508 @@ function animate(timestamp) {
     // Update distance-based trail history (matches hex scroll speed)
     updateTrailHistory(scrollDelta);
     
-    // Clear canvas
-    ctx.fillStyle = "#000000";
-    ctx.fillRect(0, 0, width, height);
-    
-    // Draw logo as background (subtle, behind everything)
-    drawLogoBackground();
-    
     // Update price every SAMPLE_INTERVAL
-    if (timestamp - STATE.lastPriceUpdate > CONFIG.SAMPLE_INTERVAL) {
+    if (nowMs - STATE.lastPriceUpdate > CONFIG.SAMPLE_INTERVAL) {
         updatePrice();
-        STATE.lastPriceUpdate = timestamp;
+        STATE.lastPriceUpdate = nowMs;
     }
     
-    // Update dynamic Y-axis range EVERY FRAME before drawing
+    // Advance time-based connection states (stale, offline) and status UI
+    updateConnectionHealth(nowMs);
+    
+    // Update dynamic Y-axis range every step before drawing
     // This ensures zoom continues to adjust over time and doesn't freeze
-    updateDynamicRangeFromHistory(performance.now());
+    updateDynamicRangeFromHistory(nowMs);
+}
 
+/**
+ * Animation loop
+ */
+function animate(timestamp) {
+    // Calculate delta time for smooth scrolling
+    var deltaTime = timestamp - STATE.lastFrameTime;
+    STATE.lastFrameTime = timestamp;
+    
+    if (STATE.replay.active) {
+        // Replay: the replay clock advances in fixed steps, independent of frame rate
+        runReplaySteps(deltaTime);
+    } else {
+        advanceSimulation(getClockMs(), deltaTime);
+    }
+    
     // Update debug overlay summary each frame
     updateDebugOverlay();
     
+    if (STATE.renderWorker.active) {
+        // The worker draws (and runs the other users, who pick from what it drew)
+        postRenderWorkerFrame();
+        requestAnimationFrame(animate);
+        return;
+    }
+    
+    renderFrame();
+    
+    // Simulate other users clicking (not in replay - their picks depend on what was last drawn)
+    if (!STATE.replay.active) {
+        simulateUserClicks(timestamp);
+    }
+    
+    requestAnimationFrame(animate);
+}
+
+/**
+ * Clear the canvas and draw one frame - on the page, or in the render worker
+ */
+function renderFrame() {
+    var ctx = STATE.ctx;
+    
+    // Clear canvas
+    ctx.fillStyle = "#000000";
+    ctx.fillRect(0, 0, STATE.canvasWidth, STATE.canvasHeight);
+    
+    // Draw logo as background (subtle, behind everything)
+    drawLogoBackground();
+    
     // Draw everything with slight transparency so logo shows through
+    // (timed for the debug overlay, smoothed over ~30 frames)
+    var drawStart = performance.now();
     ctx.globalAlpha = 0.92;
     drawChart();
     ctx.globalAlpha = 1.0;
+    STATE.frameDrawMs += (performance.now() - drawStart - STATE.frameDrawMs) / 30;
+}
+
+// ============================================================================
+// SECTION 10C: RENDER WORKER (OFFSCREENCANVAS)
+// ============================================================================
+
+/*
+ * With CONFIG.RENDER_WORKER.enabled or ?render=worker, #main-canvas is handed to a worker
+ * running this same file (isRenderWorkerScope(), started with a "#render" URL) as an
+ * OffscreenCanvas. The page stays authoritative - feed, simulation, bets, audio, DOM - and
+ * the worker mirrors the STATE keys drawChart() reads. It owns only what drawing produces:
+ * hexagonData, the other users' yellow hexes and the hex render caches.
+ * Page -> worker: {type: "init", canvas, hexRenderer, hexCache, fontCssUrl},
+ *                 {type: "frame", clockMs, portrait, replay, state, lists, candles, indicators},
+ *                 {type: "click", x, y}, {type: "logo", bitmap}
+ * Worker -> page: {type: "ready", hexRenderer}, {type: "failed", reason},
+ *                 {type: "drawn", drawMs, hexRenderer, rebuilds}, {type: "hit", target},
+ *                 {type: "hexHit", hexId}, {type: "log", message}
+ * "frame" carries the CONFIG.RENDER_WORKER keys that changed since they were last posted,
+ * plus the visible candle series and the indicator lines and labels. Arrays (trail, history,
+ * candles, indicator points) only grow at the end and shrink at the front while they keep
+ * their reference, so they go as {drop, items} deltas; a new reference is posted whole. The next frame is only posted
+ * after "drawn", so a slow worker skips frames instead of queueing them.
+ * Taps come back as "hit" (a getCanvasHitTarget() result for applyCanvasHit()), line hits
+ * as "hexHit" (for registerLineHit()). The worker draws on the page's clock, so flashes,
+ * staleness and bubbles age the same as on the page.
+ * If the worker cannot start or dies, the page swaps in a fresh canvas and draws itself.
+ */
+
+/**
+ * Whether the board should be drawn in the render worker
+ * Needs OffscreenCanvas, Worker and a page served over http(s), like the feed worker
+ * @returns {boolean}
+ */
+function canUseRenderWorker() {
+    var wanted = getUrlParam("render");
+    return (wanted === "worker" || (CONFIG.RENDER_WORKER.enabled && wanted !== "main")) &&
+        typeof Worker !== "undefined" &&
+        typeof OffscreenCanvas !== "undefined" &&
+        typeof STATE.canvas.transferControlToOffscreen === "function" &&
+        window.location.protocol !== "file:";
+}
+
+/**
+ * Page side: start the worker and hand it the canvas
+ * initDOM() left STATE.ctx null so the canvas can still be transferred
+ */
+function startRenderWorker() {
+    var renderWorker = STATE.renderWorker;
+    var offscreen;
+    try {
+        renderWorker.worker = new Worker(STATE.feedWorker.scriptUrl + "#render");
+        offscreen = STATE.canvas.transferControlToOffscreen();
+    } catch (err) {
+        fallBackFromRenderWorker(err.message);
+        return;
+    }
+    renderWorker.active = true;
+    renderWorker.awaitingFrame = false;
+    renderWorker.sent = {};
+    renderWorker.sentLists = {};
+    renderWorker.worker.onmessage = handleRenderWorkerMessage;
+    renderWorker.worker.onerror = function(event) {
+        if (event.preventDefault) event.preventDefault();
+        fallBackFromRenderWorker("render worker error: " + (event.message || "failed to start"));
+    };
+    
+    // The page's @font-face rules do not reach the worker - it loads the same stylesheet itself
+    var fontLink = document.querySelector('link[href*="fonts.googleapis.com"]');
+    renderWorker.worker.postMessage({
+        type: "init",
+        canvas: offscreen,
+        hexRenderer: getUrlParam("renderer"),
+        hexCache: STATE.hexCache.enabled,
+        fontCssUrl: fontLink ? fontLink.href : null
+    }, [offscreen]);
+    logDebug("Render worker started");
+    
+    if (STATE.logoLoaded) {
+        postRenderWorkerLogo();
+    }
+}
+
+/**
+ * Page side: stop the worker and draw on the page from now on
+ * A transferred canvas can never get a context again, so a fresh copy replaces it
+ * @param {string} reason
+ */
+function fallBackFromRenderWorker(reason) {
+    var renderWorker = STATE.renderWorker;
+    if (STATE.ctx !== null) {
+        return;  // Already drawing on the page
+    }
+    logDebug("Render worker unavailable (" + reason + "), drawing on the page");
+    if (renderWorker.worker !== null) {
+        renderWorker.worker.onmessage = null;
+        renderWorker.worker.onerror = null;
+        renderWorker.worker.terminate();
+        renderWorker.worker = null;
+    }
+    renderWorker.active = false;
+    renderWorker.awaitingFrame = false;
+    
+    var canvas = STATE.canvas.cloneNode(false);
+    STATE.canvas.parentNode.replaceChild(canvas, STATE.canvas);
+    STATE.canvas = canvas;
+    STATE.ctx = canvas.getContext("2d");
+    initCanvasInput();
+    initHexRenderer();
+    resizeCanvas();
+}
+
+/**
+ * Page side: messages from the render worker
+ * @param {MessageEvent} event
+ */
+function handleRenderWorkerMessage(event) {
+    var msg = event.data;
+    if (msg.type === "ready") {
+        logDebug("Render worker drawing, hex renderer: " + msg.hexRenderer);
+    } else if (msg.type === "failed") {
+        fallBackFromRenderWorker(msg.reason);
+    } else if (msg.type === "drawn") {
+        STATE.renderWorker.awaitingFrame = false;
+        // Shown by the debug overlay as if drawn here
+        STATE.frameDrawMs = msg.drawMs;
+        STATE.hexRenderer = msg.hexRenderer;
+        STATE.hexCache.rebuilds = msg.rebuilds;
+    } else if (msg.type === "hit") {
+        applyCanvasHit(msg.target);
+    } else if (msg.type === "hexHit") {
+        registerLineHit(msg.hexId);
+    } else if (msg.type === "log") {
+        logDebug("[render] " + msg.message);
+    }
+}
+
+/**
+ * Count an in-place change to a synced Set/Map - a delete plus an add keeps its size,
+ * so the count is what tells the next frame to post it
+ * @param {string} key - STATE key
+ */
+function markRenderSyncMutated(key) {
+    var versions = STATE.renderWorker.versions;
+    versions[key] = (versions[key] || 0) + 1;
+}
+
+/**
+ * What decides whether a synced value changed since it was last posted
+ * @param {string} key - STATE key
+ * @param {*} value
+ * @returns {Array} - Compared part by part with ===
+ */
+function getRenderSyncSignature(key, value) {
+    if (value instanceof Set || value instanceof Map) {
+        return [value, value.size, STATE.renderWorker.versions[key] || 0];
+    }
+    return [value];
+}
+
+/**
+ * Compare a value with what was last posted under a key, and remember it if it differs
+ * @param {string} key - STATE key (arrays go through getRenderListDelta)
+ * @param {*} value
+ * @returns {boolean} - True when the value has to be posted
+ */
+function isRenderSyncChanged(key, value) {
+    var signature = getRenderSyncSignature(key, value);
+    var previous = STATE.renderWorker.sent[key];
+    if (previous !== undefined && previous.length === signature.length &&
+        previous.every(function(part, i) { return part === signature[i]; })) {
+        return false;
+    }
+    STATE.renderWorker.sent[key] = signature;
+    return true;
+}
+
+/**
+ * What to post for an array so the worker's copy matches it, relying on arrays that keep
+ * their reference only being pushed to and shifted
+ * @param {string} key - STATE key, or a "candles." / "indicators." sub-key
+ * @param {Array} list
+ * @returns {Object|null} - {drop, items} to apply to the last post, {reset: true, items}, or null if unchanged
+ */
+function getRenderListDelta(key, list) {
+    var sentLists = STATE.renderWorker.sentLists;
+    var sent = sentLists[key];
+    var last = list[list.length - 1];
+    var delta = null;
+    if (sent !== undefined && sent.list === list) {
+        if (list.length === sent.length && last === sent.last) {
+            return null;
+        }
+        // Where the last posted element is now: everything after it is new, the shift before it dropped
+        var index = sent.length > 0 ? list.lastIndexOf(sent.last) : -1;
+        if (sent.length === 0 || index !== -1) {
+            delta = { drop: sent.length - 1 - index, items: list.slice(index + 1) };
+        }
+    }
+    sentLists[key] = { list: list, length: list.length, last: last };
+    return delta || { reset: true, items: list };
+}
+
+/**
+ * Page side: post this frame's changes unless the worker is still drawing the last one
+ */
+function postRenderWorkerFrame() {
+    var renderWorker = STATE.renderWorker;
+    if (renderWorker.awaitingFrame) {
+        return;
+    }
     
-    // Simulate other users clicking
-    simulateUserClicks(timestamp);
+    var state = {};
+    var lists = {};
+    CONFIG.RENDER_WORKER.syncKeys.forEach(function(key) {
+        if (Array.isArray(STATE[key])) {
+            var delta = getRenderListDelta(key, STATE[key]);
+            if (delta !== null) {
+                lists[key] = delta;
+            }
+        } else if (isRenderSyncChanged(key, STATE[key])) {
+            state[key] = STATE[key];
+        }
+    });
+    CONFIG.RENDER_WORKER.frameKeys.forEach(function(key) {
+        state[key] = STATE[key];
+    });
     
-    requestAnimationFrame(animate);
+    // Only the series on screen; current is rebuilt in place, so it always goes
+    var series = STATE.candleSeries[STATE.candleSource][STATE.candleTimeframe];
+    var candles = {
+        source: STATE.candleSource,
+        timeframe: STATE.candleTimeframe,
+        current: series.current,
+        history: getRenderListDelta("candles.history", series.history),
+        archive: getRenderListDelta("candles.archive", series.archive)
+    };
+    
+    var indicators = { settings: STATE.indicators.settings, labels: {}, points: {} };
+    CONFIG.INDICATORS.forEach(function(def) {
+        indicators.labels[def.id] = getIndicatorLabel(def);
+        var delta = getRenderListDelta("indicators." + def.id, STATE.indicators.points[def.id] || []);
+        if (delta !== null) {
+            indicators.points[def.id] = delta;
+        }
+    });
+    
+    renderWorker.worker.postMessage({
+        type: "frame",
+        clockMs: getClockMs(),
+        portrait: isPortraitMode(),
+        replay: STATE.replay.active,
+        state: state,
+        lists: lists,
+        candles: candles,
+        indicators: indicators
+    });
+    renderWorker.awaitingFrame = true;
+}
+
+/**
+ * Page side: hit-test a tap in the worker - the answer arrives as a "hit" message
+ * @param {number} x - Canvas pixels (clientToCanvasPoint)
+ * @param {number} y
+ */
+function postRenderWorkerClick(x, y) {
+    STATE.renderWorker.worker.postMessage({ type: "click", x: x, y: y });
+}
+
+/**
+ * Page side: send the loaded logo over as an ImageBitmap (Image elements cannot be posted)
+ */
+function postRenderWorkerLogo() {
+    if (typeof createImageBitmap !== "function") {
+        return;
+    }
+    createImageBitmap(STATE.logoImage).then(function(bitmap) {
+        if (STATE.renderWorker.worker !== null) {
+            STATE.renderWorker.worker.postMessage({ type: "logo", bitmap: bitmap }, [bitmap]);
+        }
+    }).catch(function(err) {
+        logDebug("Logo not sent to the render worker: " + err.message);
+    });
+}
+
+/**
+ * Worker side: copy a frame's changes into the mirrored STATE
+ * @param {Object} msg - "frame" message
+ */
+function applyRenderSyncDelta(msg) {
+    var resized = false;
+    Object.keys(msg.state).forEach(function(key) {
+        if (key === "activeMarketSymbol" && msg.state[key] !== STATE.activeMarketSymbol) {
+            // Other users' picks are simulated per board - the new market starts without them
+            STATE.yellowHexagons = new Map();
+            STATE.hexagonData = [];
+            STATE.availableHexagonsForAI = [];
+        }
+        if (key === "canvasWidth" || key === "canvasHeight" || key === "devicePixelRatio") {
+            resized = true;
+        }
+        STATE[key] = msg.state[key];
+    });
+    
+    Object.keys(msg.lists).forEach(function(key) {
+        STATE[key] = applyRenderListDelta(STATE[key], msg.lists[key]);
+    });
+    
+    var series = STATE.candleSeries[msg.candles.source][msg.candles.timeframe];
+    series.current = msg.candles.current;
+    series.history = applyRenderListDelta(series.history, msg.candles.history);
+    series.archive = applyRenderListDelta(series.archive, msg.candles.archive);
+    
+    STATE.indicators.settings = msg.indicators.settings;
+    STATE.renderWorker.indicatorLabels = msg.indicators.labels;
+    Object.keys(msg.indicators.points).forEach(function(id) {
+        STATE.indicators.points[id] = applyRenderListDelta(STATE.indicators.points[id], msg.indicators.points[id]);
+    });
+    
+    if (resized) {
+        // Same backing store as resizeCanvas() gives the page's canvas
+        var dpr = STATE.devicePixelRatio;
+        STATE.canvas.width = Math.round(STATE.canvasWidth * dpr);
+        STATE.canvas.height = Math.round(STATE.canvasHeight * dpr);
+        STATE.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    }
+}
+
+/**
+ * Worker side: bring a mirrored array up to date with a getRenderListDelta() result
+ * @param {Array|undefined} list - The worker's copy
+ * @param {Object|null} delta - null when the page's array did not change
+ * @returns {Array} - The updated copy (a new array after a reset)
+ */
+function applyRenderListDelta(list, delta) {
+    if (delta === null) {
+        return list;
+    }
+    if (delta.reset || list === undefined) {
+        return delta.items;
+    }
+    list.splice(0, delta.drop);
+    for (var i = 0; i < delta.items.length; i++) {
+        list.push(delta.items[i]);
+    }
+    return list;
+}
+
+/**
+ * Worker side: load the page's web fonts (Orbitron) into the worker's FontFaceSet
+ * Text drawn before they arrive uses the fallback font, so the hex cache is re-rasterized after
+ * @param {string|null} cssUrl - Google Fonts stylesheet the page links
+ */
+function loadRenderWorkerFonts(cssUrl) {
+    if (!cssUrl || typeof FontFace === "undefined" || !self.fonts) {
+        return;
+    }
+    fetch(cssUrl).then(function(response) {
+        return response.text();
+    }).then(function(css) {
+        var loads = (css.match(/@font-face\s*\{[^}]*\}/g) || []).map(function(block) {
+            var family = /font-family:\s*['"]?([^;'"]+)/.exec(block);
+            var src = /src:\s*([^;]+);/.exec(block);
+            var weight = /font-weight:\s*([^;]+);/.exec(block);
+            var range = /unicode-range:\s*([^;]+);/.exec(block);
+            var face = new FontFace(family[1].trim(), src[1].trim(), {
+                weight: weight ? weight[1].trim() : "normal",
+                unicodeRange: range ? range[1].trim() : "U+0-10FFFF"
+            });
+            self.fonts.add(face);
+            return face.load();
+        });
+        return Promise.all(loads);
+    }).then(function() {
+        STATE.hexCache.key = "";
+        logDebug("Render worker fonts loaded");
+    }).catch(function(err) {
+        logDebug("Render worker fonts not loaded: " + err.message);
+    });
+}
+
+/**
+ * Worker side - mirrors the page's STATE, draws every posted frame and answers hit tests
+ */
+function initRenderWorkerScope() {
+    var renderWorker = STATE.renderWorker;
+    renderWorker.inWorker = true;
+    
+    self.onmessage = function(event) {
+        var msg = event.data;
+        if (msg.type === "init") {
+            STATE.canvas = msg.canvas;
+            STATE.ctx = msg.canvas.getContext("2d");
+            if (STATE.ctx === null) {
+                self.postMessage({ type: "failed", reason: "no 2D context on the OffscreenCanvas" });
+                return;
+            }
+            STATE.hexCache.enabled = msg.hexCache;
+            initHexRenderer(msg.hexRenderer);
+            loadRenderWorkerFonts(msg.fontCssUrl);
+            self.postMessage({ type: "ready", hexRenderer: STATE.hexRenderer });
+        } else if (msg.type === "frame") {
+            renderWorker.clockMs = msg.clockMs;
+            renderWorker.portrait = msg.portrait;
+            applyRenderSyncDelta(msg);
+            renderFrame();
+            
+            // Other users run on the page clock, like the bubbles that show their picks
+            if (STATE.nextUserClickTime === 0) {
+                STATE.nextUserClickTime = msg.clockMs + CONFIG.USER_CLICK_MIN_INTERVAL + Math.random() * 1000;
+            }
+            if (!msg.replay) {
+                simulateUserClicks(msg.clockMs);
+            }
+            self.postMessage({
+                type: "drawn",
+                drawMs: STATE.frameDrawMs,
+                hexRenderer: STATE.hexRenderer,
+                rebuilds: STATE.hexCache.rebuilds
+            });
+        } else if (msg.type === "click") {
+            var target = getCanvasHitTarget(msg.x, msg.y);
+            if (target !== null && target.isYellow) {
+                // Taking over a yellow hex always succeeds - show it as ours before the page's sets arrive
+                STATE.yellowHexagons.delete(target.hexId);
+                STATE.pinkHexagons.add(target.hexId);
+            }
+            self.postMessage({ type: "hit", target: target });
+        } else if (msg.type === "logo") {
+            STATE.logoImage = msg.bitmap;
+            STATE.logoLoaded = true;
+        }
+    };
 }
 
 // ============================================================================
@@ -3825,6 +9835,26 @@ function initTitleFlicker() {
     }
 }
 
+/**
+ * Bet clicks, touch navigation and the crosshair on #main-canvas
+ * (again on the replacement canvas if the render worker falls back, see SECTION 10C)
+ */
+function initCanvasInput() {
+    STATE.canvas.addEventListener("click", function(e) {
+        resumeAudioContext();
+        handleCanvasClick(e);
+    });
+    
+    // Two-finger touch events for viewport scrolling
+    STATE.canvas.addEventListener("touchstart", handleTouchStart, { passive: false });
+    STATE.canvas.addEventListener("touchmove", handleTouchMove, { passive: false });
+    STATE.canvas.addEventListener("touchend", handleTouchEnd, { passive: false });
+    STATE.canvas.addEventListener("touchcancel", handleTouchEnd, { passive: false });
+    
+    // Mouse hover for the crosshair inspector (touch uses the handlers above)
+    initCrosshair();
+}
+
 /**
  * Main boot function
  */
@@ -3860,16 +9890,16 @@ function boot() {
     // Set up event listeners
     window.addEventListener("resize", checkOrientation);
     window.addEventListener("orientationchange", checkOrientation);
-    STATE.canvas.addEventListener("click", function(e) {
-        resumeAudioContext();
-        handleCanvasClick(e);
-    });
+    watchDevicePixelRatio();
+    STATE.hexCache.enabled = CONFIG.HEX_CACHE.enabled && getUrlParam("hexcache") !== "0";
+    initCanvasInput();
     
-    // Two-finger touch events for viewport scrolling
-    STATE.canvas.addEventListener("touchstart", handleTouchStart, { passive: false });
-    STATE.canvas.addEventListener("touchmove", handleTouchMove, { passive: false });
-    STATE.canvas.addEventListener("touchend", handleTouchEnd, { passive: false });
-    STATE.canvas.addEventListener("touchcancel", handleTouchEnd, { passive: false });
+    // No context yet means initDOM() left the canvas for the render worker
+    if (STATE.ctx === null) {
+        startRenderWorker();
+    } else {
+        initHexRenderer();
+    }
     
     // Initial orientation check
     checkOrientation();
@@ -3883,8 +9913,19 @@ function boot() {
     // Initialize trading sidebar
     initTradingSidebar();
     
-    // Start Drift DLOB WebSocket feed
-    startDriftOrderbookFeed();
+    // Initialize market switcher, reference price, candle timeframe and indicator controls
+    initMarketSwitcher();
+    initReferenceModeControl();
+    initCandleTimeframeSelector();
+    initIndicatorControls();
+    
+    // Replay controls decide which clock drives the loop, so they go before the feed
+    initReplayControls();
+    
+    // Start the price feed (Drift DLOB WebSocket unless CONFIG.PRICE_SOURCE says otherwise)
+    initConnectionControls();
+    startPriceFeed();
+    startMarketStatsTimer();
     
     // Start on load
     window.addEventListener("load", function() {
@@ -3901,8 +9942,14 @@ function boot() {
 // BOOT WITH ERROR HANDLING
 // ============================================================================
 
-try {
-    boot();
-} catch (err) {
-    showErrorOverlay(err.message, err.stack);
+if (isRenderWorkerScope()) {
+    initRenderWorkerScope();
+} else if (isFeedWorkerScope()) {
+    initFeedWorkerScope();
+} else {
+    try {
+        boot();
+    } catch (err) {
+        showErrorOverlay(err.message, err.stack);
+    }
 }
@@ -0,0 +1,671 @@
+"use strict";
+
+/*
+ * ============================================================================
+ * MOCK DLOB PROXY SERVER (LOCAL DEVELOPMENT ONLY)
+ * ============================================================================
+ * Speaks the same WebSocket protocol as the Cloudflare worker behind
+ * CONFIG.DRIFT_DLOB_WS_URL so the app can be developed without network access.
+ * Plain Node, no dependencies:
+ *
+ *   node dev/mock-dlob-server.js [--port 8788] [--interval 250] [--shape mixed]
+ *                                [--scenario steady] [--after 15]
+ *
+ * then open index.html?dlob=ws://localhost:8788
+ *
+ * --shape     double | plain | mixed  - orderbook frames as {channel, data: "<json>"},
+ *             bare {bids, asks, ...}, or alternating (default)
+ *             (trades channel frames are always {channel: "trades_perp_<index>", data: "<json>"})
+ * --scenario  steady   - ticks forever (default)
+ *             drop     - abrupt disconnect (no close frame) --after seconds into each connection
+ *             close    - clean close frame (code 1001) --after seconds into each connection
+ *             stall    - socket stays open but ticks stop --after seconds in
+ *             errors   - proxy_error every --after seconds
+ *             refuse   - reject the first 3 upgrade attempts with HTTP 503, then steady
+ *             flaky    - random drop/stall/error every 5-20 seconds
+ *
+ * Scripted events can also be triggered by hand over HTTP:
+ *   curl localhost:8788/drop | /close | /stall | /resume | /error | /info
+ *   curl localhost:8788/diverge   - push every market's oracle ORACLE_DIVERGE_BPS away from mid
+ *
+ * 24h stats: a {type: "stats", market} message is answered with {type: "market_stats", data}
+ * and GET /stats?market=SOL-PERP returns the same data (index.html?stats=http://localhost:8788/stats)
+ *
+ * Gap backfill: markets keep moving while a client is dropped or stalled, and
+ * {type: "history", market, from, to} is answered with {type: "history", data: {market, from, to, points}}
+ * (points are {ts, price} mids); GET /history?market=SOL-PERP&from=&to= returns the same data
+ * ============================================================================
+ */
+
+var http = require("http");
+var crypto = require("crypto");
+
+// ============================================================================
+// SECTION 1: CONFIGURATION
+// ============================================================================
+
+var CONFIG = {
+    PORT: 8788,
+    TICK_INTERVAL_MS: 250,
+    SHAPE: "mixed",
+    SCENARIO: "steady",
+    SCENARIO_AFTER_SECS: 15,
+    REFUSE_COUNT: 3,
+    BOOK_DEPTH: 10,
+    PRICE_PRECISION: 1e6,           // Drift fixed-point price scale
+    BASE_PRECISION: 1e9,            // Drift fixed-point size scale
+    VOLATILITY_PCT: 0.00005,        // Max relative move per tick
+    TRADE_PROBABILITY: 0.4,         // Chance of a fill per tick per trades subscription
+    TRADE_NOTIONAL_USD: 2000,       // Typical fill size; about 1 in 20 is a 20x "big print"
+    ORACLE_BASIS_STEP_BPS: 1.5,     // Max random-walk step of oracle vs mid per tick
+    ORACLE_BASIS_REVERSION: 0.02,   // Fraction of the basis given back each tick
+    ORACLE_DIVERGE_BPS: 60,         // Basis set by /diverge (then decays back)
+    DAY_RANGE_PCT: 0.03,            // 24h open is up to this far from the start price
+    OPEN_INTEREST_USD: 50000000,    // Rough open interest per market
+    HISTORY_KEEP_MS: 15 * 60 * 1000, // Mid history kept for history requests
+    
+    // Same symbols as CONFIG.MARKETS in app.js
+    MARKETS: {
+        "SOL-PERP": { marketIndex: 0, startPrice: 140, tickSize: 0.01 },
+        "BTC-PERP": { marketIndex: 1, startPrice: 95000, tickSize: 1 },
+        "ETH-PERP": { marketIndex: 2, startPrice: 3200, tickSize: 0.1 },
+        "JUP-PERP": { marketIndex: 24, startPrice: 0.8, tickSize: 0.0001 }
+    }
+};
+
+var WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+var STATE = {
+    clients: new Set(),
+    upgradeAttempts: 0,
+    stalled: false,                 // Global stall toggled over HTTP
+    mids: {},                       // symbol -> current mid
+    basisBps: {},                   // symbol -> oracle minus mid, in basis points of mid
+    day: {},                        // symbol -> {open, high, low, volume, quoteVolume} for the 24h stats
+    history: {},                    // symbol -> [{ts, price}] mids, oldest first
+    slot: 300000000
+};
+
+/**
+ * Parse --name value pairs from argv into CONFIG
+ * @param {Array<string>} argv
+ */
+function applyArgs(argv) {
+    for (var i = 0; i < argv.length; i += 2) {
+        var name = argv[i];
+        var value = argv[i + 1];
+        switch (name) {
+            case "--port": CONFIG.PORT = Number(value); break;
+            case "--interval": CONFIG.TICK_INTERVAL_MS = Number(value); break;
+            case "--shape": CONFIG.SHAPE = value; break;
+            case "--scenario": CONFIG.SCENARIO = value; break;
+            case "--after": CONFIG.SCENARIO_AFTER_SECS = Number(value); break;
+            default:
+                console.error("Unknown option " + name);
+                process.exit(1);
+        }
+    }
+}
+
+// ============================================================================
+// SECTION 2: MINIMAL WEBSOCKET (RFC 6455) - TEXT FRAMES ONLY
+// ============================================================================
+
+/**
+ * Encode a server->client frame (servers never mask)
+ * @param {number} opcode - 0x1 text, 0x8 close, 0xA pong
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload) {
+    var header;
+    if (payload.length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = payload.length;
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Pull complete client frames off the front of a buffer
+ * @param {Buffer} buffer
+ * @returns {{frames: Array<{opcode: number, payload: Buffer}>, rest: Buffer}}
+ */
+function decodeFrames(buffer) {
+    var frames = [];
+    var offset = 0;
+    while (buffer.length - offset >= 2) {
+        var opcode = buffer[offset] & 0x0F;
+        var masked = (buffer[offset + 1] & 0x80) !== 0;
+        var length = buffer[offset + 1] & 0x7F;
+        var pos = offset + 2;
+        if (length === 126) {
+            if (buffer.length < pos + 2) break;
+            length = buffer.readUInt16BE(pos);
+            pos += 2;
+        } else if (length === 127) {
+            if (buffer.length < pos + 8) break;
+            length = Number(buffer.readBigUInt64BE(pos));
+            pos += 8;
+        }
+        var mask = null;
+        if (masked) {
+            if (buffer.length < pos + 4) break;
+            mask = buffer.slice(pos, pos + 4);
+            pos += 4;
+        }
+        if (buffer.length < pos + length) break;
+        var payload = Buffer.from(buffer.slice(pos, pos + length));
+        if (mask) {
+            for (var i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+        }
+        frames.push({ opcode: opcode, payload: payload });
+        offset = pos + length;
+    }
+    return { frames: frames, rest: buffer.slice(offset) };
+}
+
+// ============================================================================
+// SECTION 3: CLIENT CONNECTIONS
+// ============================================================================
+
+/**
+ * Send a JSON message to one client
+ * @param {Object} client
+ * @param {Object} message
+ */
+function sendJson(client, message) {
+    if (client.socket.destroyed) return;
+    client.socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message))));
+}
+
+/**
+ * Send a close frame and end the socket (clean disconnect)
+ * @param {Object} client
+ * @param {number} code
+ * @param {string} reason
+ */
+function closeClient(client, code, reason) {
+    var payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    if (!client.socket.destroyed) {
+        client.socket.end(encodeFrame(0x8, payload));
+    }
+    removeClient(client);
+}
+
+/**
+ * Kill the TCP socket without a close frame (what a network drop looks like)
+ * @param {Object} client
+ */
+function dropClient(client) {
+    client.socket.destroy();
+    removeClient(client);
+}
+
+/**
+ * Forget a client and stop its timers
+ * @param {Object} client
+ */
+function removeClient(client) {
+    if (!STATE.clients.has(client)) return;
+    STATE.clients.delete(client);
+    clearInterval(client.tickTimer);
+    clearTimeout(client.scenarioTimer);
+    console.log("[mock] client #" + client.id + " gone (" + STATE.clients.size + " connected)");
+}
+
+/**
+ * Handle one parsed text message from a client
+ * @param {Object} client
+ * @param {string} text
+ */
+function handleClientMessage(client, text) {
+    var msg;
+    try {
+        msg = JSON.parse(text);
+    } catch (err) {
+        sendJson(client, { type: "proxy_error", message: "Invalid JSON", status: 400 });
+        return;
+    }
+    
+    if (msg.type === "stats") {
+        if (!CONFIG.MARKETS[msg.market]) {
+            sendJson(client, { type: "proxy_error", message: "Unknown market: " + msg.market, status: 404 });
+            return;
+        }
+        sendJson(client, { type: "market_stats", data: buildStats(msg.market) });
+        return;
+    }
+    if (msg.type === "history") {
+        if (!CONFIG.MARKETS[msg.market]) {
+            sendJson(client, { type: "proxy_error", message: "Unknown market: " + msg.market, status: 404 });
+            return;
+        }
+        sendJson(client, { type: "history", data: buildHistory(msg.market, msg.from, msg.to) });
+        return;
+    }
+    if (msg.type !== "subscribe" && msg.type !== "unsubscribe") {
+        sendJson(client, { type: "proxy_error", message: "Unknown message type: " + msg.type, status: 400 });
+        return;
+    }
+    if ((msg.channel !== "orderbook" && msg.channel !== "trades") || msg.marketType !== "perp") {
+        sendJson(client, { type: "proxy_error", message: "Only perp orderbook and trades channels are mocked", status: 400 });
+        return;
+    }
+    if (!CONFIG.MARKETS[msg.market]) {
+        sendJson(client, { type: "proxy_error", message: "Unknown market: " + msg.market, status: 404 });
+        return;
+    }
+    
+    var subscriptions = msg.channel === "trades" ? client.tradeMarkets : client.markets;
+    if (msg.type === "subscribe") {
+        subscriptions.add(msg.market);
+        sendJson(client, { type: "proxy_info", message: "Subscribed to " + msg.market + " " + msg.channel });
+    } else {
+        subscriptions.delete(msg.market);
+        sendJson(client, { type: "proxy_info", message: "Unsubscribed from " + msg.market + " " + msg.channel });
+    }
+    console.log("[mock] client #" + client.id + " " + msg.type + " " + msg.market + " " + msg.channel);
+}
+
+/**
+ * Accept a WebSocket upgrade and start streaming to the new client
+ * @param {http.IncomingMessage} req
+ * @param {net.Socket} socket
+ */
+function handleUpgrade(req, socket) {
+    STATE.upgradeAttempts++;
+    if (CONFIG.SCENARIO === "refuse" && STATE.upgradeAttempts <= CONFIG.REFUSE_COUNT) {
+        console.log("[mock] refusing upgrade " + STATE.upgradeAttempts + "/" + CONFIG.REFUSE_COUNT);
+        socket.end("HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\n\r\n");
+        return;
+    }
+    
+    var key = req.headers["sec-websocket-key"];
+    if (!key) {
+        socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+        return;
+    }
+    var accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+    socket.write([
+        "HTTP/1.1 101 Switching Protocols",
+        "Upgrade: websocket",
+        "Connection: Upgrade",
+        "Sec-WebSocket-Accept: " + accept,
+        "", ""
+    ].join("\r\n"));
+    socket.setNoDelay(true);
+    
+    var client = {
+        id: STATE.upgradeAttempts,
+        socket: socket,
+        markets: new Set(),         // Orderbook subscriptions
+        tradeMarkets: new Set(),    // Trades subscriptions
+        buffer: Buffer.alloc(0),
+        frameCount: 0,
+        stalled: false,
+        tickTimer: null,
+        scenarioTimer: null
+    };
+    STATE.clients.add(client);
+    console.log("[mock] client #" + client.id + " connected (" + STATE.clients.size + " connected)");
+    
+    socket.on("data", function(chunk) {
+        var decoded = decodeFrames(Buffer.concat([client.buffer, chunk]));
+        client.buffer = decoded.rest;
+        decoded.frames.forEach(function(frame) {
+            if (frame.opcode === 0x1) {
+                handleClientMessage(client, frame.payload.toString("utf8"));
+            } else if (frame.opcode === 0x8) {
+                closeClient(client, 1000, "bye");
+            } else if (frame.opcode === 0x9) {
+                socket.write(encodeFrame(0xA, frame.payload));
+            }
+        });
+    });
+    socket.on("close", function() { removeClient(client); });
+    socket.on("error", function() { removeClient(client); });
+    
+    sendJson(client, { type: "proxy_info", message: "Mock DLOB proxy connected (scenario " + CONFIG.SCENARIO + ")" });
+    client.tickTimer = setInterval(function() { sendTicks(client); }, CONFIG.TICK_INTERVAL_MS);
+    scheduleScenario(client);
+}
+
+// ============================================================================
+// SECTION 4: ORDERBOOK FRAMES
+// ============================================================================
+
+/**
+ * Random-walk the mid of a market by up to VOLATILITY_PCT
+ * @param {string} symbol
+ * @returns {number}
+ */
+function nextMid(symbol) {
+    var market = CONFIG.MARKETS[symbol];
+    var mid = STATE.mids[symbol] || market.startPrice;
+    mid *= 1 + (Math.random() * 2 - 1) * CONFIG.VOLATILITY_PCT;
+    STATE.mids[symbol] = mid;
+    return mid;
+}
+
+/**
+ * Advance every market one tick and record its mid
+ * Runs on a server-wide timer so prices keep moving while clients are dropped or stalled
+ */
+function advanceMarkets() {
+    var now = Date.now();
+    Object.keys(CONFIG.MARKETS).forEach(function(symbol) {
+        var mid = nextMid(symbol);
+        nextOracle(symbol, mid);
+        var history = STATE.history[symbol] || (STATE.history[symbol] = []);
+        history.push({ ts: now, price: mid });
+        while (history.length > 0 && history[0].ts < now - CONFIG.HISTORY_KEEP_MS) {
+            history.shift();
+        }
+    });
+}
+
+/**
+ * Recorded mids of a market between two epoch-ms timestamps
+ * @param {string} symbol
+ * @param {number} from
+ * @param {number} to
+ * @returns {Object} {market, from, to, points}
+ */
+function buildHistory(symbol, from, to) {
+    from = Number(from);
+    to = Number(to);
+    var points = (STATE.history[symbol] || []).filter(function(point) {
+        return point.ts >= from && point.ts <= to;
+    });
+    return { market: symbol, from: from, to: to, points: points };
+}
+
+/**
+ * Random-walk the oracle around the mid with mean reversion so the basis is never quite zero
+ * @param {string} symbol
+ * @param {number} mid
+ * @returns {number}
+ */
+function nextOracle(symbol, mid) {
+    var basis = STATE.basisBps[symbol] || 0;
+    basis = basis * (1 - CONFIG.ORACLE_BASIS_REVERSION) + (Math.random() * 2 - 1) * CONFIG.ORACLE_BASIS_STEP_BPS;
+    STATE.basisBps[symbol] = basis;
+    return mid * (1 + basis / 10000);
+}
+
+/**
+ * Format a USD price as a Drift fixed-point integer string (PRICE_PRECISION)
+ * @param {number} price
+ * @returns {string}
+ */
+function toFixedPoint(price) {
+    return String(Math.round(price * CONFIG.PRICE_PRECISION));
+}
+
+/**
+ * Build an L2 orderbook payload shaped like the DLOB server's
+ * @param {string} symbol
+ * @returns {Object}
+ */
+function buildOrderbook(symbol) {
+    var market = CONFIG.MARKETS[symbol];
+    var mid = STATE.mids[symbol] || market.startPrice;
+    var oracle = mid * (1 + (STATE.basisBps[symbol] || 0) / 10000);
+    var bestBid = Math.floor(mid / market.tickSize) * market.tickSize;
+    var bestAsk = bestBid + market.tickSize;
+    var bids = [];
+    var asks = [];
+    for (var level = 0; level < CONFIG.BOOK_DEPTH; level++) {
+        var size = String(Math.round((1 + Math.random() * 20) * CONFIG.BASE_PRECISION));
+        bids.push({ price: toFixedPoint(bestBid - level * market.tickSize), size: size, sources: { dlob: size } });
+        asks.push({ price: toFixedPoint(bestAsk + level * market.tickSize), size: size, sources: { vamm: size } });
+    }
+    STATE.slot++;
+    return {
+        marketName: symbol,
+        marketType: "perp",
+        marketIndex: market.marketIndex,
+        ts: Date.now(),
+        slot: STATE.slot,
+        oracle: Number(toFixedPoint(oracle)),
+        oracleData: { price: toFixedPoint(oracle), slot: String(STATE.slot), confidence: "1000", hasSufficientNumberOfDataPoints: true },
+        bids: bids,
+        asks: asks
+    };
+}
+
+/**
+ * Running 24h figures for a market, seeded with a made-up open and a day's worth of volume
+ * @param {string} symbol
+ * @returns {Object}
+ */
+function getDayStats(symbol) {
+    if (!STATE.day[symbol]) {
+        var start = CONFIG.MARKETS[symbol].startPrice;
+        var open = start * (1 + (Math.random() * 2 - 1) * CONFIG.DAY_RANGE_PCT);
+        var seedVolumeUsd = CONFIG.OPEN_INTEREST_USD * (1 + Math.random());
+        STATE.day[symbol] = {
+            open: open,
+            high: Math.max(open, start) * (1 + Math.random() * 0.01),
+            low: Math.min(open, start) * (1 - Math.random() * 0.01),
+            volume: seedVolumeUsd / start,
+            quoteVolume: seedVolumeUsd
+        };
+    }
+    return STATE.day[symbol];
+}
+
+/**
+ * Build the 24h stats body (same shape for the socket reply and GET /stats)
+ * Decimal numbers, not fixed-point: fundingRate is hourly and follows the oracle basis
+ * @param {string} symbol
+ * @returns {Object}
+ */
+function buildStats(symbol) {
+    var mid = STATE.mids[symbol] || CONFIG.MARKETS[symbol].startPrice;
+    var day = getDayStats(symbol);
+    day.high = Math.max(day.high, mid);
+    day.low = Math.min(day.low, mid);
+    return {
+        market: symbol,
+        high24h: day.high,
+        low24h: day.low,
+        open24h: day.open,
+        volume24h: day.volume,
+        quoteVolume24h: day.quoteVolume,
+        fundingRate: -(STATE.basisBps[symbol] || 0) / 10000 / 24,
+        openInterest: CONFIG.OPEN_INTEREST_USD / mid,
+        ts: Date.now()
+    };
+}
+
+/**
+ * Build a fill event shaped like the DLOB server's trades channel
+ * Amounts are fixed-point strings: base in BASE_PRECISION, quote in PRICE_PRECISION (= QUOTE_PRECISION)
+ * @param {string} symbol
+ * @returns {Object}
+ */
+function buildFill(symbol) {
+    var market = CONFIG.MARKETS[symbol];
+    var mid = STATE.mids[symbol] || market.startPrice;
+    var isBuy = Math.random() < 0.5;
+    var price = isBuy ? Math.ceil(mid / market.tickSize) * market.tickSize : Math.floor(mid / market.tickSize) * market.tickSize;
+    var notional = CONFIG.TRADE_NOTIONAL_USD * (Math.random() < 0.05 ? 20 : 0.2 + Math.random());
+    var base = notional / price;
+    var day = getDayStats(symbol);
+    day.volume += base;
+    day.quoteVolume += base * price;
+    return {
+        ts: Date.now(),
+        slot: STATE.slot,
+        marketIndex: market.marketIndex,
+        marketType: "perp",
+        action: "fill",
+        actionExplanation: "orderFilled",
+        takerOrderDirection: isBuy ? "long" : "short",
+        makerOrderDirection: isBuy ? "short" : "long",
+        baseAssetAmountFilled: String(Math.round(base * CONFIG.BASE_PRECISION)),
+        quoteAssetAmountFilled: String(Math.round(base * price * CONFIG.PRICE_PRECISION)),
+        oraclePrice: toFixedPoint(mid * (1 + (STATE.basisBps[symbol] || 0) / 10000))
+    };
+}
+
+/**
+ * Send one orderbook frame per subscribed market in the configured shape
+ * @param {Object} client
+ */
+function sendTicks(client) {
+    if (client.stalled || STATE.stalled) return;
+    client.markets.forEach(function(symbol) {
+        var book = buildOrderbook(symbol);
+        client.frameCount++;
+        var plain = CONFIG.SHAPE === "plain" || (CONFIG.SHAPE === "mixed" && client.frameCount % 2 === 0);
+        if (plain) {
+            sendJson(client, book);
+        } else {
+            sendJson(client, { channel: "orderbook_perp_" + book.marketIndex, data: JSON.stringify(book) });
+        }
+    });
+    client.tradeMarkets.forEach(function(symbol) {
+        if (Math.random() < CONFIG.TRADE_PROBABILITY) {
+            var fill = buildFill(symbol);
+            sendJson(client, { channel: "trades_perp_" + fill.marketIndex, data: JSON.stringify(fill) });
+        }
+    });
+}
+
+// ============================================================================
+// SECTION 5: SCRIPTED FAILURES
+// ============================================================================
+
+/**
+ * Apply one scripted event to a client
+ * @param {Object} client
+ * @param {string} action - drop | close | stall | resume | error | info
+ */
+function applyAction(client, action) {
+    console.log("[mock] " + action + " -> client #" + client.id);
+    switch (action) {
+        case "drop": dropClient(client); break;
+        case "close": closeClient(client, 1001, "mock server going away"); break;
+        case "stall": client.stalled = true; break;
+        case "resume": client.stalled = false; break;
+        case "error": sendJson(client, { type: "proxy_error", message: "Mock upstream error", status: 502 }); break;
+        case "info": sendJson(client, { type: "proxy_info", message: "Mock info at " + new Date().toISOString() }); break;
+    }
+}
+
+/**
+ * Arm the --scenario timer for a freshly connected client
+ * @param {Object} client
+ */
+function scheduleScenario(client) {
+    var afterMs = CONFIG.SCENARIO_AFTER_SECS * 1000;
+    switch (CONFIG.SCENARIO) {
+        case "drop":
+        case "close":
+        case "stall":
+            client.scenarioTimer = setTimeout(function() { applyAction(client, CONFIG.SCENARIO); }, afterMs);
+            break;
+        case "errors":
+            client.scenarioTimer = setTimeout(function repeat() {
+                applyAction(client, "error");
+                client.scenarioTimer = setTimeout(repeat, afterMs);
+            }, afterMs);
+            break;
+        case "flaky":
+            client.scenarioTimer = setTimeout(function repeat() {
+                var actions = ["drop", "stall", "error", "resume"];
+                applyAction(client, actions[Math.floor(Math.random() * actions.length)]);
+                client.scenarioTimer = setTimeout(repeat, 5000 + Math.random() * 15000);
+            }, 5000 + Math.random() * 15000);
+            break;
+        case "steady":
+        case "refuse":
+            break;
+        default:
+            console.error("Unknown scenario " + CONFIG.SCENARIO);
+            process.exit(1);
+    }
+}
+
+/**
+ * HTTP control endpoints: /drop /close /stall /resume /error /info apply to every client
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+function handleHttpRequest(req, res) {
+    var action = (req.url || "/").replace(/^\//, "").split("?")[0];
+    if (action === "history") {
+        var params = new URL(req.url, "http://localhost").searchParams;
+        if (!CONFIG.MARKETS[params.get("market")]) {
+            res.writeHead(404, { "Content-Type": "text/plain", "Access-Control-Allow-Origin": "*" });
+            res.end("Unknown market: " + params.get("market") + "\n");
+            return;
+        }
+        res.writeHead(200, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" });
+        res.end(JSON.stringify(buildHistory(params.get("market"), params.get("from"), params.get("to"))));
+        return;
+    }
+    if (action === "stats") {
+        var symbol = new URL(req.url, "http://localhost").searchParams.get("market");
+        if (!CONFIG.MARKETS[symbol]) {
+            res.writeHead(404, { "Content-Type": "text/plain", "Access-Control-Allow-Origin": "*" });
+            res.end("Unknown market: " + symbol + "\n");
+            return;
+        }
+        res.writeHead(200, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" });
+        res.end(JSON.stringify(buildStats(symbol)));
+        return;
+    }
+    var actions = ["drop", "close", "stall", "resume", "error", "info", "diverge"];
+    if (actions.indexOf(action) === -1) {
+        res.writeHead(200, { "Content-Type": "text/plain" });
+        res.end("Mock DLOB proxy - " + STATE.clients.size + " client(s). Actions: /" + actions.join(" /") + "\n");
+        return;
+    }
+    if (action === "diverge") {
+        // Market-wide rather than per client: every subscriber sees the same oracle
+        Object.keys(CONFIG.MARKETS).forEach(function(symbol) {
+            STATE.basisBps[symbol] = (Math.random() < 0.5 ? -1 : 1) * CONFIG.ORACLE_DIVERGE_BPS;
+        });
+        console.log("[mock] oracle diverged by " + CONFIG.ORACLE_DIVERGE_BPS + " bps");
+        res.writeHead(200, { "Content-Type": "text/plain" });
+        res.end("diverge sent\n");
+        return;
+    }
+    STATE.stalled = action === "stall" ? true : (action === "resume" ? false : STATE.stalled);
+    Array.from(STATE.clients).forEach(function(client) {
+        applyAction(client, action);
+    });
+    res.writeHead(200, { "Content-Type": "text/plain" });
+    res.end(action + " sent\n");
+}
+
+// ============================================================================
+// SECTION 6: STARTUP
+// ============================================================================
+
+applyArgs(process.argv.slice(2));
+
+var server = http.createServer(handleHttpRequest);
+server.on("upgrade", handleUpgrade);
+setInterval(advanceMarkets, CONFIG.TICK_INTERVAL_MS);
+server.listen(CONFIG.PORT, function() {
+    console.log("[mock] DLOB proxy on ws://localhost:" + CONFIG.PORT +
+        " (shape " + CONFIG.SHAPE + ", scenario " + CONFIG.SCENARIO + ", " + CONFIG.TICK_INTERVAL_MS + "ms ticks)");
+});